@@ -0,0 +1,9 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+
+// Imported first by server.js: ES modules evaluate their imports before the
+// importing module's body, so .env has to be loaded by a module of its own
+// for other modules to see it at load time.
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
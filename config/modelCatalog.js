@@ -0,0 +1,146 @@
+// Initial catalog entries. Display name, cost and availability are inserted
+// once and then owned by the database so admins can change them without a
+// deploy; `task`, `outputScale` and `parameters` describe what the backend
+// accepts and are refreshed from here on every startup. The `modelId` is the alias used by
+// config/modelRoutes.js.
+const SEED = { min: 0, max: 4294967295 };
+
+const SD_SCHEDULERS = [
+  'DPMSolverMultistepScheduler',
+  'EulerDiscreteScheduler',
+  'EulerAncestralDiscreteScheduler',
+  'DDIMScheduler',
+  'PNDMScheduler',
+];
+
+const size = (min, max, defaultValue) => ({ min, max, multipleOf: 64, default: defaultValue });
+
+export const DEFAULT_MODEL_ID = 'dalle-3';
+
+export const DEFAULT_TASK_MODELS = {
+  'text-to-image': DEFAULT_MODEL_ID,
+  'image-to-image': 'sd-img2img',
+  'inpaint': 'sd-inpaint',
+  'upscale': 'sd-upscale-x4',
+};
+
+export const DEFAULT_CATALOG = [
+  {
+    modelId: 'dalle-3',
+    displayName: 'FLUX.1 Schnell',
+    description: 'Fast, high quality general purpose model',
+    parameters: {
+      width: size(256, 1536, 1024),
+      height: size(256, 1536, 1024),
+      num_inference_steps: { min: 1, max: 8, default: 4 },
+      guidance_scale: { min: 0, max: 10, default: 0 },
+      seed: SEED,
+    },
+    credits: 1,
+    enabled: true,
+  },
+  {
+    modelId: 'midjourney',
+    displayName: 'OpenJourney v4',
+    description: 'Artistic, Midjourney-style renders',
+    parameters: {
+      width: size(256, 768, 512),
+      height: size(256, 768, 512),
+      num_inference_steps: { min: 1, max: 100, default: 30 },
+      guidance_scale: { min: 1, max: 20, default: 7.5 },
+      scheduler: { values: SD_SCHEDULERS },
+      seed: SEED,
+    },
+    credits: 1,
+    enabled: true,
+  },
+  {
+    modelId: 'stability-sd-3',
+    displayName: 'Stable Diffusion 2.1',
+    description: 'Classic Stable Diffusion pipeline',
+    parameters: {
+      width: size(256, 1024, 768),
+      height: size(256, 1024, 768),
+      num_inference_steps: { min: 1, max: 100, default: 30 },
+      guidance_scale: { min: 1, max: 20, default: 7.5 },
+      scheduler: { values: SD_SCHEDULERS },
+      seed: SEED,
+    },
+    credits: 1,
+    enabled: true,
+  },
+  {
+    modelId: 'self-hosted',
+    displayName: 'Self-hosted',
+    description: 'Routed to the endpoint configured in HTTP_PROVIDER_URL',
+    parameters: {
+      width: size(256, 2048, 1024),
+      height: size(256, 2048, 1024),
+      num_inference_steps: { min: 1, max: 150, default: 30 },
+      guidance_scale: { min: 0, max: 30, default: 7.5 },
+      seed: SEED,
+    },
+    credits: 1,
+    enabled: false,
+  },
+  {
+    modelId: 'sd-img2img',
+    displayName: 'Stable Diffusion Image-to-Image',
+    description: 'Restyles an input image guided by a prompt',
+    task: 'image-to-image',
+    parameters: {
+      strength: { min: 0, max: 1, default: 0.75 },
+      num_inference_steps: { min: 1, max: 100, default: 30 },
+      guidance_scale: { min: 1, max: 20, default: 7.5 },
+      seed: SEED,
+    },
+    credits: 1,
+    enabled: true,
+  },
+  {
+    modelId: 'sd-inpaint',
+    displayName: 'Stable Diffusion Inpainting',
+    description: 'Repaints the white areas of a mask',
+    task: 'inpaint',
+    parameters: {
+      strength: { min: 0, max: 1, default: 0.99 },
+      num_inference_steps: { min: 1, max: 100, default: 30 },
+      guidance_scale: { min: 1, max: 20, default: 7.5 },
+      seed: SEED,
+    },
+    credits: 1,
+    enabled: true,
+  },
+  {
+    modelId: 'sd-upscale-x4',
+    displayName: 'Stable Diffusion x4 Upscaler',
+    description: 'Upscales an image to four times its size',
+    task: 'upscale',
+    outputScale: 4,
+    parameters: {
+      num_inference_steps: { min: 1, max: 100, default: 20 },
+      guidance_scale: { min: 0, max: 20, default: 9 },
+      seed: SEED,
+    },
+    credits: 2,
+    enabled: true,
+  },
+  {
+    modelId: 'local',
+    displayName: 'Local placeholder',
+    description: 'Offline gradient placeholder for development',
+    parameters: {
+      width: size(64, 1024, 1024),
+      height: size(64, 1024, 1024),
+      num_inference_steps: { min: 1, max: 1, default: 1 },
+      guidance_scale: { min: 0, max: 0, default: 0 },
+      seed: SEED,
+    },
+    credits: 0,
+    enabled: false,
+  },
+];
+
+// The base credit cost covers one megapixel at the model's default step
+// count; larger or longer renders are charged proportionally.
+export const REFERENCE_PIXELS = 1024 * 1024;
@@ -0,0 +1,53 @@
+import fs from 'fs';
+import { DEFAULT_MODEL_ID } from './modelCatalog.js';
+
+// Each model alias maps to an ordered fallback chain of provider/model steps.
+// A step is tried `attempts` times before moving on to the next one.
+const DEFAULT_POLICY = {
+  timeoutMs: 60000,
+  backoffMs: 2000,
+  backoffFactor: 1,
+};
+
+const FLUX = { provider: 'huggingface', model: 'black-forest-labs/FLUX.1-schnell', attempts: 1 };
+const SD_2_1 = { provider: 'huggingface', model: 'stabilityai/stable-diffusion-2-1', attempts: 1 };
+const SD_1_5 = { provider: 'huggingface', model: 'runwayml/stable-diffusion-v1-5', attempts: 1 };
+
+const DEFAULT_ROUTES = {
+  'dalle-3': { chain: [FLUX, SD_2_1, SD_1_5] },
+  'midjourney': { chain: [{ provider: 'huggingface', model: 'prompthero/openjourney-v4', attempts: 3 }] },
+  'stability-sd-3': { chain: [SD_2_1, { ...SD_1_5, attempts: 2 }] },
+  'self-hosted': { chain: [{ provider: 'http', model: 'default', attempts: 2 }], timeoutMs: 120000 },
+  'sd-img2img': {
+    chain: [
+      { provider: 'huggingface', model: 'stabilityai/stable-diffusion-xl-refiner-1.0', attempts: 2 },
+      { provider: 'huggingface', model: 'runwayml/stable-diffusion-v1-5', attempts: 1 },
+    ],
+  },
+  'sd-inpaint': {
+    chain: [
+      { provider: 'huggingface', model: 'diffusers/stable-diffusion-xl-1.0-inpainting-0.1', attempts: 2 },
+      { provider: 'huggingface', model: 'runwayml/stable-diffusion-inpainting', attempts: 1 },
+    ],
+  },
+  'sd-upscale-x4': {
+    chain: [{ provider: 'huggingface', model: 'stabilityai/stable-diffusion-x4-upscaler', attempts: 3 }],
+    timeoutMs: 120000,
+  },
+  'local': { chain: [{ provider: 'local', model: 'placeholder', attempts: 1 }], timeoutMs: 10000 },
+};
+
+// MODEL_ROUTES_FILE may point at a JSON file with the same shape as
+// DEFAULT_ROUTES; its aliases are merged over the built-in ones.
+const loadRoutes = () => {
+  const file = process.env.MODEL_ROUTES_FILE;
+  if (!file) return DEFAULT_ROUTES;
+  return { ...DEFAULT_ROUTES, ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+};
+
+const routes = loadRoutes();
+
+export const getModelRoute = (alias) => {
+  const route = routes[alias] || routes[DEFAULT_MODEL_ID];
+  return { ...DEFAULT_POLICY, ...route };
+};
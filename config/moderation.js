@@ -0,0 +1,50 @@
+import fs from 'fs';
+
+// Prompt policy applied before any classifier. `blocklist` entries match
+// whole words case-insensitively; `patterns` are regular expressions. Each
+// rule names the category reported back to the client and the audit log.
+const DEFAULT_POLICY = {
+  blocklist: [],
+  patterns: [
+    {
+      category: 'sexual/minors',
+      pattern: '\\b(child|children|kid|kids|minor|minors|underage|preteen|toddler)s?\\b.*\\b(nude|naked|nsfw|sexual|porn\\w*|explicit)\\b',
+    },
+    {
+      category: 'sexual/minors',
+      pattern: '\\b(nude|naked|nsfw|sexual|porn\\w*|explicit)\\b.*\\b(child|children|kid|kids|minor|minors|underage|preteen|toddler)s?\\b',
+    },
+  ],
+};
+
+// MODERATION_POLICY_FILE may point at a JSON file with the same shape as
+// DEFAULT_POLICY; its blocklist and patterns are added to the built-in ones.
+const loadPolicy = () => {
+  const file = process.env.MODERATION_POLICY_FILE;
+  if (!file) return DEFAULT_POLICY;
+  const custom = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return {
+    blocklist: [...DEFAULT_POLICY.blocklist, ...(custom.blocklist || [])],
+    patterns: [...DEFAULT_POLICY.patterns, ...(custom.patterns || [])],
+  };
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const compile = (policy) => [
+  ...policy.blocklist.map(entry => {
+    const term = typeof entry === 'string' ? entry : entry.term;
+    return {
+      rule: `blocklist:${term}`,
+      category: entry.category || 'blocklist',
+      regex: new RegExp(`\\b${escapeRegex(term)}\\b`, 'i'),
+    };
+  }),
+  ...policy.patterns.map((entry, index) => ({
+    rule: entry.name || `pattern:${index}`,
+    category: entry.category || 'policy',
+    regex: new RegExp(entry.pattern, entry.flags ?? 'i'),
+  })),
+];
+
+export const PROMPT_RULES = compile(loadPolicy());
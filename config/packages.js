@@ -0,0 +1,11 @@
+// Single source of truth for credit packs, used both for listing and for
+// checkout. A pack grants `credits + bonus`.
+export const CREDIT_PACKAGES = [
+  { id: 'starter', name: 'Starter Pack', credits: 50, bonus: 0, price: 9.99, currency: 'usd', popular: false },
+  { id: 'pro', name: 'Pro Pack', credits: 200, bonus: 20, price: 29.99, currency: 'usd', popular: true },
+  { id: 'ultimate', name: 'Ultimate Pack', credits: 500, bonus: 100, price: 59.99, currency: 'usd', popular: false },
+];
+
+export const getPackage = (packageId) => CREDIT_PACKAGES.find(pkg => pkg.id === packageId);
+
+export const totalCredits = (pkg) => pkg.credits + pkg.bonus;
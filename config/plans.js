@@ -0,0 +1,13 @@
+// Monthly subscription plans, ordered from smallest to largest; the order
+// decides whether a change is an upgrade (immediate) or a downgrade (at the
+// end of the period). Unused allowance rolls over up to `rolloverCap`; the
+// rest expires when the period ends.
+export const PLANS = [
+  { id: 'basic', name: 'Basic', price: 9.99, currency: 'usd', monthlyCredits: 100, rolloverCap: 50 },
+  { id: 'pro', name: 'Pro', price: 24.99, currency: 'usd', monthlyCredits: 300, rolloverCap: 150 },
+  { id: 'studio', name: 'Studio', price: 79.99, currency: 'usd', monthlyCredits: 1200, rolloverCap: 600 },
+];
+
+export const getPlan = (planId) => PLANS.find(plan => plan.id === planId);
+
+export const planRank = (planId) => PLANS.findIndex(plan => plan.id === planId);
@@ -0,0 +1,35 @@
+import fs from 'fs';
+
+// Limits per tier. A user's tier is the plan of their active subscription,
+// or `free` without one. API keys may carry their own, lower limits.
+const DEFAULT_LIMITS = {
+  windowMs: 60000,
+  auth: { requestsPerWindow: 10 },
+  tiers: {
+    free: { generationsPerWindow: 5, concurrentJobs: 2 },
+    basic: { generationsPerWindow: 15, concurrentJobs: 4 },
+    pro: { generationsPerWindow: 40, concurrentJobs: 8 },
+    studio: { generationsPerWindow: 120, concurrentJobs: 20 },
+  },
+};
+
+// RATE_LIMITS_FILE may point at a JSON file with the same shape as
+// DEFAULT_LIMITS; its tiers are merged over the built-in ones.
+const loadLimits = () => {
+  const file = process.env.RATE_LIMITS_FILE;
+  if (!file) return DEFAULT_LIMITS;
+  const custom = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return {
+    windowMs: custom.windowMs || DEFAULT_LIMITS.windowMs,
+    auth: { ...DEFAULT_LIMITS.auth, ...custom.auth },
+    tiers: { ...DEFAULT_LIMITS.tiers, ...custom.tiers },
+  };
+};
+
+const limits = loadLimits();
+
+export const RATE_LIMIT_WINDOW_MS = limits.windowMs;
+
+export const AUTH_LIMIT = limits.auth;
+
+export const getTierLimits = (tier) => limits.tiers[tier] || limits.tiers.free;
@@ -0,0 +1,16 @@
+import { logger } from '../services/logger.js';
+
+// Development transport: prints messages instead of sending them and keeps
+// the most recent ones in `outbox` so tests can read the links back.
+export const createConsoleTransport = ({ outboxSize = 50 } = {}) => {
+  const outbox = [];
+  return {
+    name: 'console',
+    outbox,
+    async send(message) {
+      outbox.push({ ...message, sentAt: new Date() });
+      if (outbox.length > outboxSize) outbox.shift();
+      logger.info('Mail written to console outbox', { to: message.to, subject: message.subject, text: message.text });
+    },
+  };
+};
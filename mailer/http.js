@@ -0,0 +1,21 @@
+// Posts each message as JSON ({ from, to, subject, text }) to an HTTP mail
+// relay, which covers most transactional mail APIs behind a thin adapter.
+export const createHttpTransport = ({ url, apiKey, from }) => {
+  return {
+    name: 'http',
+    async send({ to, subject, text }) {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+        },
+        body: JSON.stringify({ from, to, subject, text }),
+        signal: AbortSignal.timeout(10000),
+      });
+      if (!response.ok) {
+        throw new Error(`Mail relay responded with ${response.status}`);
+      }
+    },
+  };
+};
@@ -0,0 +1,39 @@
+import { createConsoleTransport } from './console.js';
+import { createHttpTransport } from './http.js';
+import { logger } from '../services/logger.js';
+
+// A transport is `{ name, send({ to, subject, text }) }`. The HTTP relay is
+// used when configured; otherwise messages go to the console, which is
+// refused in production so account emails are never silently dropped.
+const createMailer = () => {
+  const requested = process.env.MAIL_TRANSPORT || (process.env.MAIL_API_URL ? 'http' : 'console');
+  if (requested === 'http') {
+    return createHttpTransport({
+      url: process.env.MAIL_API_URL,
+      apiKey: process.env.MAIL_API_KEY,
+      from: process.env.MAIL_FROM || 'no-reply@localhost',
+    });
+  }
+  if (requested === 'console' && process.env.NODE_ENV !== 'production') {
+    return createConsoleTransport();
+  }
+  return null;
+};
+
+export const mailer = createMailer();
+
+// Mail failures are logged rather than thrown: a missing email must not fail
+// the request that triggered it.
+export const sendMail = async (message) => {
+  if (!mailer) {
+    logger.error('No mail transport configured; message dropped', { to: message.to, subject: message.subject });
+    return false;
+  }
+  try {
+    await mailer.send(message);
+    return true;
+  } catch (error) {
+    logger.error('Failed to send mail', { to: message.to, subject: message.subject, error });
+    return false;
+  }
+};
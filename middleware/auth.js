@@ -1,22 +1,78 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import ApiKey from '../models/ApiKey.js';
 
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+const JWT_SECRET = process.env.JWT_SECRET;
+
+export const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS) || 15 * 60;
+
+// server.js refuses to start unless this returns null.
+export const checkJwtSecret = () => {
+  if (!JWT_SECRET) return 'JWT_SECRET is not set';
+  if (JWT_SECRET === 'your-secret-key-change-in-production') return 'JWT_SECRET is still the example value';
+  if (JWT_SECRET.length < 32) return 'JWT_SECRET must be at least 32 characters';
+  return null;
+};
+
+const getCredential = (req) => {
+  if (req.headers['x-api-key']) {
+    return req.headers['x-api-key'];
+  }
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return null;
+  return authHeader.replace('Bearer ', '');
+};
+
+const authenticateApiKey = async (key, req, res, next) => {
+  const apiKey = await ApiKey.findByKey(key);
+  if (!apiKey) {
+    return res.status(401).json({ error: 'Invalid API key' });
+  }
+  if (!apiKey.isActive) {
+    return res.status(401).json({ error: 'API key is disabled' });
+  }
+
+  const user = await User.findById(apiKey.userId);
+  if (!user) {
+    return res.status(401).json({ error: 'User not found' });
+  }
+  if (user.suspendedAt) {
+    return res.status(403).json({ error: 'Account suspended' });
+  }
+
+  await ApiKey.updateOne(
+    { _id: apiKey._id },
+    { $inc: { usageCount: 1 }, $set: { lastUsed: new Date() } }
+  );
+
+  req.user = user;
+  req.apiKey = apiKey;
+  next();
+};
 
 export const authenticate = async (req, res, next) => {
   try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader) {
+    const credential = getCredential(req);
+    if (!credential) {
       return res.status(401).json({ error: 'No token provided' });
     }
 
-    const token = authHeader.replace('Bearer ', '');
-    const decoded = jwt.verify(token, JWT_SECRET);
+    if (ApiKey.isApiKey(credential)) {
+      return await authenticateApiKey(credential, req, res, next);
+    }
+
+    const decoded = jwt.verify(credential, JWT_SECRET);
     
     const user = await User.findById(decoded.userId);
     if (!user) {
       return res.status(401).json({ error: 'User not found' });
     }
+    if ((decoded.tv ?? 0) !== user.tokenVersion) {
+      return res.status(401).json({ error: 'Token has been revoked' });
+    }
+    if (user.suspendedAt) {
+      return res.status(403).json({ error: 'Account suspended' });
+    }
 
     req.user = user;
     next();
@@ -25,6 +81,46 @@ export const authenticate = async (req, res, next) => {
   }
 };
 
-export const generateToken = (userId) => {
-  return jwt.sign({ userId }, JWT_SECRET, { expiresIn: '7d' });
+// EventSource cannot set headers, so streaming endpoints also accept the
+// credential as a `token` query parameter, and the organization to act for
+// as `organizationId`.
+export const acceptQueryToken = (req, res, next) => {
+  if (!req.headers.authorization && !req.headers['x-api-key'] && req.query.token) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  if (!req.headers['x-organization-id'] && req.query.organizationId) {
+    req.headers['x-organization-id'] = req.query.organizationId;
+  }
+  next();
+};
+
+// JWT sessions carry every scope; API keys only carry the ones they were minted with.
+export const requireScope = (scope) => {
+  const middleware = (req, res, next) => {
+    if (req.apiKey && !req.apiKey.hasScope(scope)) {
+      return res.status(403).json({ error: `API key is missing required scope: ${scope}` });
+    }
+    next();
+  };
+  middleware.scope = scope;
+  return middleware;
+};
+
+export const requireSession = (req, res, next) => {
+  if (req.apiKey) {
+    return res.status(403).json({ error: 'This endpoint requires a user session' });
+  }
+  next();
+};
+
+export const requireAdmin = (req, res, next) => {
+  if (req.user?.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  next();
+};
+
+// Short-lived access token; sessions are extended with a refresh token.
+export const generateToken = (user) => {
+  return jwt.sign({ userId: user._id, tv: user.tokenVersion }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL_SECONDS });
 };
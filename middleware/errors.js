@@ -0,0 +1,53 @@
+import { logger } from '../services/logger.js';
+
+// Every error response is { error, code, details?, requestId }: `error` is
+// the human-readable message, `code` a stable identifier clients can
+// switch on. Routes that do not pick a code get the one for their status.
+export const ERROR_CODES = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  402: 'insufficient_credits',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  413: 'payload_too_large',
+  422: 'unprocessable',
+  429: 'rate_limited',
+  500: 'internal_error',
+  502: 'bad_gateway',
+  503: 'unavailable',
+};
+
+const codeFor = (status) => ERROR_CODES[status] || (status >= 500 ? 'internal_error' : 'bad_request');
+
+// Fills in `code` and `requestId` on the { error } bodies routes send.
+export const errorEnvelope = (req, res, next) => {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body && typeof body.error === 'string') {
+      return json({ ...body, code: body.code || codeFor(res.statusCode), requestId: req.id });
+    }
+    return json(body);
+  };
+  next();
+};
+
+export const notFoundHandler = (req, res) => {
+  res.status(404).json({ error: `No route for ${req.method} ${req.baseUrl}${req.path}` });
+};
+
+// Errors passed to next(): malformed JSON bodies and anything a route did
+// not catch itself.
+export const errorHandler = (err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Request body is not valid JSON', code: 'invalid_json' });
+  }
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ error: 'Request body is too large' });
+  }
+  logger.error('Unhandled error', { error: err });
+  if (res.headersSent) {
+    return res.end();
+  }
+  res.status(500).json({ error: 'Internal server error' });
+};
@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+import Organization from '../models/Organization.js';
+import OrganizationMember from '../models/OrganizationMember.js';
+import { logger } from '../services/logger.js';
+
+// Resolves the organization a request acts for, after authenticate. An
+// org-owned API key always acts for its organization; a session opts in
+// with the X-Organization-Id header. Sets req.organization and
+// req.membership, or leaves both unset for a personal request.
+export const resolveOrganization = async (req, res, next) => {
+  try {
+    const organizationId = req.apiKey?.organizationId || req.headers['x-organization-id'];
+    if (!organizationId) return next();
+    if (!mongoose.isValidObjectId(organizationId)) {
+      return res.status(400).json({ error: 'Invalid organization id' });
+    }
+    const [organization, membership] = await Promise.all([
+      Organization.findById(organizationId),
+      OrganizationMember.findOne({ organizationId, userId: req.user._id }),
+    ]);
+    if (!organization || !membership) {
+      return res.status(403).json({ error: 'You are not a member of this organization' });
+    }
+    req.organization = organization;
+    req.membership = membership;
+    next();
+  } catch (error) {
+    logger.error('Resolve organization error', { error });
+    res.status(500).json({ error: 'Failed to resolve organization' });
+  }
+};
+
+// Only applies to requests acting for an organization.
+export const requireOrganizationRole = (role) => (req, res, next) => {
+  if (req.membership && !req.membership.hasRole(role)) {
+    return res.status(403).json({ error: `This action requires the ${role} role in the organization` });
+  }
+  next();
+};
@@ -0,0 +1,107 @@
+import Job from '../models/Job.js';
+import { rateLimitStore } from '../services/rateLimitStore.js';
+import { getCurrentSubscription } from '../services/subscriptions.js';
+import { RATE_LIMIT_WINDOW_MS, AUTH_LIMIT, getTierLimits } from '../config/rateLimits.js';
+import { logger } from '../services/logger.js';
+
+const CONCURRENCY_RETRY_AFTER_SECONDS = 5;
+
+const setRateLimitHeaders = (res, { limit, count, resetAt }) => {
+  const resetSeconds = Math.max(0, Math.ceil((resetAt.getTime() - Date.now()) / 1000));
+  res.set({
+    'RateLimit-Limit': String(limit),
+    'RateLimit-Remaining': String(Math.max(0, limit - count)),
+    'RateLimit-Reset': String(resetSeconds),
+    'RateLimit-Policy': `${limit};w=${Math.round(RATE_LIMIT_WINDOW_MS / 1000)}`,
+  });
+  return resetSeconds;
+};
+
+// Counts `cost` hits against each of `buckets` ({ key, limit }) and answers
+// 429 if any is exhausted. Headers describe the tightest bucket. The store
+// failing must not take the API down with it, so errors let the request
+// through.
+const consume = async (res, buckets, cost) => {
+  try {
+    const hits = await Promise.all(buckets.map(async bucket => ({
+      ...bucket,
+      ...(await rateLimitStore.increment(bucket.key, RATE_LIMIT_WINDOW_MS, cost)),
+    })));
+    const tightest = hits.reduce((a, b) => (b.limit - b.count < a.limit - a.count ? b : a));
+    const resetSeconds = setRateLimitHeaders(res, tightest);
+    if (tightest.count > tightest.limit) {
+      res.set('Retry-After', String(resetSeconds));
+      res.status(429).json({ error: tightest.message, retryAfter: resetSeconds });
+      return false;
+    }
+  } catch (error) {
+    logger.error('Rate limit store error', { error });
+  }
+  return true;
+};
+
+export const getRateLimitTier = async (req) => {
+  if (!req.rateLimitTier) {
+    const subscription = await getCurrentSubscription(req.user._id);
+    req.rateLimitTier = subscription?.status === 'active' ? subscription.planId : 'free';
+  }
+  return req.rateLimitTier;
+};
+
+// Per-IP limit for unauthenticated endpoints such as login and register.
+export const limitByIp = (name) => async (req, res, next) => {
+  const allowed = await consume(res, [{
+    key: `ip:${name}:${req.ip}`,
+    limit: AUTH_LIMIT.requestsPerWindow,
+    message: 'Too many requests, please try again later',
+  }], 1);
+  if (allowed) next();
+};
+
+// Guards the job-creating endpoints. `countJobs(req)` is the number of jobs
+// the request would create, checked against the concurrency limits, and
+// `countImages(req)` the number of images, taken from the generation quota.
+// The in-flight check counts the caller's pending and processing jobs, so
+// it is shared across instances without extra state; two requests racing
+// past it can overshoot by one request's worth.
+export const limitGenerations = (countJobs = () => 1, countImages = countJobs) => async (req, res, next) => {
+  try {
+    const jobs = countJobs(req);
+    const images = countImages(req);
+    const limits = getTierLimits(await getRateLimitTier(req));
+    const keyLimits = req.apiKey?.limits || {};
+
+    const inFlight = { status: { $in: ['pending', 'processing'] } };
+    const concurrency = [{ limit: limits.concurrentJobs, filter: { userId: req.user._id } }];
+    if (keyLimits.concurrentJobs) {
+      concurrency.push({ limit: keyLimits.concurrentJobs, filter: { apiKeyId: req.apiKey._id } });
+    }
+    for (const { limit, filter } of concurrency) {
+      const running = await Job.countDocuments({ ...filter, ...inFlight });
+      if (running + jobs > limit) {
+        res.set('Retry-After', String(CONCURRENCY_RETRY_AFTER_SECONDS));
+        return res.status(429).json({
+          error: `Too many jobs in progress (limit ${limit}), wait for some to finish`,
+          retryAfter: CONCURRENCY_RETRY_AFTER_SECONDS,
+        });
+      }
+    }
+
+    const buckets = [{
+      key: `gen:user:${req.user._id}`,
+      limit: limits.generationsPerWindow,
+      message: 'Generation rate limit exceeded',
+    }];
+    if (keyLimits.generationsPerWindow) {
+      buckets.push({
+        key: `gen:key:${req.apiKey._id}`,
+        limit: keyLimits.generationsPerWindow,
+        message: 'Generation rate limit for this API key exceeded',
+      });
+    }
+    if (await consume(res, buckets, images)) next();
+  } catch (error) {
+    logger.error('Generation limit error', { error });
+    res.status(500).json({ error: 'Failed to check rate limits' });
+  }
+};
@@ -0,0 +1,35 @@
+import crypto from 'crypto';
+import { logger, runWithContext } from '../services/logger.js';
+import { httpRequestDuration } from '../services/metrics.js';
+
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Gives every request an ID (the caller's X-Request-Id when it is sane),
+// echoes it back, and runs the rest of the request in a log context that
+// carries it. Logs and times each request once the response is sent.
+export const requestContext = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.setHeader('X-Request-Id', req.id);
+  const startedAt = process.hrtime.bigint();
+  res.on('finish', () => {
+    const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+    // The matched route keeps label cardinality bounded.
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+    httpRequestDuration.observe({ method: req.method, route, status: res.statusCode }, seconds);
+    logger.info('Request completed', {
+      requestId: req.id,
+      method: req.method,
+      route,
+      path: req.path,
+      status: res.statusCode,
+      durationMs: Math.round(seconds * 1000),
+      userId: req.user?._id,
+    });
+  });
+  runWithContext({ requestId: req.id }, next);
+};
+
+// Body parsers resume the request from stream callbacks outside the log
+// context; this re-enters it.
+export const restoreRequestContext = (req, res, next) => runWithContext({ requestId: req.id }, next);
@@ -0,0 +1,64 @@
+import multer from 'multer';
+import { readImageSize } from '../services/imageInfo.js';
+import { MAX_UPLOAD_DIMENSION } from '../services/jobs.js';
+
+const MAX_UPLOAD_BYTES = parseInt(process.env.MAX_UPLOAD_BYTES) || 10 * 1024 * 1024;
+const ALLOWED_TYPES = ['image/png', 'image/jpeg'];
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 2 },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_TYPES.includes(file.mimetype)) {
+      return cb(new Error(`Unsupported file type for ${file.fieldname}: only PNG and JPEG are accepted`));
+    }
+    cb(null, true);
+  },
+}).fields([
+  { name: 'image', maxCount: 1 },
+  { name: 'mask', maxCount: 1 },
+]);
+
+// Multipart text fields arrive as strings; decode the ones that carry JSON or numbers.
+const normalizeFields = (body) => {
+  if (typeof body.parameters === 'string') {
+    body.parameters = JSON.parse(body.parameters);
+  }
+  for (const field of ['numImages', 'sourceImageIndex']) {
+    if (typeof body[field] === 'string' && body[field] !== '') {
+      body[field] = Number(body[field]);
+    }
+  }
+};
+
+// Parses `image`/`mask` uploads (JSON bodies pass straight through) and
+// checks that each file really is a PNG or JPEG within the size limits.
+// Valid files end up on req.images as { buffer, width, height, mimetype }.
+export const handleImageUploads = (req, res, next) => {
+  upload(req, res, (err) => {
+    if (err) {
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({ error: `File too large: maximum is ${MAX_UPLOAD_BYTES} bytes` });
+      }
+      return res.status(400).json({ error: err.message });
+    }
+    try {
+      normalizeFields(req.body);
+    } catch (error) {
+      return res.status(400).json({ error: 'Parameters must be valid JSON' });
+    }
+    req.images = {};
+    for (const [field, files] of Object.entries(req.files || {})) {
+      const file = files[0];
+      const size = readImageSize(file.buffer);
+      if (!size) {
+        return res.status(400).json({ error: `${field} is not a valid PNG or JPEG image` });
+      }
+      if (size.width > MAX_UPLOAD_DIMENSION || size.height > MAX_UPLOAD_DIMENSION) {
+        return res.status(400).json({ error: `${field} must be at most ${MAX_UPLOAD_DIMENSION}px on each side` });
+      }
+      req.images[field] = { buffer: file.buffer, width: size.width, height: size.height, mimetype: file.mimetype };
+    }
+    next();
+  });
+};
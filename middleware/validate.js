@@ -0,0 +1,34 @@
+import { validateSchema } from '../services/schema.js';
+
+const toObjectSchema = (schema) => (schema.type === 'object' ? schema : { type: 'object', ...schema });
+
+// Route middleware that checks req.params, req.query and req.body against
+// the schemas in `spec` and replaces them with the validated values
+// (defaults applied, query and path strings converted). Answers 400 with
+// the field details otherwise. `spec` is also what the OpenAPI document is
+// built from (see services/openapi.js), so it may carry `summary`, `tags`
+// and `bodyType: 'multipart'` purely for documentation.
+export const validate = (spec) => {
+  const parts = ['params', 'query', 'body'].filter(part => spec[part]);
+  const middleware = (req, res, next) => {
+    const details = [];
+    const validated = {};
+    for (const part of parts) {
+      const { value, errors } = validateSchema(toObjectSchema(spec[part]), req[part] ?? {}, {
+        field: part,
+        coerce: part !== 'body' || spec.bodyType === 'multipart',
+      });
+      details.push(...errors);
+      validated[part] = value;
+    }
+    if (details.length > 0) {
+      return res.status(400).json({ error: 'Request validation failed', code: 'validation_failed', details });
+    }
+    for (const part of parts) {
+      req[part] = validated[part];
+    }
+    next();
+  };
+  middleware.openapi = spec;
+  return middleware;
+};
@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+export const ACCOUNT_TOKEN_PURPOSES = ['password-reset', 'email-verification'];
+
+// Single-use token sent by email. Only the hash is stored.
+const accountTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  purpose: {
+    type: String,
+    enum: ACCOUNT_TOKEN_PURPOSES,
+    required: true,
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  usedAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+accountTokenSchema.index({ userId: 1, purpose: 1 });
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('AccountToken', accountTokenSchema);
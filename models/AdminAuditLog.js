@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+// Append-only record of every change an admin makes.
+const adminAuditLogSchema = new mongoose.Schema({
+  adminId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  action: {
+    type: String,
+    required: true,
+  },
+  targetType: {
+    type: String,
+    required: true,
+  },
+  targetId: {
+    type: String,
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  ip: {
+    type: String,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+adminAuditLogSchema.index({ createdAt: -1 });
+adminAuditLogSchema.index({ adminId: 1, createdAt: -1 });
+adminAuditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+export default mongoose.model('AdminAuditLog', adminAuditLogSchema);
@@ -1,21 +1,46 @@
 import mongoose from 'mongoose';
 import crypto from 'crypto';
 
+export const API_KEY_SCOPES = ['images:generate', 'images:read', 'billing:read'];
+
 const apiKeySchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true,
   },
+  // Org-owned keys always act for the organization, with the permissions
+  // (and spending cap) of the member who created them.
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+  },
   name: {
     type: String,
     required: true,
   },
-  key: {
+  keyHash: {
     type: String,
     required: true,
     unique: true,
   },
+  prefix: {
+    type: String,
+    required: true,
+  },
+  lastFour: {
+    type: String,
+    required: true,
+  },
+  scopes: {
+    type: [{ type: String, enum: API_KEY_SCOPES }],
+    default: () => [...API_KEY_SCOPES],
+  },
+  // Optional per-key quotas; they can only tighten the owner's tier limits.
+  limits: {
+    generationsPerWindow: Number,
+    concurrentJobs: Number,
+  },
   lastUsed: {
     type: Date,
   },
@@ -31,10 +56,77 @@ const apiKeySchema = new mongoose.Schema({
     type: Date,
     default: Date.now,
   },
+}, {
+  // Indexes are built by server startup after migratePlaintextKeys(): the
+  // unique keyHash index cannot be built while legacy keys lack a hash.
+  autoIndex: false,
 });
 
 apiKeySchema.statics.generateKey = function() {
   return 'sk_' + crypto.randomBytes(32).toString('hex');
 };
 
+apiKeySchema.statics.hashKey = function(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+};
+
+apiKeySchema.statics.isApiKey = function(value) {
+  return typeof value === 'string' && value.startsWith('sk_');
+};
+
+apiKeySchema.statics.findByKey = function(key) {
+  return this.findOne({ keyHash: this.hashKey(key) });
+};
+
+// Only the hash is persisted; the plaintext key is returned to the caller once.
+apiKeySchema.statics.createForUser = async function(userId, name, scopes, limits, organizationId) {
+  const key = this.generateKey();
+  const apiKey = await this.create({
+    userId,
+    name,
+    keyHash: this.hashKey(key),
+    prefix: key.substring(0, 12),
+    lastFour: key.substring(key.length - 4),
+    scopes,
+    limits,
+    organizationId,
+  });
+  return { apiKey, key };
+};
+
+// One-time upgrade of keys stored in plaintext (`key`) before hashing:
+// each keeps working under its hash and the plaintext and its unique index
+// are removed. The index goes first, since every key without `key` counts
+// as null in it. Safe to run on every start; follow it with syncIndexes().
+// Resolves to the number migrated.
+apiKeySchema.statics.migratePlaintextKeys = async function() {
+  try {
+    await this.collection.dropIndex('key_1');
+  } catch (error) {
+    // 26: the collection does not exist yet; 27: the index is already gone.
+    if (error.code !== 26 && error.code !== 27) throw error;
+  }
+  let migrated = 0;
+  const legacy = this.collection.find({ key: { $type: 'string' } }, { projection: { key: 1 } });
+  for await (const { _id, key } of legacy) {
+    await this.collection.updateOne(
+      { _id, key },
+      {
+        $set: { keyHash: this.hashKey(key), prefix: key.substring(0, 12), lastFour: key.substring(key.length - 4) },
+        $unset: { key: 1 },
+      }
+    );
+    migrated++;
+  }
+  return migrated;
+};
+
+apiKeySchema.methods.maskedKey = function() {
+  return this.prefix + '...' + this.lastFour;
+};
+
+apiKeySchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
 export default mongoose.model('ApiKey', apiKeySchema);
@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+const batchSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+  },
+  size: {
+    type: Number,
+    required: true,
+  },
+  creditCost: {
+    type: Number,
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+export default mongoose.model('Batch', batchSchema);
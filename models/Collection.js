@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+export const MAX_COLLECTION_SIZE = 500;
+
+const collectionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  description: {
+    type: String,
+    trim: true,
+  },
+  // In the order they were added.
+  jobIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+collectionSchema.index({ userId: 1, createdAt: -1 });
+collectionSchema.index({ jobIds: 1 });
+
+export default mongoose.model('Collection', collectionSchema);
@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+const creditHoldSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+  },
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+  },
+  batchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Batch',
+  },
+  amount: {
+    type: Number,
+    required: true,
+  },
+  captured: {
+    type: Number,
+    default: 0,
+  },
+  status: {
+    type: String,
+    enum: ['held', 'captured', 'released'],
+    default: 'held',
+  },
+  description: {
+    type: String,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  settledAt: {
+    type: Date,
+  },
+  // Set when captured credits were given back because the run that captured
+  // them was cancelled before its result was kept.
+  refundedAt: {
+    type: Date,
+  },
+});
+
+creditHoldSchema.index({ jobId: 1 });
+creditHoldSchema.index({ userId: 1, status: 1 });
+creditHoldSchema.index({ organizationId: 1, status: 1 });
+
+export default mongoose.model('CreditHold', creditHoldSchema);
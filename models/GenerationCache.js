@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+
+// One stored image per deterministic request (owner, model, normalized
+// prompts and parameters including the seed), reused by the owner's later
+// identical requests.
+// Entries expire after a TTL and are evicted least recently used first
+// once there are too many; see services/generationCache.js.
+const generationCacheSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // The user, or organization, whose requests may reuse the image.
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  model: {
+    type: String,
+    required: true,
+  },
+  prompt: String,
+  seed: Number,
+  image: {
+    url: { type: String, required: true },
+    filename: String,
+    width: Number,
+    height: Number,
+  },
+  // The job whose generation filled the entry.
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+  },
+  hits: {
+    type: Number,
+    default: 0,
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+generationCacheSchema.index({ expiresAt: 1 });
+generationCacheSchema.index({ lastUsedAt: 1 });
+generationCacheSchema.index({ model: 1 });
+generationCacheSchema.index({ 'image.filename': 1 });
+
+export default mongoose.model('GenerationCache', generationCacheSchema);
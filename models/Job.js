@@ -1,4 +1,16 @@
 import mongoose from 'mongoose';
+import { DEFAULT_MODEL_ID } from '../config/modelCatalog.js';
+
+const DEFAULT_MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS) || 3;
+
+export const JOB_TYPES = ['text-to-image', 'image-to-image', 'inpaint', 'upscale'];
+
+const imageRefSchema = new mongoose.Schema({
+  url: String,
+  filename: String,
+  width: Number,
+  height: Number,
+}, { _id: false });
 
 const jobSchema = new mongoose.Schema({
   userId: {
@@ -6,24 +18,86 @@ const jobSchema = new mongoose.Schema({
     ref: 'User',
     required: true,
   },
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+  },
+  // ID of the HTTP request that created the job, carried into its logs.
+  requestId: {
+    type: String,
+  },
+  // Set when the job was created with an API key, for per-key quotas.
+  apiKeyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+  },
+  type: {
+    type: String,
+    enum: JOB_TYPES,
+    default: 'text-to-image',
+  },
   prompt: {
     type: String,
-    required: true,
+    required: function() {
+      return this.type !== 'upscale';
+    },
   },
   negativePrompt: {
     type: String,
   },
   model: {
     type: String,
-    default: 'stabilityai/stable-diffusion-xl-base-1.0',
+    default: DEFAULT_MODEL_ID,
+  },
+  batchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Batch',
+  },
+  numImages: {
+    type: Number,
+    default: 1,
+  },
+  creditCost: {
+    type: Number,
+    default: 1,
+  },
+  refundedCredits: {
+    type: Number,
+    default: 0,
+  },
+  // Part of creditCost not charged because images were served from the
+  // generation cache at the cached price. creditCost stays the full price,
+  // which retries hold again.
+  cacheSavings: {
+    type: Number,
+    default: 0,
+  },
+  inputs: {
+    image: imageRefSchema,
+    mask: imageRefSchema,
+    sourceJobId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Job',
+    },
   },
   parameters: {
+    strength: Number,
     width: Number,
     height: Number,
+    num_inference_steps: Number,
+    guidance_scale: Number,
+    scheduler: String,
+    seed: Number,
+  },
+  // The client chose the seed, so the output is reproducible and may be
+  // served from the generation cache.
+  seeded: {
+    type: Boolean,
+    default: false,
   },
   status: {
     type: String,
-    enum: ['pending', 'processing', 'completed', 'failed'],
+    enum: ['pending', 'processing', 'completed', 'failed', 'blocked', 'cancelled'],
     default: 'pending',
   },
   result: {
@@ -32,18 +106,111 @@ const jobSchema = new mongoose.Schema({
       width: Number,
       height: Number,
       filename: String,
+      seed: Number,
+      // Reused from the generation cache; other jobs may show the same file.
+      cached: Boolean,
     }],
+    failedImages: Number,
     timeTaken: Number,
     model: String,
+    // Every image came from the generation cache.
+    cached: Boolean,
+    seed: Number,
     note: String,
   },
   error: {
     message: String,
   },
+  // Completed jobs can be published to the community gallery, or shared with
+  // anyone holding the unguessable link token.
+  visibility: {
+    type: String,
+    enum: ['private', 'public'],
+    default: 'private',
+  },
+  publishedAt: {
+    type: Date,
+  },
+  shareToken: {
+    type: String,
+  },
+  likeCount: {
+    type: Number,
+    default: 0,
+  },
+  // The job this one was remixed from.
+  remixOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+  },
+  // Why the output was withheld when the job ended as `blocked`.
+  moderation: {
+    categories: [String],
+    reason: String,
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  maxAttempts: {
+    type: Number,
+    default: DEFAULT_MAX_ATTEMPTS,
+  },
+  availableAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lockedBy: {
+    type: String,
+  },
+  // New for every claim. The same worker may claim a job again after it was
+  // cancelled and retried, so only this tells the current run from an
+  // earlier one that is still finishing.
+  claimId: {
+    type: String,
+  },
+  leaseExpiresAt: {
+    type: Date,
+  },
+  startedAt: {
+    type: Date,
+  },
+  cancelledAt: {
+    type: Date,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
   },
 });
 
+jobSchema.index({ status: 1, availableAt: 1, createdAt: 1 });
+jobSchema.index({ status: 1, leaseExpiresAt: 1 });
+jobSchema.index({ batchId: 1 });
+jobSchema.index({ apiKeyId: 1, status: 1 }, { sparse: true });
+// Job lists and galleries: keyset pagination sorts on the field and _id,
+// filtered by owner and optionally status or model.
+jobSchema.index({ userId: 1, createdAt: -1, _id: -1 });
+jobSchema.index({ userId: 1, status: 1, createdAt: -1, _id: -1 });
+jobSchema.index({ userId: 1, model: 1, createdAt: -1, _id: -1 });
+jobSchema.index({ userId: 1, status: 1, likeCount: -1, _id: -1 });
+jobSchema.index({ organizationId: 1, createdAt: -1, _id: -1 });
+jobSchema.index({ organizationId: 1, status: 1, createdAt: -1, _id: -1 });
+// Deleting a job keeps image files that other jobs still show.
+jobSchema.index({ 'result.images.filename': 1 }, { sparse: true });
+jobSchema.index({ prompt: 'text', negativePrompt: 'text' }, { name: 'prompt_text', weights: { prompt: 3, negativePrompt: 1 } });
+jobSchema.index({ visibility: 1, publishedAt: -1, _id: -1 });
+jobSchema.index({ visibility: 1, likeCount: -1, _id: -1 });
+jobSchema.index({ shareToken: 1 }, { unique: true, sparse: true });
+
+jobSchema.statics.DEFAULT_MAX_ATTEMPTS = DEFAULT_MAX_ATTEMPTS;
+
+// Jobs from before likes have no likeCount in the database (Mongoose only
+// fills in the default when reading), so the `popular` sort and its cursors
+// would skip them. Resolves to the number of jobs updated.
+jobSchema.statics.backfillLikeCounts = async function() {
+  const { modifiedCount } = await this.updateMany({ likeCount: { $exists: false } }, { $set: { likeCount: 0 } });
+  return modifiedCount;
+};
+
 export default mongoose.model('Job', jobSchema);
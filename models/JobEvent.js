@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+
+const EVENT_TTL_SECONDS = parseInt(process.env.JOB_EVENT_TTL_SECONDS) || 24 * 60 * 60;
+
+const jobEventSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true,
+  },
+  type: {
+    type: String,
+    required: true,
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  origin: {
+    type: String,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+jobEventSchema.index({ jobId: 1, _id: 1 });
+jobEventSchema.index({ userId: 1, _id: 1 });
+jobEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: EVENT_TTL_SECONDS });
+
+export default mongoose.model('JobEvent', jobEventSchema);
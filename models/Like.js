@@ -0,0 +1,23 @@
+import mongoose from 'mongoose';
+
+const likeSchema = new mongoose.Schema({
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+likeSchema.index({ jobId: 1, userId: 1 }, { unique: true });
+likeSchema.index({ userId: 1, createdAt: -1 });
+
+export default mongoose.model('Like', likeSchema);
@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+import { DEFAULT_CATALOG } from '../config/modelCatalog.js';
+import { JOB_TYPES } from './Job.js';
+
+const modelCatalogSchema = new mongoose.Schema({
+  modelId: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  displayName: {
+    type: String,
+    required: true,
+  },
+  description: {
+    type: String,
+  },
+  task: {
+    type: String,
+    enum: JOB_TYPES,
+    default: 'text-to-image',
+  },
+  outputScale: {
+    type: Number,
+    default: 1,
+  },
+  parameters: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  credits: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  enabled: {
+    type: Boolean,
+    default: true,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+modelCatalogSchema.statics.seedDefaults = async function() {
+  await this.bulkWrite(DEFAULT_CATALOG.map(({ task = 'text-to-image', outputScale = 1, parameters, ...entry }) => ({
+    updateOne: {
+      filter: { modelId: entry.modelId },
+      update: { $setOnInsert: entry, $set: { task, outputScale, parameters }, $unset: { sizes: 1 } },
+      upsert: true,
+    },
+  })));
+};
+
+modelCatalogSchema.methods.toPublic = function() {
+  return {
+    id: this.modelId,
+    name: this.displayName,
+    description: this.description,
+    task: this.task,
+    parameters: this.parameters,
+    credits: this.credits,
+    enabled: this.enabled,
+  };
+};
+
+export default mongoose.model('ModelCatalog', modelCatalogSchema);
@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+
+const LOG_TTL_DAYS = parseInt(process.env.MODERATION_LOG_TTL_DAYS) || 90;
+
+// Audit trail of every moderation decision, allowed or not.
+const moderationLogSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  apiKeyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+  },
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+  },
+  stage: {
+    type: String,
+    enum: ['prompt', 'image'],
+    required: true,
+  },
+  decision: {
+    type: String,
+    enum: ['allowed', 'blocked'],
+    required: true,
+  },
+  categories: [String],
+  rules: [String],
+  reason: {
+    type: String,
+  },
+  // Which checks ran, e.g. ['policy', 'http'].
+  checks: [String],
+  // Set when a classifier failed and the fail mode decided instead.
+  classifierError: {
+    type: String,
+  },
+  prompt: {
+    type: String,
+  },
+  negativePrompt: {
+    type: String,
+  },
+  model: {
+    type: String,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+moderationLogSchema.index({ decision: 1, createdAt: -1 });
+moderationLogSchema.index({ userId: 1, createdAt: -1 });
+moderationLogSchema.index({ createdAt: 1 }, { expireAfterSeconds: LOG_TTL_DAYS * 24 * 60 * 60 });
+
+export default mongoose.model('ModerationLog', moderationLogSchema);
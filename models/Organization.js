@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+
+const organizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  // Shared pool, kept like User.credits: a cache of the organization's
+  // ledger entries.
+  credits: {
+    type: Number,
+    default: 0,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+export default mongoose.model('Organization', organizationSchema);
@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+const organizationInvitationSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+  },
+  role: {
+    type: String,
+    enum: ['admin', 'member'],
+    default: 'member',
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  acceptedAt: {
+    type: Date,
+  },
+  revokedAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+organizationInvitationSchema.index({ organizationId: 1, email: 1 });
+
+export default mongoose.model('OrganizationInvitation', organizationInvitationSchema);
@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+
+export const ORGANIZATION_ROLES = ['owner', 'admin', 'member'];
+
+const organizationMemberSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  role: {
+    type: String,
+    enum: ORGANIZATION_ROLES,
+    default: 'member',
+  },
+  // Most credits the member may spend from the pool per calendar month;
+  // unlimited when unset.
+  spendingCap: {
+    type: Number,
+    min: 0,
+  },
+  // Touched by every hold on the pool, so concurrent holds by the same
+  // member conflict and their spending cap checks run one after another.
+  lastHoldAt: {
+    type: Date,
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+organizationMemberSchema.index({ organizationId: 1, userId: 1 }, { unique: true });
+organizationMemberSchema.index({ userId: 1 });
+
+organizationMemberSchema.methods.hasRole = function(role) {
+  return ORGANIZATION_ROLES.indexOf(this.role) <= ORGANIZATION_ROLES.indexOf(role);
+};
+
+export default mongoose.model('OrganizationMember', organizationMemberSchema);
@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+
+const promoCodeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+  },
+  credits: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  description: {
+    type: String,
+  },
+  // Total redemptions across all users; unlimited when unset.
+  maxRedemptions: {
+    type: Number,
+    min: 1,
+  },
+  perUserLimit: {
+    type: Number,
+    default: 1,
+    min: 1,
+  },
+  redemptionCount: {
+    type: Number,
+    default: 0,
+  },
+  expiresAt: {
+    type: Date,
+  },
+  active: {
+    type: Boolean,
+    default: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+promoCodeSchema.methods.toPublic = function() {
+  return {
+    id: this._id,
+    code: this.code,
+    credits: this.credits,
+    description: this.description,
+    maxRedemptions: this.maxRedemptions ?? null,
+    perUserLimit: this.perUserLimit,
+    redemptionCount: this.redemptionCount,
+    expiresAt: this.expiresAt,
+    active: this.active,
+    createdAt: this.createdAt,
+  };
+};
+
+export default mongoose.model('PromoCode', promoCodeSchema);
@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+// One document per (code, user) counting that user's redemptions, so the
+// per-user limit can be enforced with a single conditional upsert.
+const promoRedemptionSchema = new mongoose.Schema({
+  promoCodeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromoCode',
+    required: true,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  count: {
+    type: Number,
+    default: 0,
+  },
+  lastRedeemedAt: {
+    type: Date,
+  },
+});
+
+promoRedemptionSchema.index({ promoCodeId: 1, userId: 1 }, { unique: true });
+
+export default mongoose.model('PromoRedemption', promoRedemptionSchema);
@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+// One fixed-window counter per key and window. Expired windows are removed
+// by the TTL index.
+const rateLimitCounterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+  },
+  windowStart: {
+    type: Date,
+    required: true,
+  },
+  count: {
+    type: Number,
+    default: 0,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+rateLimitCounterSchema.index({ key: 1, windowStart: 1 }, { unique: true });
+rateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('RateLimitCounter', rateLimitCounterSchema);
@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+// Server-side record of a refresh token. Tokens rotate on every use; all
+// tokens descending from one login share a `familyId`, so presenting an
+// already-rotated token revokes the whole family.
+const refreshTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  familyId: {
+    type: String,
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  revokedAt: {
+    type: Date,
+  },
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RefreshToken',
+  },
+  userAgent: {
+    type: String,
+  },
+  ip: {
+    type: String,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+refreshTokenSchema.index({ userId: 1, revokedAt: 1 });
+refreshTokenSchema.index({ familyId: 1 });
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+
+const subscriptionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  planId: {
+    type: String,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['active', 'past_due', 'canceled'],
+    default: 'active',
+  },
+  currentPeriodStart: {
+    type: Date,
+    required: true,
+  },
+  currentPeriodEnd: {
+    type: Date,
+    required: true,
+  },
+  // Credits available from the plan this period: the monthly grant plus
+  // whatever rolled over from the previous period.
+  periodAllowance: {
+    type: Number,
+    default: 0,
+  },
+  cancelAtPeriodEnd: {
+    type: Boolean,
+    default: false,
+  },
+  pendingPlanId: {
+    type: String,
+  },
+  paymentProvider: {
+    type: String,
+  },
+  customerId: {
+    type: String,
+  },
+  lastPaymentId: {
+    type: String,
+  },
+  lockedUntil: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  canceledAt: {
+    type: Date,
+  },
+});
+
+subscriptionSchema.index({ userId: 1, status: 1 });
+subscriptionSchema.index({ status: 1, currentPeriodEnd: 1 });
+
+export default mongoose.model('Subscription', subscriptionSchema);
@@ -6,9 +6,15 @@ const transactionSchema = new mongoose.Schema({
     ref: 'User',
     required: true,
   },
+  // Set when the entry moves an organization's pool instead of the user's
+  // own balance.
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+  },
   type: {
     type: String,
-    enum: ['purchase', 'usage', 'refund', 'bonus'],
+    enum: ['purchase', 'usage', 'refund', 'bonus', 'allowance', 'expiration', 'adjustment'],
     required: true,
   },
   amount: {
@@ -30,8 +36,18 @@ const transactionSchema = new mongoose.Schema({
   },
   metadata: {
     jobId: mongoose.Schema.Types.ObjectId,
+    batchId: mongoose.Schema.Types.ObjectId,
     packageId: String,
+    planId: String,
+    subscriptionId: mongoose.Schema.Types.ObjectId,
     paymentMethod: String,
+    paymentProvider: String,
+    checkoutSessionId: String,
+    paymentId: String,
+    refundedAt: Date,
+    promoCodeId: mongoose.Schema.Types.ObjectId,
+    referralUserId: mongoose.Schema.Types.ObjectId,
+    adminId: mongoose.Schema.Types.ObjectId,
   },
   createdAt: {
     type: Date,
@@ -39,4 +55,12 @@ const transactionSchema = new mongoose.Schema({
   },
 });
 
+transactionSchema.index({ 'metadata.paymentId': 1 }, { sparse: true });
+transactionSchema.index({ userId: 1, createdAt: -1 });
+// The ledger list: personal entries have organizationId null.
+transactionSchema.index({ userId: 1, organizationId: 1, createdAt: -1, _id: -1 });
+transactionSchema.index({ userId: 1, organizationId: 1, type: 1, createdAt: -1, _id: -1 });
+transactionSchema.index({ organizationId: 1, createdAt: -1, _id: -1 });
+transactionSchema.index({ organizationId: 1, type: 1, createdAt: -1, _id: -1 });
+
 export default mongoose.model('Transaction', transactionSchema);
@@ -25,12 +25,54 @@ const userSchema = new mongoose.Schema({
     type: Number,
     default: 100,
   },
+  emailVerified: {
+    type: Boolean,
+    default: false,
+  },
+  // Embedded in access tokens; bumping it invalidates every token issued
+  // before (logout-all, password change or reset).
+  tokenVersion: {
+    type: Number,
+    default: 0,
+  },
+  passwordChangedAt: {
+    type: Date,
+  },
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user',
+  },
+  suspendedAt: {
+    type: Date,
+  },
+  suspendedReason: {
+    type: String,
+  },
+  referralCode: {
+    type: String,
+    unique: true,
+    sparse: true,
+  },
+  referredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  // Set once the referral bonus for this (referred) user has been paid out.
+  referralRewardedAt: {
+    type: Date,
+  },
+  signupIp: {
+    type: String,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
   },
 });
 
+userSchema.index({ referredBy: 1, referralRewardedAt: 1 });
+
 userSchema.pre('save', async function() {
   if (!this.isModified('password')) return;
   this.password = await bcrypt.hash(this.password, 10);
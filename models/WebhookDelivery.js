@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+
+const webhookDeliverySchema = new mongoose.Schema({
+  endpointId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookEndpoint',
+    required: true,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  eventId: {
+    type: String,
+    required: true,
+  },
+  event: {
+    type: String,
+    required: true,
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'delivering', 'succeeded', 'failed'],
+    default: 'pending',
+  },
+  attempts: [{
+    _id: false,
+    attemptedAt: Date,
+    statusCode: Number,
+    error: String,
+    durationMs: Number,
+  }],
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lockedUntil: {
+    type: Date,
+  },
+  redeliveryOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery',
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ endpointId: 1, createdAt: -1 });
+
+export default mongoose.model('WebhookDelivery', webhookDeliverySchema);
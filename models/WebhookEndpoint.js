@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+export const WEBHOOK_EVENTS = ['job.completed', 'job.failed', 'job.blocked', 'job.cancelled', 'credits.purchased', 'credits.refunded'];
+
+const webhookEndpointSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  url: {
+    type: String,
+    required: true,
+  },
+  description: {
+    type: String,
+  },
+  events: {
+    type: [{ type: String, enum: WEBHOOK_EVENTS }],
+    default: () => [...WEBHOOK_EVENTS],
+  },
+  // Kept in plaintext: it is needed to sign every payload.
+  secret: {
+    type: String,
+    required: true,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+webhookEndpointSchema.index({ userId: 1, isActive: 1 });
+
+webhookEndpointSchema.statics.generateSecret = function() {
+  return 'whsec_' + crypto.randomBytes(24).toString('hex');
+};
+
+export default mongoose.model('WebhookEndpoint', webhookEndpointSchema);
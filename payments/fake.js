@@ -0,0 +1,38 @@
+import crypto from 'crypto';
+import { signPayload, verifySignature } from './signature.js';
+
+// Local stand-in for a real payment provider. Checkout "sessions" are
+// settled by posting a signed event to the billing webhook, which is what
+// buildEvent() produces; nothing leaves the process.
+export const createFakeProvider = ({ webhookSecret, baseUrl }) => {
+  return {
+    name: 'fake',
+    async createCheckout({ transaction }) {
+      const sessionId = 'fake_cs_' + crypto.randomBytes(12).toString('hex');
+      return {
+        sessionId,
+        url: `${baseUrl}/api/billing/fake-checkout/${sessionId}?transactionId=${transaction._id}`,
+      };
+    },
+    async chargeRenewal() {
+      return { paymentId: 'fake_pi_' + crypto.randomBytes(12).toString('hex') };
+    },
+    buildEvent(type, transaction) {
+      const body = JSON.stringify({
+        id: 'fake_evt_' + crypto.randomBytes(12).toString('hex'),
+        type,
+        transactionId: transaction._id.toString(),
+        paymentId: transaction.metadata?.paymentId || 'fake_pi_' + transaction._id,
+        customerId: 'fake_cus_' + transaction.userId,
+      });
+      const signature = signPayload(webhookSecret, Math.floor(Date.now() / 1000), body);
+      return { body, headers: { 'x-fake-signature': signature } };
+    },
+    parseWebhook(rawBody, headers) {
+      if (!verifySignature(webhookSecret, headers['x-fake-signature'], rawBody)) {
+        return { error: 'Invalid signature' };
+      }
+      return { event: JSON.parse(rawBody) };
+    },
+  };
+};
@@ -0,0 +1,36 @@
+import { createStripeProvider } from './stripe.js';
+import { createFakeProvider } from './fake.js';
+
+// Stripe when configured. The local fake grants credits without a real
+// payment, so it only runs when asked for by name (PAYMENT_PROVIDER=fake),
+// never in production, and only with its own webhook secret.
+const requestedProvider = () => process.env.PAYMENT_PROVIDER || (process.env.STRIPE_SECRET_KEY ? 'stripe' : null);
+
+// Returns why the payment configuration is unsafe to start with, or null.
+export const checkPaymentConfig = () => {
+  if (requestedProvider() !== 'fake') return null;
+  if (process.env.NODE_ENV === 'production') return 'PAYMENT_PROVIDER=fake is not allowed in production';
+  const secret = process.env.FAKE_PAYMENT_WEBHOOK_SECRET;
+  if (!secret) return 'FAKE_PAYMENT_WEBHOOK_SECRET is not set';
+  if (secret.length < 32) return 'FAKE_PAYMENT_WEBHOOK_SECRET must be at least 32 characters';
+  return null;
+};
+
+const createPaymentProvider = () => {
+  const requested = requestedProvider();
+  if (requested === 'stripe') {
+    return createStripeProvider({
+      secretKey: process.env.STRIPE_SECRET_KEY,
+      webhookSecret: process.env.STRIPE_WEBHOOK_SECRET,
+    });
+  }
+  if (requested === 'fake' && !checkPaymentConfig()) {
+    return createFakeProvider({
+      webhookSecret: process.env.FAKE_PAYMENT_WEBHOOK_SECRET,
+      baseUrl: process.env.BASE_URL || `http://localhost:${process.env.PORT || 3000}`,
+    });
+  }
+  return null;
+};
+
+export const paymentProvider = createPaymentProvider();
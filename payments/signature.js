@@ -0,0 +1,25 @@
+import crypto from 'crypto';
+
+const TOLERANCE_SECONDS = 300;
+
+export const signPayload = (secret, timestamp, body) => {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+};
+
+// Verifies a `t=<timestamp>,v1=<hex digest>` header (the Stripe scheme) over
+// the raw request body, rejecting stale timestamps to limit replays.
+export const verifySignature = (secret, header, body) => {
+  if (!secret || !header) return false;
+  const parts = header.split(',').map(part => part.split('='));
+  const timestamp = parts.find(([key]) => key === 't')?.[1];
+  const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
+  if (!timestamp || signatures.length === 0) return false;
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > TOLERANCE_SECONDS) return false;
+
+  const expected = Buffer.from(signPayload(secret, timestamp, body).split('v1=')[1], 'hex');
+  return signatures.some(signature => {
+    const candidate = Buffer.from(signature, 'hex');
+    return candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected);
+  });
+};
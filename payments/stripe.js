@@ -0,0 +1,119 @@
+import { verifySignature } from './signature.js';
+
+const STRIPE_API = 'https://api.stripe.com/v1';
+
+// Flattens nested objects into Stripe's form encoding (a[b][c]=value).
+const encodeForm = (data, prefix = '', params = new URLSearchParams()) => {
+  for (const [key, value] of Object.entries(data)) {
+    if (value === undefined || value === null) continue;
+    const name = prefix ? `${prefix}[${key}]` : key;
+    if (typeof value === 'object') {
+      encodeForm(value, name, params);
+    } else {
+      params.append(name, String(value));
+    }
+  }
+  return params;
+};
+
+export const createStripeProvider = ({ secretKey, webhookSecret }) => {
+  return {
+    name: 'stripe',
+    async createCheckout({ transaction, pkg, credits, user, successUrl, cancelUrl, saveForRenewal = false }) {
+      const response = await fetch(`${STRIPE_API}/checkout/sessions`, {
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${secretKey}`,
+          'Content-Type': 'application/x-www-form-urlencoded',
+          'Idempotency-Key': transaction._id.toString(),
+        },
+        body: encodeForm({
+          mode: 'payment',
+          success_url: successUrl,
+          cancel_url: cancelUrl,
+          client_reference_id: transaction._id.toString(),
+          customer_email: user.email,
+          metadata: { transactionId: transaction._id.toString() },
+          customer_creation: saveForRenewal ? 'always' : undefined,
+          payment_intent_data: {
+            metadata: { transactionId: transaction._id.toString() },
+            setup_future_usage: saveForRenewal ? 'off_session' : undefined,
+          },
+          line_items: [{
+            quantity: 1,
+            price_data: {
+              currency: pkg.currency,
+              unit_amount: Math.round(pkg.price * 100),
+              product_data: { name: `${pkg.name} (${credits} credits)` },
+            },
+          }],
+        }),
+      });
+      const session = await response.json();
+      if (!response.ok) {
+        throw new Error(session.error?.message || `Stripe responded with ${response.status}`);
+      }
+      return { sessionId: session.id, url: session.url };
+    },
+    // Charges a saved card off-session, reusing the payment method of the
+    // customer's previous payment. Resolves to { paymentId } or throws.
+    async chargeRenewal({ customerId, previousPaymentId, amount, currency, idempotencyKey, metadata }) {
+      const headers = { Authorization: `Bearer ${secretKey}` };
+      const previous = await fetch(`${STRIPE_API}/payment_intents/${previousPaymentId}`, { headers });
+      const previousIntent = await previous.json();
+      if (!previous.ok) {
+        throw new Error(previousIntent.error?.message || `Stripe responded with ${previous.status}`);
+      }
+      const response = await fetch(`${STRIPE_API}/payment_intents`, {
+        method: 'POST',
+        headers: {
+          ...headers,
+          'Content-Type': 'application/x-www-form-urlencoded',
+          'Idempotency-Key': idempotencyKey,
+        },
+        body: encodeForm({
+          amount: Math.round(amount * 100),
+          currency,
+          customer: customerId,
+          payment_method: previousIntent.payment_method,
+          off_session: true,
+          confirm: true,
+          metadata,
+        }),
+      });
+      const intent = await response.json();
+      if (!response.ok || intent.status !== 'succeeded') {
+        throw new Error(intent.error?.message || `Renewal payment ${intent.status || 'failed'}`);
+      }
+      return { paymentId: intent.id };
+    },
+    // Maps the Stripe events we care about onto provider-neutral ones:
+    // { id, type: 'payment.succeeded' | 'payment.failed' | 'payment.refunded',
+    //   transactionId, paymentId }. Other events resolve to null.
+    parseWebhook(rawBody, headers) {
+      if (!verifySignature(webhookSecret, headers['stripe-signature'], rawBody)) {
+        return { error: 'Invalid signature' };
+      }
+      const event = JSON.parse(rawBody);
+      const object = event.data?.object || {};
+      const base = { id: event.id };
+      switch (event.type) {
+        case 'checkout.session.completed':
+          if (object.payment_status !== 'paid') return { event: null };
+          return { event: { ...base, type: 'payment.succeeded', transactionId: object.client_reference_id, paymentId: object.payment_intent, customerId: object.customer } };
+        case 'checkout.session.async_payment_succeeded':
+          return { event: { ...base, type: 'payment.succeeded', transactionId: object.client_reference_id, paymentId: object.payment_intent, customerId: object.customer } };
+        case 'checkout.session.async_payment_failed':
+        case 'checkout.session.expired':
+          return { event: { ...base, type: 'payment.failed', transactionId: object.client_reference_id } };
+        case 'charge.refunded':
+          // Only a full refund takes the purchase's credits back. Partial
+          // refunds are goodwill adjustments and leave the balance alone.
+          if (object.amount_refunded < object.amount) return { event: null };
+          return { event: { ...base, type: 'payment.refunded', transactionId: object.metadata?.transactionId, paymentId: object.payment_intent } };
+        default:
+          return { event: null };
+      }
+    },
+  };
+};
@@ -0,0 +1,61 @@
+// Generic provider for self-hosted endpoints. The endpoint receives a JSON
+// body (input images base64 encoded) and may answer with raw image bytes or
+// JSON carrying a base64 `image`.
+export const createHttpProvider = ({ url, token }) => {
+  const request = async (body, signal) => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      },
+      body: JSON.stringify(body),
+      signal,
+    });
+    if (!response.ok) {
+      throw new Error(`HTTP provider responded with ${response.status}`);
+    }
+    const contentType = response.headers.get('content-type') || '';
+    if (contentType.includes('application/json')) {
+      const data = await response.json();
+      if (!data.image) {
+        throw new Error('HTTP provider response is missing an image');
+      }
+      return Buffer.from(data.image, 'base64');
+    }
+    return Buffer.from(await response.arrayBuffer());
+  };
+
+  return {
+    name: 'http',
+    tasks: ['text-to-image', 'image-to-image', 'inpaint', 'upscale'],
+    isAvailable: () => !!url,
+    // Any answer short of a server error means the endpoint is reachable.
+    async checkHealth({ signal }) {
+      const response = await fetch(url, { method: 'HEAD', signal });
+      if (response.status >= 500) {
+        throw new Error(`HTTP provider responded with ${response.status}`);
+      }
+    },
+    textToImage({ model, prompt, negativePrompt, parameters, signal }) {
+      return request({
+        task: 'text-to-image',
+        model,
+        prompt,
+        negative_prompt: negativePrompt || '',
+        parameters: parameters || {},
+      }, signal);
+    },
+    imageToImage({ task, model, prompt, negativePrompt, parameters, image, mask, signal }) {
+      return request({
+        task,
+        model,
+        prompt: prompt || '',
+        negative_prompt: negativePrompt || '',
+        parameters: parameters || {},
+        image: image.toString('base64'),
+        ...(mask ? { mask: mask.toString('base64') } : {}),
+      }, signal);
+    },
+  };
+};
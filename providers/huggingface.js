@@ -0,0 +1,44 @@
+import { HfInference } from '@huggingface/inference';
+
+export const createHuggingFaceProvider = ({ apiKey }) => {
+  const hf = apiKey ? new HfInference(apiKey) : null;
+
+  return {
+    name: 'huggingface',
+    tasks: ['text-to-image', 'image-to-image', 'inpaint', 'upscale'],
+    isAvailable: () => !!hf,
+    // Also proves the token is still accepted.
+    async checkHealth({ signal }) {
+      const response = await fetch('https://huggingface.co/api/whoami-v2', {
+        headers: { Authorization: `Bearer ${apiKey}` },
+        signal,
+      });
+      if (!response.ok) {
+        throw new Error(`Hugging Face responded with ${response.status}`);
+      }
+    },
+    async textToImage({ model, prompt, negativePrompt, parameters, signal }) {
+      const imageBlob = await hf.textToImage({
+        model,
+        inputs: prompt,
+        parameters: { ...parameters, negative_prompt: negativePrompt || '' }
+      }, { signal });
+      return Buffer.from(await imageBlob.arrayBuffer());
+    },
+    // Output size follows the input image, so width/height are not forwarded.
+    async imageToImage({ model, prompt, negativePrompt, parameters, image, mask, signal }) {
+      const { width, height, ...rest } = parameters || {};
+      const imageBlob = await hf.imageToImage({
+        model,
+        inputs: new Blob([image]),
+        parameters: {
+          ...rest,
+          prompt: prompt || '',
+          negative_prompt: negativePrompt || '',
+          ...(mask ? { mask_image: mask.toString('base64') } : {}),
+        }
+      }, { signal });
+      return Buffer.from(await imageBlob.arrayBuffer());
+    },
+  };
+};
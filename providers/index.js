@@ -0,0 +1,20 @@
+import { createHuggingFaceProvider } from './huggingface.js';
+import { createHttpProvider } from './http.js';
+import { createLocalProvider } from './local.js';
+
+const providers = new Map();
+
+export const registerProvider = (provider) => {
+  providers.set(provider.name, provider);
+};
+
+export const getProvider = (name) => providers.get(name);
+
+export const listProviders = () => [...providers.values()];
+
+registerProvider(createHuggingFaceProvider({ apiKey: process.env.HUGGINGFACE_API_KEY }));
+registerProvider(createHttpProvider({
+  url: process.env.HTTP_PROVIDER_URL,
+  token: process.env.HTTP_PROVIDER_TOKEN,
+}));
+registerProvider(createLocalProvider());
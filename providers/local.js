@@ -0,0 +1,87 @@
+import crypto from 'crypto';
+import zlib from 'zlib';
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const chunk = (type, data) => {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+};
+
+// Largest placeholder side. The raw image is built in memory on the event
+// loop, so requested sizes beyond this are scaled down keeping their ratio.
+const MAX_PLACEHOLDER_DIMENSION = 2048;
+
+// Renders a diagonal two-colour gradient; colours are derived from the request
+// so the same prompt and parameters always produce the same image.
+export const renderPlaceholderPng = (requestedWidth, requestedHeight, seedText) => {
+  const scale = Math.min(1, MAX_PLACEHOLDER_DIMENSION / Math.max(requestedWidth, requestedHeight));
+  const width = Math.max(1, Math.round(requestedWidth * scale));
+  const height = Math.max(1, Math.round(requestedHeight * scale));
+  const digest = crypto.createHash('sha256').update(seedText).digest();
+  const from = [digest[0], digest[1], digest[2]];
+  const to = [digest[3], digest[4], digest[5]];
+
+  const rowLength = width * 3 + 1;
+  const raw = Buffer.alloc(rowLength * height);
+  const span = Math.max(width + height - 2, 1);
+  for (let y = 0; y < height; y++) {
+    const row = y * rowLength;
+    raw[row] = 0;
+    for (let x = 0; x < width; x++) {
+      const t = (x + y) / span;
+      const offset = row + 1 + x * 3;
+      for (let c = 0; c < 3; c++) {
+        raw[offset + c] = Math.round(from[c] + (to[c] - from[c]) * t);
+      }
+    }
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 2; // colour type: RGB
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(raw)),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+};
+
+export const createLocalProvider = () => {
+  const render = async ({ model, prompt, negativePrompt, parameters }) => {
+    const width = parameters?.width || 1024;
+    const height = parameters?.height || 1024;
+    const seedText = JSON.stringify([model, prompt, negativePrompt || '', parameters?.seed ?? null]);
+    return renderPlaceholderPng(width, height, seedText);
+  };
+
+  return {
+    name: 'local',
+    tasks: ['text-to-image', 'image-to-image', 'inpaint', 'upscale'],
+    isAvailable: () => true,
+    textToImage: render,
+    imageToImage: render,
+  };
+};
@@ -0,0 +1,519 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Job from '../models/Job.js';
+import Transaction from '../models/Transaction.js';
+import Subscription from '../models/Subscription.js';
+import PromoCode from '../models/PromoCode.js';
+import ModerationLog from '../models/ModerationLog.js';
+import AdminAuditLog from '../models/AdminAuditLog.js';
+import { authenticate, requireSession, requireAdmin } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { reconcileAll, adjustCredits, placeHold, releaseHold } from '../services/ledger.js';
+import { publishJobEvent } from '../services/events.js';
+import { revokeAllSessions } from '../services/accounts.js';
+import { recordAdminAction } from '../services/audit.js';
+import { getCurrentSubscription, describeSubscription } from '../services/subscriptions.js';
+import { requeueJob, RETRYABLE_JOB_STATUSES } from '../services/jobs.js';
+import { getCacheStats, purgeCache } from '../services/generationCache.js';
+import { logger } from '../services/logger.js';
+import * as schemas from '../schemas/admin.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// `page` and `limit` are validated and capped by the route's query schema.
+const paginate = (req) => {
+  const { page, limit } = req.query;
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+const serializeUser = (user) => ({
+  id: user._id,
+  email: user.email,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  role: user.role,
+  credits: user.credits,
+  emailVerified: user.emailVerified,
+  suspended: !!user.suspendedAt,
+  suspendedAt: user.suspendedAt,
+  suspendedReason: user.suspendedReason,
+  createdAt: user.createdAt,
+});
+
+const serializeJob = (job) => ({
+  id: job._id,
+  userId: job.userId,
+  type: job.type,
+  prompt: job.prompt,
+  model: job.model,
+  status: job.status,
+  numImages: job.numImages,
+  creditCost: job.creditCost,
+  refundedCredits: job.refundedCredits,
+  cacheSavings: job.cacheSavings,
+  attempts: job.attempts,
+  maxAttempts: job.maxAttempts,
+  result: job.result,
+  error: job.error,
+  moderation: job.status === 'blocked' ? job.moderation : undefined,
+  visibility: job.visibility,
+  createdAt: job.createdAt,
+});
+
+// Everything under /api/admin: requires an admin user session, and every
+// change is written to the admin audit log.
+export const createAdminRouter = ({ jobQueue }) => {
+  const router = express.Router();
+  router.use(authenticate, requireSession, requireAdmin);
+
+  router.param('id', (req, res, next, id) => {
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+    next();
+  });
+
+  router.get('/users', validate(schemas.listUsers), async (req, res) => {
+    try {
+      const { page, limit, skip } = paginate(req);
+      const filter = {};
+      if (req.query.search) {
+        const pattern = new RegExp(escapeRegex(req.query.search), 'i');
+        filter.$or = [{ email: pattern }, { firstName: pattern }, { lastName: pattern }];
+      }
+      if (req.query.role) filter.role = req.query.role;
+      if (req.query.suspended === true) filter.suspendedAt = { $ne: null };
+      if (req.query.suspended === false) filter.suspendedAt = null;
+      const [users, total] = await Promise.all([
+        User.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit),
+        User.countDocuments(filter),
+      ]);
+      res.json({
+        users: users.map(serializeUser),
+        pagination: { page, limit, total },
+      });
+    } catch (error) {
+      logger.error('Admin list users error', { error });
+      res.status(500).json({ error: 'Failed to fetch users' });
+    }
+  });
+
+  router.get('/users/:id', async (req, res) => {
+    try {
+      const user = await User.findById(req.params.id);
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      const [jobCounts, transactions, subscription] = await Promise.all([
+        Job.aggregate([
+          { $match: { userId: user._id } },
+          { $group: { _id: '$status', count: { $sum: 1 } } },
+        ]),
+        Transaction.find({ userId: user._id }).sort({ createdAt: -1 }).limit(20),
+        getCurrentSubscription(user._id),
+      ]);
+      res.json({
+        ...serializeUser(user),
+        subscription: await describeSubscription(subscription, user),
+        jobs: Object.fromEntries(jobCounts.map(({ _id, count }) => [_id, count])),
+        recentTransactions: transactions,
+      });
+    } catch (error) {
+      logger.error('Admin get user error', { error });
+      res.status(500).json({ error: 'Failed to fetch user' });
+    }
+  });
+
+  router.patch('/users/:id', validate(schemas.updateUser), async (req, res) => {
+    try {
+      const { role } = req.body;
+      if (req.params.id === req.user._id.toString()) {
+        return res.status(400).json({ error: 'You cannot change your own role' });
+      }
+      const previous = await User.findByIdAndUpdate(req.params.id, { $set: { role } });
+      if (!previous) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      await recordAdminAction(req, 'user.role', {
+        targetType: 'user',
+        targetId: previous._id,
+        details: { from: previous.role, to: role },
+      });
+      res.json(serializeUser(await User.findById(previous._id)));
+    } catch (error) {
+      logger.error('Admin update user error', { error });
+      res.status(500).json({ error: 'Failed to update user' });
+    }
+  });
+
+  // Suspension signs the user out everywhere; their API keys stop working
+  // because authentication refuses suspended accounts.
+  router.post('/users/:id/suspend', validate(schemas.suspendUser), async (req, res) => {
+    try {
+      if (req.params.id === req.user._id.toString()) {
+        return res.status(400).json({ error: 'You cannot suspend yourself' });
+      }
+      const reason = req.body.reason.trim();
+      const user = await User.findOneAndUpdate(
+        { _id: req.params.id, suspendedAt: null },
+        { $set: { suspendedAt: new Date(), suspendedReason: reason } },
+        { new: true }
+      );
+      if (!user) {
+        const exists = await User.exists({ _id: req.params.id });
+        return res.status(exists ? 409 : 404).json({ error: exists ? 'User is already suspended' : 'User not found' });
+      }
+      await revokeAllSessions(user._id);
+      await recordAdminAction(req, 'user.suspend', { targetType: 'user', targetId: user._id, details: { reason } });
+      res.json(serializeUser(user));
+    } catch (error) {
+      logger.error('Admin suspend user error', { error });
+      res.status(500).json({ error: 'Failed to suspend user' });
+    }
+  });
+
+  router.post('/users/:id/unsuspend', async (req, res) => {
+    try {
+      const user = await User.findOneAndUpdate(
+        { _id: req.params.id, suspendedAt: { $ne: null } },
+        { $unset: { suspendedAt: 1, suspendedReason: 1 } },
+        { new: true }
+      );
+      if (!user) {
+        const exists = await User.exists({ _id: req.params.id });
+        return res.status(exists ? 409 : 404).json({ error: exists ? 'User is not suspended' : 'User not found' });
+      }
+      await recordAdminAction(req, 'user.unsuspend', { targetType: 'user', targetId: user._id });
+      res.json(serializeUser(user));
+    } catch (error) {
+      logger.error('Admin unsuspend user error', { error });
+      res.status(500).json({ error: 'Failed to unsuspend user' });
+    }
+  });
+
+  // Positive `credits` grants, negative revokes; both are ledger entries of
+  // type `adjustment`.
+  router.post('/users/:id/credits', validate(schemas.adjustCredits), async (req, res) => {
+    try {
+      const { credits } = req.body;
+      const reason = req.body.reason.trim();
+      if (credits === 0) {
+        return res.status(400).json({ error: 'Credits must be a non-zero integer' });
+      }
+      if (!(await User.exists({ _id: req.params.id }))) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      const adjusted = await adjustCredits(req.params.id, {
+        credits,
+        description: `${credits > 0 ? 'Granted' : 'Revoked'} by admin: ${reason}`,
+        metadata: { adminId: req.user._id },
+      });
+      if (!adjusted) {
+        return res.status(409).json({ error: 'The balance is lower than the credits to revoke' });
+      }
+      await recordAdminAction(req, credits > 0 ? 'credits.grant' : 'credits.revoke', {
+        targetType: 'user',
+        targetId: req.params.id,
+        details: { credits, reason, transactionId: adjusted.transaction._id },
+      });
+      res.json({
+        transactionId: adjusted.transaction._id,
+        credits,
+        balance: adjusted.user.credits,
+      });
+    } catch (error) {
+      logger.error('Admin adjust credits error', { error });
+      res.status(500).json({ error: 'Failed to adjust credits' });
+    }
+  });
+
+  router.get('/jobs', validate(schemas.listJobs), async (req, res) => {
+    try {
+      const { page, limit, skip } = paginate(req);
+      const filter = {};
+      if (req.query.userId) filter.userId = req.query.userId;
+      if (req.query.status) filter.status = req.query.status;
+      if (req.query.model) filter.model = req.query.model;
+      const [jobs, total] = await Promise.all([
+        Job.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit),
+        Job.countDocuments(filter),
+      ]);
+      res.json({
+        jobs: jobs.map(serializeJob),
+        pagination: { page, limit, total },
+      });
+    } catch (error) {
+      logger.error('Admin list jobs error', { error });
+      res.status(500).json({ error: 'Failed to fetch jobs' });
+    }
+  });
+
+  router.get('/jobs/:id', async (req, res) => {
+    try {
+      const job = await Job.findById(req.params.id);
+      if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+      }
+      res.json({ ...serializeJob(job), parameters: job.parameters, inputs: job.inputs, batchId: job.batchId });
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to fetch job' });
+    }
+  });
+
+  // Requeues a permanently failed job with a fresh set of attempts. The
+  // failed run was refunded, so the retry is charged like a new job; grant
+  // credits first to make it free for the user.
+  router.post('/jobs/:id/retry', async (req, res) => {
+    try {
+      const job = await Job.findById(req.params.id);
+      if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+      }
+      if (!RETRYABLE_JOB_STATUSES.includes(job.status)) {
+        return res.status(409).json({ error: 'Only failed or cancelled jobs can be retried' });
+      }
+      const hold = await placeHold(job.userId, {
+        jobId: job._id,
+        batchId: job.batchId,
+        amount: job.creditCost,
+        description: `Retry of image ${job.type}: ${(job.prompt || '').substring(0, 50)}...`,
+      }, { organizationId: job.organizationId });
+      if (!hold) {
+        return res.status(402).json({ error: 'The user has insufficient credits for the retry' });
+      }
+      const retried = await requeueJob(job._id);
+      if (!retried) {
+        await releaseHold(job._id, 'Retry could not be started');
+        return res.status(409).json({ error: 'Only failed or cancelled jobs can be retried' });
+      }
+      publishJobEvent(retried, 'job.status', { status: 'pending', retried: true });
+      jobQueue.notify();
+      await recordAdminAction(req, 'job.retry', {
+        targetType: 'job',
+        targetId: job._id,
+        details: { userId: job.userId, previousError: job.error?.message },
+      });
+      res.status(202).json(serializeJob(retried));
+    } catch (error) {
+      logger.error('Admin retry job error', { error });
+      res.status(500).json({ error: 'Failed to retry job' });
+    }
+  });
+
+  // Takes a job out of the community gallery and revokes its share link.
+  router.post('/jobs/:id/unpublish', validate(schemas.unpublishJob), async (req, res) => {
+    try {
+      const job = await Job.findByIdAndUpdate(
+        req.params.id,
+        { $set: { visibility: 'private' }, $unset: { publishedAt: 1, shareToken: 1 } },
+        { new: true }
+      );
+      if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+      }
+      await recordAdminAction(req, 'job.unpublish', {
+        targetType: 'job',
+        targetId: job._id,
+        details: { userId: job.userId, reason: req.body.reason },
+      });
+      res.json(serializeJob(job));
+    } catch (error) {
+      logger.error('Admin unpublish job error', { error });
+      res.status(500).json({ error: 'Failed to unpublish job' });
+    }
+  });
+
+  router.get('/stats', validate(schemas.stats), async (req, res) => {
+    try {
+      const { days } = req.query;
+      const since = new Date(Date.now() - days * DAY_MS);
+      const revenueGroup = {
+        $group: {
+          _id: null,
+          purchases: { $sum: 1 },
+          gross: { $sum: '$amount' },
+          refunded: { $sum: { $cond: [{ $ifNull: ['$metadata.refundedAt', false] }, '$amount', 0] } },
+        },
+      };
+      const [jobsByStatus, models, [revenue], users, suspendedUsers, activeSubscriptions] = await Promise.all([
+        Job.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+        Job.aggregate([
+          { $match: { createdAt: { $gte: since }, status: { $in: ['completed', 'failed', 'blocked'] } } },
+          {
+            $group: {
+              _id: '$model',
+              total: { $sum: 1 },
+              failed: { $sum: { $cond: [{ $eq: ['$status', 'failed'] }, 1, 0] } },
+              blocked: { $sum: { $cond: [{ $eq: ['$status', 'blocked'] }, 1, 0] } },
+            },
+          },
+          { $sort: { total: -1 } },
+        ]),
+        Transaction.aggregate([
+          { $match: { type: 'purchase', status: 'completed', amount: { $gt: 0 } } },
+          {
+            $facet: {
+              allTime: [revenueGroup],
+              period: [{ $match: { createdAt: { $gte: since } } }, revenueGroup],
+            },
+          },
+        ]),
+        User.countDocuments(),
+        User.countDocuments({ suspendedAt: { $ne: null } }),
+        Subscription.countDocuments({ status: 'active' }),
+      ]);
+      const summarizeRevenue = ([group]) => {
+        const { purchases = 0, gross = 0, refunded = 0 } = group || {};
+        return { purchases, gross, refunded, net: gross - refunded };
+      };
+      res.json({
+        periodDays: days,
+        jobsByStatus: Object.fromEntries(jobsByStatus.map(({ _id, count }) => [_id, count])),
+        models: models.map(({ _id, total, failed, blocked }) => ({
+          model: _id,
+          total,
+          failed,
+          blocked,
+          failureRate: total > 0 ? failed / total : 0,
+        })),
+        revenue: {
+          allTime: summarizeRevenue(revenue.allTime),
+          period: summarizeRevenue(revenue.period),
+        },
+        users: { total: users, suspended: suspendedUsers },
+        activeSubscriptions,
+      });
+    } catch (error) {
+      logger.error('Admin stats error', { error });
+      res.status(500).json({ error: 'Failed to fetch stats' });
+    }
+  });
+
+  router.get('/audit', validate(schemas.listAudit), async (req, res) => {
+    try {
+      const { page, limit, skip } = paginate(req);
+      const filter = {};
+      if (req.query.action) filter.action = req.query.action;
+      if (req.query.targetType) filter.targetType = req.query.targetType;
+      if (req.query.targetId) filter.targetId = req.query.targetId;
+      if (req.query.adminId) filter.adminId = req.query.adminId;
+      const [entries, total] = await Promise.all([
+        AdminAuditLog.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit),
+        AdminAuditLog.countDocuments(filter),
+      ]);
+      res.json({
+        entries,
+        pagination: { page, limit, total },
+      });
+    } catch (error) {
+      logger.error('Admin audit log error', { error });
+      res.status(500).json({ error: 'Failed to fetch audit log' });
+    }
+  });
+
+  router.get('/moderation', validate(schemas.listModeration), async (req, res) => {
+    try {
+      const { page, limit, skip } = paginate(req);
+      const filter = {};
+      if (req.query.decision) filter.decision = req.query.decision;
+      if (req.query.stage) filter.stage = req.query.stage;
+      if (req.query.category) filter.categories = req.query.category;
+      if (req.query.userId) filter.userId = req.query.userId;
+      const [entries, total] = await Promise.all([
+        ModerationLog.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit),
+        ModerationLog.countDocuments(filter),
+      ]);
+      res.json({
+        entries,
+        pagination: { page, limit, total },
+      });
+    } catch (error) {
+      logger.error('Moderation log error', { error });
+      res.status(500).json({ error: 'Failed to fetch moderation log' });
+    }
+  });
+
+  router.get('/ledger/reconcile', async (req, res) => {
+    try {
+      res.json(await reconcileAll());
+    } catch (error) {
+      logger.error('Reconcile all error', { error });
+      res.status(500).json({ error: 'Failed to reconcile balances' });
+    }
+  });
+
+  router.get('/cache', async (req, res) => {
+    try {
+      res.json(await getCacheStats());
+    } catch (error) {
+      logger.error('Cache stats error', { error });
+      res.status(500).json({ error: 'Failed to fetch cache stats' });
+    }
+  });
+
+  router.post('/cache/purge', validate(schemas.purgeCache), async (req, res) => {
+    try {
+      const { model } = req.body;
+      const removed = await purgeCache({ model });
+      await recordAdminAction(req, 'cache.purge', { targetType: 'generation-cache', targetId: model, details: { removed } });
+      res.json({ removed });
+    } catch (error) {
+      logger.error('Purge cache error', { error });
+      res.status(500).json({ error: 'Failed to purge cache' });
+    }
+  });
+
+  // The admin-editable promo code fields present in a validated body.
+  const readPromoFields = (body) => {
+    const fields = {};
+    for (const name of ['credits', 'maxRedemptions', 'perUserLimit', 'active', 'description']) {
+      if (body[name] !== undefined) fields[name] = body[name];
+    }
+    if (body.expiresAt !== undefined) fields.expiresAt = body.expiresAt && new Date(body.expiresAt);
+    return fields;
+  };
+
+  router.post('/promo-codes', validate(schemas.createPromoCode), async (req, res) => {
+    try {
+      const fields = { ...readPromoFields(req.body), code: req.body.code, createdBy: req.user._id };
+      const promo = await PromoCode.create(fields);
+      await recordAdminAction(req, 'promo-code.create', { targetType: 'promo-code', targetId: promo._id, details: promo.toPublic() });
+      res.status(201).json(promo.toPublic());
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({ error: 'Promo code already exists' });
+      }
+      logger.error('Create promo code error', { error });
+      res.status(500).json({ error: 'Failed to create promo code' });
+    }
+  });
+
+  router.get('/promo-codes', async (req, res) => {
+    try {
+      const promos = await PromoCode.find().sort({ createdAt: -1 });
+      res.json({ promoCodes: promos.map(promo => promo.toPublic()) });
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to fetch promo codes' });
+    }
+  });
+
+  router.patch('/promo-codes/:id', validate(schemas.updatePromoCode), async (req, res) => {
+    try {
+      const update = readPromoFields(req.body);
+      const promo = await PromoCode.findByIdAndUpdate(req.params.id, { $set: update }, { new: true });
+      if (!promo) {
+        return res.status(404).json({ error: 'Promo code not found' });
+      }
+      await recordAdminAction(req, 'promo-code.update', { targetType: 'promo-code', targetId: promo._id, details: update });
+      res.json(promo.toPublic());
+    } catch (error) {
+      logger.error('Update promo code error', { error });
+      res.status(500).json({ error: 'Failed to update promo code' });
+    }
+  });
+
+  return router;
+};
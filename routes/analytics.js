@@ -0,0 +1,182 @@
+import express from 'express';
+import Job from '../models/Job.js';
+import Transaction from '../models/Transaction.js';
+import { authenticate, requireScope } from '../middleware/auth.js';
+import { resolveOrganization, requireOrganizationRole } from '../middleware/organization.js';
+import { validate } from '../middleware/validate.js';
+import { ownerFilter, ledgerFilter, getMemberSpend } from '../services/organizations.js';
+import { getCurrentSubscription, describeSubscription } from '../services/subscriptions.js';
+import {
+  isValidTimezone,
+  parseRange,
+  buildJobMatch,
+  getTimeSeries,
+  getModelBreakdown,
+  getCreditsUsed,
+  streamExport,
+  JOB_EXPORT_COLUMNS,
+  TRANSACTION_EXPORT_COLUMNS,
+} from '../services/analytics.js';
+import { logger } from '../services/logger.js';
+import * as schemas from '../schemas/analytics.js';
+
+const exportFilename = (name, from, to) => `${name}-${from.toISOString().slice(0, 10)}-${to.toISOString().slice(0, 10)}`;
+
+// Usage analytics under /api/analytics, for the caller or, with
+// X-Organization-Id, their organization. Series, breakdowns and exports
+// take `from`/`to` (default: the last 30 days) and optionally `apiKeyId`.
+export const createAnalyticsRouter = () => {
+  const router = express.Router();
+  router.use(authenticate, resolveOrganization);
+
+  router.get('/stats', requireScope('images:read'), async (req, res) => {
+    try {
+      const owner = ownerFilter(req);
+      const startOfMonth = new Date();
+      startOfMonth.setDate(1);
+      startOfMonth.setHours(0, 0, 0, 0);
+      const sevenDaysAgo = new Date();
+      sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
+      const [totalImages, imagesThisMonth, totalCreditsUsed, recentJobs] = await Promise.all([
+        Job.countDocuments({ ...owner, status: 'completed' }),
+        Job.countDocuments({ ...owner, status: 'completed', createdAt: { $gte: startOfMonth } }),
+        getCreditsUsed(ledgerFilter(req)),
+        Job.find({ ...owner, createdAt: { $gte: sevenDaysAgo } }).sort({ createdAt: -1 }).limit(10),
+      ]);
+      if (req.organization) {
+        return res.json({
+          totalImages,
+          imagesThisMonth,
+          totalCreditsUsed,
+          currentCredits: req.organization.credits,
+          organization: {
+            id: req.organization._id,
+            name: req.organization.name,
+            role: req.membership.role,
+            spendingCap: req.membership.spendingCap ?? null,
+            spentThisMonth: await getMemberSpend(req.membership),
+          },
+          recentActivity: recentJobs.map(job => ({
+            id: job._id,
+            userId: job.userId,
+            prompt: job.prompt,
+            status: job.status,
+            createdAt: job.createdAt,
+          }))
+        });
+      }
+      const subscription = await describeSubscription(await getCurrentSubscription(req.user._id), req.user);
+      res.json({
+        totalImages,
+        imagesThisMonth,
+        totalCreditsUsed,
+        currentCredits: req.user.credits,
+        purchasedCredits: req.user.credits - (subscription?.allowance.remaining || 0),
+        plan: subscription && {
+          id: subscription.planId,
+          name: subscription.planName,
+          status: subscription.status,
+          renewsAt: subscription.renewsAt,
+          allowance: subscription.allowance,
+        },
+        recentActivity: recentJobs.map(job => ({
+          id: job._id,
+          prompt: job.prompt,
+          status: job.status,
+          createdAt: job.createdAt,
+        }))
+      });
+    } catch (error) {
+      logger.error('Analytics error', { error });
+      res.status(500).json({ error: 'Failed to fetch analytics' });
+    }
+  });
+
+  router.get('/timeseries', requireScope('images:read'), validate(schemas.timeSeries), async (req, res) => {
+    try {
+      const { interval, timezone } = req.query;
+      if (!isValidTimezone(timezone)) {
+        return res.status(400).json({ error: 'Unknown timezone' });
+      }
+      const built = buildJobMatch(ownerFilter(req), req.query);
+      if (built.error) {
+        return res.status(400).json({ error: built.error });
+      }
+      res.json({
+        from: built.from,
+        to: built.to,
+        interval,
+        timezone,
+        series: await getTimeSeries(built.match, { interval, timezone }),
+      });
+    } catch (error) {
+      logger.error('Analytics time series error', { error });
+      res.status(500).json({ error: 'Failed to fetch time series' });
+    }
+  });
+
+  router.get('/models', requireScope('images:read'), validate(schemas.modelBreakdown), async (req, res) => {
+    try {
+      const built = buildJobMatch(ownerFilter(req), req.query);
+      if (built.error) {
+        return res.status(400).json({ error: built.error });
+      }
+      res.json({
+        from: built.from,
+        to: built.to,
+        models: await getModelBreakdown(built.match),
+      });
+    } catch (error) {
+      logger.error('Analytics models error', { error });
+      res.status(500).json({ error: 'Failed to fetch model breakdown' });
+    }
+  });
+
+  router.get('/export/jobs', requireScope('images:read'), validate(schemas.exportJobs), async (req, res) => {
+    try {
+      const { format } = req.query;
+      const built = buildJobMatch(ownerFilter(req), req.query);
+      if (built.error) {
+        return res.status(400).json({ error: built.error });
+      }
+      await streamExport(res, Job.find(built.match).sort({ createdAt: 1 }).cursor(), {
+        format,
+        filename: exportFilename('jobs', built.from, built.to),
+        columns: JOB_EXPORT_COLUMNS,
+      });
+    } catch (error) {
+      logger.error('Export jobs error', { error });
+      if (!res.headersSent) {
+        res.status(500).json({ error: 'Failed to export jobs' });
+      } else {
+        res.end();
+      }
+    }
+  });
+
+  // Same entries as GET /api/billing/transactions.
+  router.get('/export/transactions', requireScope('billing:read'), requireOrganizationRole('admin'), validate(schemas.exportTransactions), async (req, res) => {
+    try {
+      const { format } = req.query;
+      const range = parseRange(req.query);
+      if (range.error) {
+        return res.status(400).json({ error: range.error });
+      }
+      const filter = { ...ledgerFilter(req), createdAt: { $gte: range.from, $lt: range.to } };
+      await streamExport(res, Transaction.find(filter).sort({ createdAt: 1 }).cursor(), {
+        format,
+        filename: exportFilename('transactions', range.from, range.to),
+        columns: TRANSACTION_EXPORT_COLUMNS,
+      });
+    } catch (error) {
+      logger.error('Export transactions error', { error });
+      if (!res.headersSent) {
+        res.status(500).json({ error: 'Failed to export transactions' });
+      } else {
+        res.end();
+      }
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,163 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Collection, { MAX_COLLECTION_SIZE } from '../models/Collection.js';
+import Job from '../models/Job.js';
+import { authenticate, requireScope, requireSession } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { logger } from '../services/logger.js';
+import * as schemas from '../schemas/collections.js';
+
+const serializeCollection = (collection) => ({
+  id: collection._id,
+  name: collection.name,
+  description: collection.description,
+  size: collection.jobIds.length,
+  createdAt: collection.createdAt,
+  updatedAt: collection.updatedAt,
+});
+
+// A collection may hold the user's own completed images and public ones
+// from the community gallery.
+const visibleJobFilter = (userId) => ({
+  status: 'completed',
+  $or: [{ userId }, { visibility: 'public' }],
+});
+
+// The user's named collections of images under /api/collections.
+export const createCollectionRouter = () => {
+  const router = express.Router();
+  router.use(authenticate);
+
+  router.param('id', async (req, res, next, id) => {
+    try {
+      if (!mongoose.isValidObjectId(id)) {
+        return res.status(404).json({ error: 'Collection not found' });
+      }
+      req.collection = await Collection.findOne({ _id: id, userId: req.user._id });
+      if (!req.collection) {
+        return res.status(404).json({ error: 'Collection not found' });
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/', requireScope('images:read'), async (req, res) => {
+    try {
+      const collections = await Collection.find({ userId: req.user._id }).sort({ createdAt: -1 });
+      res.json({ collections: collections.map(serializeCollection) });
+    } catch (error) {
+      logger.error('List collections error', { error });
+      res.status(500).json({ error: 'Failed to fetch collections' });
+    }
+  });
+
+  router.post('/', requireSession, validate(schemas.createCollection), async (req, res) => {
+    try {
+      const collection = await Collection.create({
+        userId: req.user._id,
+        name: req.body.name.trim(),
+        description: req.body.description?.trim(),
+      });
+      res.status(201).json(serializeCollection(collection));
+    } catch (error) {
+      logger.error('Create collection error', { error });
+      res.status(500).json({ error: 'Failed to create collection' });
+    }
+  });
+
+  // Images the owner can no longer see (since unpublished by their author)
+  // are left out of the listing.
+  router.get('/:id', requireScope('images:read'), validate(schemas.getCollection), async (req, res) => {
+    try {
+      const { page, limit } = req.query;
+      const ids = req.collection.jobIds.slice((page - 1) * limit, page * limit);
+      const jobs = await Job.find({ _id: { $in: ids }, ...visibleJobFilter(req.user._id) });
+      const byId = new Map(jobs.map(job => [job._id.toString(), job]));
+      res.json({
+        ...serializeCollection(req.collection),
+        images: ids.filter(id => byId.has(id.toString())).map(id => {
+          const job = byId.get(id.toString());
+          return {
+            id: job._id,
+            prompt: job.prompt,
+            model: job.model,
+            result: job.result,
+            mine: job.userId.equals(req.user._id),
+            createdAt: job.createdAt,
+          };
+        }),
+        pagination: { page, limit, total: req.collection.jobIds.length },
+      });
+    } catch (error) {
+      logger.error('Get collection error', { error });
+      res.status(500).json({ error: 'Failed to fetch collection' });
+    }
+  });
+
+  router.patch('/:id', requireSession, validate(schemas.updateCollection), async (req, res) => {
+    try {
+      if (req.body.name !== undefined) req.collection.name = req.body.name.trim();
+      if (req.body.description !== undefined) req.collection.description = req.body.description?.trim();
+      req.collection.updatedAt = new Date();
+      await req.collection.save();
+      res.json(serializeCollection(req.collection));
+    } catch (error) {
+      logger.error('Update collection error', { error });
+      res.status(500).json({ error: 'Failed to update collection' });
+    }
+  });
+
+  router.delete('/:id', requireSession, async (req, res) => {
+    try {
+      await req.collection.deleteOne();
+      res.json({ message: 'Collection deleted' });
+    } catch (error) {
+      logger.error('Delete collection error', { error });
+      res.status(500).json({ error: 'Failed to delete collection' });
+    }
+  });
+
+  router.post('/:id/images', requireSession, validate(schemas.addImage), async (req, res) => {
+    try {
+      const { jobId } = req.body;
+      const job = await Job.exists({ _id: jobId, ...visibleJobFilter(req.user._id) });
+      if (!job) {
+        return res.status(404).json({ error: 'Image not found' });
+      }
+      // The size check and the insert are one conditional update.
+      const updated = await Collection.findOneAndUpdate(
+        { _id: req.collection._id, [`jobIds.${MAX_COLLECTION_SIZE - 1}`]: { $exists: false } },
+        { $addToSet: { jobIds: job._id }, $set: { updatedAt: new Date() } },
+        { new: true }
+      );
+      if (!updated) {
+        return res.status(400).json({ error: `A collection can hold at most ${MAX_COLLECTION_SIZE} images` });
+      }
+      res.json(serializeCollection(updated));
+    } catch (error) {
+      logger.error('Add to collection error', { error });
+      res.status(500).json({ error: 'Failed to add image to collection' });
+    }
+  });
+
+  router.delete('/:id/images/:jobId', requireSession, async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.jobId)) {
+        return res.status(404).json({ error: 'Image not found' });
+      }
+      const updated = await Collection.findByIdAndUpdate(
+        req.collection._id,
+        { $pull: { jobIds: req.params.jobId }, $set: { updatedAt: new Date() } },
+        { new: true }
+      );
+      res.json(serializeCollection(updated));
+    } catch (error) {
+      logger.error('Remove from collection error', { error });
+      res.status(500).json({ error: 'Failed to remove image from collection' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,280 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Organization from '../models/Organization.js';
+import OrganizationMember from '../models/OrganizationMember.js';
+import OrganizationInvitation from '../models/OrganizationInvitation.js';
+import User from '../models/User.js';
+import { authenticate, requireSession } from '../middleware/auth.js';
+import { requireOrganizationRole } from '../middleware/organization.js';
+import { validate } from '../middleware/validate.js';
+import { getMemberSpend, createInvitation, acceptInvitation } from '../services/organizations.js';
+import { reconcileOrganization } from '../services/ledger.js';
+import { logger } from '../services/logger.js';
+import * as schemas from '../schemas/organizations.js';
+
+const serializeOrganization = (organization, membership) => ({
+  id: organization._id,
+  name: organization.name,
+  credits: organization.credits,
+  role: membership.role,
+  createdAt: organization.createdAt,
+});
+
+const serializeInvitation = (invitation) => ({
+  id: invitation._id,
+  email: invitation.email,
+  role: invitation.role,
+  invitedBy: invitation.invitedBy,
+  expiresAt: invitation.expiresAt,
+  createdAt: invitation.createdAt,
+});
+
+const countOwners = (organizationId) => OrganizationMember.countDocuments({ organizationId, role: 'owner' });
+
+// Organization management under /api/organizations. Routes with :id load
+// the organization and the caller's membership into req.organization and
+// req.membership, and answer 404 to non-members.
+export const createOrganizationRouter = () => {
+  const router = express.Router();
+  router.use(authenticate, requireSession);
+
+  router.param('id', async (req, res, next, id) => {
+    try {
+      if (!mongoose.isValidObjectId(id)) {
+        return res.status(404).json({ error: 'Organization not found' });
+      }
+      const [organization, membership] = await Promise.all([
+        Organization.findById(id),
+        OrganizationMember.findOne({ organizationId: id, userId: req.user._id }),
+      ]);
+      if (!organization || !membership) {
+        return res.status(404).json({ error: 'Organization not found' });
+      }
+      req.organization = organization;
+      req.membership = membership;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.param('userId', (req, res, next, id) => {
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+    next();
+  });
+
+  router.post('/', validate(schemas.createOrganization), async (req, res) => {
+    try {
+      const organization = await Organization.create({ name: req.body.name.trim(), createdBy: req.user._id });
+      const membership = await OrganizationMember.create({
+        organizationId: organization._id,
+        userId: req.user._id,
+        role: 'owner',
+      });
+      res.status(201).json(serializeOrganization(organization, membership));
+    } catch (error) {
+      logger.error('Create organization error', { error });
+      res.status(500).json({ error: 'Failed to create organization' });
+    }
+  });
+
+  router.get('/', async (req, res) => {
+    try {
+      const memberships = await OrganizationMember.find({ userId: req.user._id }).sort({ joinedAt: 1 });
+      const organizations = await Organization.find({ _id: { $in: memberships.map(m => m.organizationId) } });
+      const byId = new Map(organizations.map(o => [o._id.toString(), o]));
+      res.json({
+        organizations: memberships
+          .filter(m => byId.has(m.organizationId.toString()))
+          .map(m => serializeOrganization(byId.get(m.organizationId.toString()), m)),
+      });
+    } catch (error) {
+      logger.error('List organizations error', { error });
+      res.status(500).json({ error: 'Failed to fetch organizations' });
+    }
+  });
+
+  router.post('/invitations/accept', validate(schemas.acceptInvitation), async (req, res) => {
+    try {
+      const accepted = await acceptInvitation(req.body.token, req.user);
+      if (accepted.error) {
+        return res.status(accepted.status).json({ error: accepted.error });
+      }
+      const organization = await Organization.findById(accepted.membership.organizationId);
+      res.json(serializeOrganization(organization, accepted.membership));
+    } catch (error) {
+      logger.error('Accept invitation error', { error });
+      res.status(500).json({ error: 'Failed to accept invitation' });
+    }
+  });
+
+  router.get('/:id', async (req, res) => {
+    try {
+      res.json({
+        ...serializeOrganization(req.organization, req.membership),
+        spendingCap: req.membership.spendingCap ?? null,
+        spentThisMonth: await getMemberSpend(req.membership),
+      });
+    } catch (error) {
+      logger.error('Get organization error', { error });
+      res.status(500).json({ error: 'Failed to fetch organization' });
+    }
+  });
+
+  router.patch('/:id', requireOrganizationRole('admin'), validate(schemas.updateOrganization), async (req, res) => {
+    try {
+      req.organization.name = req.body.name.trim();
+      await req.organization.save();
+      res.json(serializeOrganization(req.organization, req.membership));
+    } catch (error) {
+      logger.error('Update organization error', { error });
+      res.status(500).json({ error: 'Failed to update organization' });
+    }
+  });
+
+  router.get('/:id/reconcile', requireOrganizationRole('owner'), async (req, res) => {
+    try {
+      res.json(await reconcileOrganization(req.organization));
+    } catch (error) {
+      logger.error('Reconcile organization error', { error });
+      res.status(500).json({ error: 'Failed to reconcile organization balance' });
+    }
+  });
+
+  router.get('/:id/members', async (req, res) => {
+    try {
+      const members = await OrganizationMember.find({ organizationId: req.organization._id }).sort({ joinedAt: 1 });
+      const users = await User.find({ _id: { $in: members.map(m => m.userId) } }, { email: 1, firstName: 1, lastName: 1 });
+      const byId = new Map(users.map(u => [u._id.toString(), u]));
+      res.json({
+        members: await Promise.all(members.map(async (member) => {
+          const user = byId.get(member.userId.toString());
+          return {
+            userId: member.userId,
+            email: user?.email,
+            firstName: user?.firstName,
+            lastName: user?.lastName,
+            role: member.role,
+            spendingCap: member.spendingCap ?? null,
+            spentThisMonth: await getMemberSpend(member),
+            joinedAt: member.joinedAt,
+          };
+        })),
+      });
+    } catch (error) {
+      logger.error('List organization members error', { error });
+      res.status(500).json({ error: 'Failed to fetch members' });
+    }
+  });
+
+  // Admins manage members' caps and may promote members to admin; only
+  // owners change admins or owners, and the last owner cannot step down.
+  router.patch('/:id/members/:userId', requireOrganizationRole('admin'), validate(schemas.updateMember), async (req, res) => {
+    try {
+      const { role, spendingCap } = req.body;
+      const member = await OrganizationMember.findOne({ organizationId: req.organization._id, userId: req.params.userId });
+      if (!member) {
+        return res.status(404).json({ error: 'Member not found' });
+      }
+      const isOwner = req.membership.hasRole('owner');
+      if (!isOwner && (member.hasRole('admin') || role === 'owner')) {
+        return res.status(403).json({ error: 'Only owners can change admins or assign owners' });
+      }
+      if (role !== undefined && role !== 'owner' && member.role === 'owner'
+        && (await countOwners(req.organization._id)) <= 1) {
+        return res.status(400).json({ error: 'An organization needs at least one owner' });
+      }
+      if (role !== undefined) member.role = role;
+      if (spendingCap !== undefined) member.spendingCap = spendingCap ?? undefined;
+      await member.save();
+      res.json({
+        userId: member.userId,
+        role: member.role,
+        spendingCap: member.spendingCap ?? null,
+      });
+    } catch (error) {
+      logger.error('Update organization member error', { error });
+      res.status(500).json({ error: 'Failed to update member' });
+    }
+  });
+
+  // Admins remove members, owners remove anyone, and everyone may leave.
+  router.delete('/:id/members/:userId', async (req, res) => {
+    try {
+      const member = await OrganizationMember.findOne({ organizationId: req.organization._id, userId: req.params.userId });
+      if (!member) {
+        return res.status(404).json({ error: 'Member not found' });
+      }
+      const leaving = member.userId.equals(req.user._id);
+      if (!leaving && (!req.membership.hasRole('admin') || (member.hasRole('admin') && !req.membership.hasRole('owner')))) {
+        return res.status(403).json({ error: 'You cannot remove this member' });
+      }
+      if (member.role === 'owner' && (await countOwners(req.organization._id)) <= 1) {
+        return res.status(400).json({ error: 'An organization needs at least one owner' });
+      }
+      await member.deleteOne();
+      res.json({ message: leaving ? 'You left the organization' : 'Member removed' });
+    } catch (error) {
+      logger.error('Remove organization member error', { error });
+      res.status(500).json({ error: 'Failed to remove member' });
+    }
+  });
+
+  router.get('/:id/invitations', requireOrganizationRole('admin'), async (req, res) => {
+    try {
+      const invitations = await OrganizationInvitation.find({
+        organizationId: req.organization._id,
+        acceptedAt: null,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+      }).sort({ createdAt: -1 });
+      res.json({ invitations: invitations.map(serializeInvitation) });
+    } catch (error) {
+      logger.error('List invitations error', { error });
+      res.status(500).json({ error: 'Failed to fetch invitations' });
+    }
+  });
+
+  router.post('/:id/invitations', requireOrganizationRole('admin'), validate(schemas.createInvitation), async (req, res) => {
+    try {
+      const { email, role } = req.body;
+      if (role === 'admin' && !req.membership.hasRole('owner')) {
+        return res.status(403).json({ error: 'Only owners can invite admins' });
+      }
+      const normalized = email.trim().toLowerCase();
+      const existing = await User.findOne({ email: normalized }, { _id: 1 });
+      if (existing && await OrganizationMember.exists({ organizationId: req.organization._id, userId: existing._id })) {
+        return res.status(409).json({ error: 'This user is already a member' });
+      }
+      const invitation = await createInvitation(req.organization, { email: normalized, role }, req.user);
+      res.status(201).json(serializeInvitation(invitation));
+    } catch (error) {
+      logger.error('Create invitation error', { error });
+      res.status(500).json({ error: 'Failed to send invitation' });
+    }
+  });
+
+  router.delete('/:id/invitations/:invitationId', requireOrganizationRole('admin'), async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.invitationId)) {
+        return res.status(404).json({ error: 'Invitation not found' });
+      }
+      const invitation = await OrganizationInvitation.findOneAndUpdate(
+        { _id: req.params.invitationId, organizationId: req.organization._id, acceptedAt: null, revokedAt: null },
+        { $set: { revokedAt: new Date() } },
+        { new: true }
+      );
+      if (!invitation) {
+        return res.status(404).json({ error: 'Invitation not found' });
+      }
+      res.json({ message: 'Invitation revoked' });
+    } catch (error) {
+      logger.error('Revoke invitation error', { error });
+      res.status(500).json({ error: 'Failed to revoke invitation' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,114 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Job from '../models/Job.js';
+import Like from '../models/Like.js';
+import { authenticate, requireSession } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { serializePublicImage, loadAuthors, likeJob, unlikeJob } from '../services/gallery.js';
+import { logger } from '../services/logger.js';
+import { paginate } from '../services/pagination.js';
+import * as schemas from '../schemas/public.js';
+
+const publicFilter = { visibility: 'public', status: 'completed' };
+
+// The community gallery under /api/public. Reading needs no account;
+// liking needs a user session.
+export const createPublicRouter = () => {
+  const router = express.Router();
+
+  router.param('id', (req, res, next, id) => {
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+    next();
+  });
+
+  router.get('/gallery', validate(schemas.listGallery), async (req, res) => {
+    try {
+      const filter = { ...publicFilter };
+      if (req.query.model) filter.model = req.query.model;
+      const listed = await paginate(Job, filter, { ...req.query, sorts: schemas.FEED_SORTS });
+      if (listed.error) {
+        return res.status(400).json({ error: listed.error });
+      }
+      const authors = await loadAuthors(listed.items);
+      res.json({
+        images: listed.items.map(job => serializePublicImage(job, authors.get(job.userId.toString()))),
+        pagination: listed.pagination,
+      });
+    } catch (error) {
+      logger.error('Public gallery error', { error });
+      res.status(500).json({ error: 'Failed to fetch gallery' });
+    }
+  });
+
+  router.get('/images/:id', async (req, res) => {
+    try {
+      const job = await Job.findOne({ _id: req.params.id, ...publicFilter });
+      if (!job) {
+        return res.status(404).json({ error: 'Image not found' });
+      }
+      const [authors, remixCount] = await Promise.all([
+        loadAuthors([job]),
+        Job.countDocuments({ remixOf: job._id, ...publicFilter }),
+      ]);
+      res.json({ ...serializePublicImage(job, authors.get(job.userId.toString())), remixCount });
+    } catch (error) {
+      logger.error('Public image error', { error });
+      res.status(500).json({ error: 'Failed to fetch image' });
+    }
+  });
+
+  // Share links work for private jobs too; the token is the permission.
+  router.get('/shared/:token', async (req, res) => {
+    try {
+      const job = await Job.findOne({ shareToken: String(req.params.token), status: 'completed' });
+      if (!job) {
+        return res.status(404).json({ error: 'Image not found' });
+      }
+      const authors = await loadAuthors([job]);
+      res.json(serializePublicImage(job, authors.get(job.userId.toString())));
+    } catch (error) {
+      logger.error('Shared image error', { error });
+      res.status(500).json({ error: 'Failed to fetch image' });
+    }
+  });
+
+  router.get('/images/:id/like', authenticate, requireSession, async (req, res) => {
+    try {
+      const liked = await Like.exists({ jobId: req.params.id, userId: req.user._id });
+      res.json({ liked: !!liked });
+    } catch (error) {
+      logger.error('Get like error', { error });
+      res.status(500).json({ error: 'Failed to fetch like' });
+    }
+  });
+
+  router.post('/images/:id/like', authenticate, requireSession, async (req, res) => {
+    try {
+      const likeCount = await likeJob(req.params.id, req.user._id);
+      if (likeCount === null) {
+        return res.status(404).json({ error: 'Image not found' });
+      }
+      res.json({ liked: true, likeCount });
+    } catch (error) {
+      logger.error('Like error', { error });
+      res.status(500).json({ error: 'Failed to like image' });
+    }
+  });
+
+  router.delete('/images/:id/like', authenticate, requireSession, async (req, res) => {
+    try {
+      const likeCount = await unlikeJob(req.params.id, req.user._id);
+      if (likeCount === null) {
+        return res.status(404).json({ error: 'Image not found' });
+      }
+      res.json({ liked: false, likeCount });
+    } catch (error) {
+      logger.error('Unlike error', { error });
+      res.status(500).json({ error: 'Failed to unlike image' });
+    }
+  });
+
+  return router;
+};
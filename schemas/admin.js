@@ -0,0 +1,131 @@
+import User from '../models/User.js';
+import Job from '../models/Job.js';
+import ModerationLog from '../models/ModerationLog.js';
+import { objectId, paginationQuery, reasonBody, nonBlankString } from './common.js';
+
+// Admin lists default to 50 rows and allow up to 200 per page.
+const adminPage = paginationQuery({ defaultLimit: 50, maxLimit: 200 });
+
+export const listUsers = {
+  summary: 'List users',
+  tags: ['Admin'],
+  query: {
+    properties: {
+      ...adminPage,
+      search: { type: 'string', maxLength: 200, description: 'Matches email, first or last name' },
+      role: { type: 'string', enum: User.schema.path('role').enumValues },
+      suspended: { type: 'boolean' },
+    },
+  },
+};
+
+export const updateUser = {
+  summary: "Change a user's role",
+  tags: ['Admin'],
+  body: {
+    type: 'object',
+    required: ['role'],
+    properties: { role: { type: 'string', enum: User.schema.path('role').enumValues } },
+  },
+};
+
+export const suspendUser = { summary: 'Suspend a user and sign them out', tags: ['Admin'], body: reasonBody() };
+
+export const adjustCredits = {
+  summary: "Grant or revoke credits on a user's balance",
+  tags: ['Admin'],
+  body: {
+    type: 'object',
+    required: ['credits', 'reason'],
+    properties: {
+      credits: { type: 'integer', description: 'Positive grants, negative revokes' },
+      reason: nonBlankString(500),
+    },
+  },
+};
+
+export const listJobs = {
+  summary: 'List jobs across all users',
+  tags: ['Admin'],
+  query: {
+    properties: {
+      ...adminPage,
+      userId: objectId,
+      status: { type: 'string', enum: Job.schema.path('status').enumValues },
+      model: { type: 'string' },
+    },
+  },
+};
+
+export const unpublishJob = { summary: 'Remove a job from the community gallery', tags: ['Admin'], body: reasonBody(false) };
+
+export const stats = {
+  summary: 'Platform statistics',
+  tags: ['Admin'],
+  query: { properties: { days: { type: 'integer', minimum: 1, maximum: 365, default: 30 } } },
+};
+
+export const listAudit = {
+  summary: 'Read the admin audit log',
+  tags: ['Admin'],
+  query: {
+    properties: {
+      ...adminPage,
+      action: { type: 'string' },
+      targetType: { type: 'string' },
+      targetId: { type: 'string' },
+      adminId: objectId,
+    },
+  },
+};
+
+export const listModeration = {
+  summary: 'Read the moderation log',
+  tags: ['Admin'],
+  query: {
+    properties: {
+      ...adminPage,
+      decision: { type: 'string', enum: ModerationLog.schema.path('decision').enumValues },
+      stage: { type: 'string', enum: ModerationLog.schema.path('stage').enumValues },
+      category: { type: 'string' },
+      userId: objectId,
+    },
+  },
+};
+
+const promoFields = {
+  credits: { type: 'integer', minimum: 1 },
+  maxRedemptions: { type: 'integer', minimum: 1, nullable: true },
+  perUserLimit: { type: 'integer', minimum: 1 },
+  expiresAt: { type: 'string', format: 'date-time', nullable: true },
+  active: { type: 'boolean' },
+  description: { type: 'string', maxLength: 500 },
+};
+
+export const createPromoCode = {
+  summary: 'Create a promo code',
+  tags: ['Admin'],
+  body: {
+    type: 'object',
+    required: ['code', 'credits'],
+    properties: {
+      code: {
+        type: 'string',
+        pattern: '^[A-Za-z0-9_-]{3,32}$',
+        'x-pattern-message': 'must be 3-32 letters, digits, dashes or underscores',
+      },
+      ...promoFields,
+    },
+  },
+};
+
+export const updatePromoCode = { summary: 'Update a promo code', tags: ['Admin'], body: { type: 'object', properties: promoFields } };
+
+export const purgeCache = {
+  summary: 'Empty the generation cache',
+  tags: ['Admin'],
+  body: {
+    type: 'object',
+    properties: { model: { type: 'string', description: 'Only purge entries of this model' } },
+  },
+};
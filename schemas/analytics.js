@@ -0,0 +1,40 @@
+import { INTERVALS } from '../services/analytics.js';
+import { objectId, dateRangeQuery as createdRange } from './common.js';
+
+const EXPORT_FORMATS = ['csv', 'json'];
+
+const dateRangeQuery = {
+  from: { ...createdRange.from, description: 'Inclusive start; defaults to 30 days before `to`' },
+  to: { ...createdRange.to, description: 'Exclusive end; defaults to now' },
+};
+
+const jobRangeQuery = {
+  ...dateRangeQuery,
+  apiKeyId: { ...objectId, description: 'Only jobs created with this API key' },
+};
+
+export const timeSeries = {
+  summary: 'Jobs, images and credits per interval',
+  tags: ['Analytics'],
+  query: {
+    properties: {
+      ...jobRangeQuery,
+      interval: { type: 'string', enum: INTERVALS, default: 'day' },
+      timezone: { type: 'string', default: 'UTC', description: 'IANA time zone the buckets are aligned to' },
+    },
+  },
+};
+
+export const modelBreakdown = { summary: 'Usage and latency per model', tags: ['Analytics'], query: { properties: jobRangeQuery } };
+
+export const exportJobs = {
+  summary: 'Download jobs as CSV or JSON',
+  tags: ['Analytics'],
+  query: { properties: { ...jobRangeQuery, format: { type: 'string', enum: EXPORT_FORMATS, default: 'csv' } } },
+};
+
+export const exportTransactions = {
+  summary: 'Download ledger entries as CSV or JSON',
+  tags: ['Analytics'],
+  query: { properties: { ...dateRangeQuery, format: { type: 'string', enum: EXPORT_FORMATS, default: 'csv' } } },
+};
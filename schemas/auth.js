@@ -0,0 +1,70 @@
+import { nonBlankString } from './common.js';
+
+const email = { type: 'string', format: 'email', maxLength: 254 };
+const password = { type: 'string', minLength: 8, maxLength: 128 };
+const name = nonBlankString(100);
+const token = { type: 'string', minLength: 1 };
+
+export const register = {
+  summary: 'Create an account',
+  tags: ['Auth'],
+  body: {
+    type: 'object',
+    required: ['email', 'password', 'firstName', 'lastName'],
+    properties: {
+      email,
+      password,
+      firstName: name,
+      lastName: name,
+      referralCode: { type: 'string', maxLength: 32 },
+    },
+  },
+};
+
+export const login = {
+  summary: 'Sign in with email and password',
+  tags: ['Auth'],
+  body: {
+    type: 'object',
+    required: ['email', 'password'],
+    properties: { email: { type: 'string' }, password: { type: 'string' } },
+  },
+};
+
+const refreshTokenBody = {
+  type: 'object',
+  required: ['refreshToken'],
+  properties: { refreshToken: token },
+};
+
+export const refresh = { summary: 'Exchange a refresh token for a new session', tags: ['Auth'], body: refreshTokenBody };
+
+export const logout = { summary: 'Revoke a refresh token', tags: ['Auth'], body: refreshTokenBody };
+
+export const changePassword = {
+  summary: 'Change the password and sign out other sessions',
+  tags: ['Auth'],
+  body: {
+    type: 'object',
+    required: ['currentPassword', 'newPassword'],
+    properties: { currentPassword: { type: 'string' }, newPassword: password },
+  },
+};
+
+export const forgotPassword = {
+  summary: 'Email a password reset link',
+  tags: ['Auth'],
+  body: { type: 'object', required: ['email'], properties: { email: { type: 'string', maxLength: 254 } } },
+};
+
+export const resetPassword = {
+  summary: 'Set a new password with a reset token',
+  tags: ['Auth'],
+  body: { type: 'object', required: ['token', 'password'], properties: { token, password } },
+};
+
+export const verifyEmail = {
+  summary: 'Confirm an email address',
+  tags: ['Auth'],
+  body: { type: 'object', required: ['token'], properties: { token } },
+};
@@ -0,0 +1,78 @@
+import { CREDIT_PACKAGES } from '../config/packages.js';
+import { PLANS } from '../config/plans.js';
+import Transaction from '../models/Transaction.js';
+import { objectId, dateRangeQuery, cursorPaginationQuery } from './common.js';
+
+const returnUrls = {
+  successUrl: { type: 'string', format: 'uri', description: 'Where the provider sends the buyer after paying' },
+  cancelUrl: { type: 'string', format: 'uri', description: 'Where the provider sends the buyer if they give up' },
+};
+
+export const checkout = {
+  summary: 'Start checkout for a credit package',
+  tags: ['Billing'],
+  body: {
+    type: 'object',
+    required: ['packageId'],
+    properties: {
+      packageId: { type: 'string', enum: CREDIT_PACKAGES.map(pkg => pkg.id) },
+      ...returnUrls,
+    },
+  },
+};
+
+export const getCheckout = {
+  summary: 'Get the status of a checkout',
+  tags: ['Billing'],
+  params: { properties: { transactionId: objectId } },
+};
+
+export const subscribe = {
+  summary: 'Subscribe to, upgrade or downgrade a plan',
+  tags: ['Billing'],
+  body: {
+    type: 'object',
+    required: ['planId'],
+    properties: {
+      planId: { type: 'string', enum: PLANS.map(plan => plan.id) },
+      ...returnUrls,
+    },
+  },
+};
+
+export const fakeCheckout = {
+  summary: 'Settle a checkout session (development only)',
+  tags: ['Billing'],
+  body: {
+    type: 'object',
+    properties: { outcome: { type: 'string', enum: ['succeeded', 'failed', 'refunded'], default: 'succeeded' } },
+  },
+};
+
+export const redeem = {
+  summary: 'Redeem a promo code',
+  tags: ['Billing'],
+  body: { type: 'object', required: ['code'], properties: { code: { type: 'string', maxLength: 32 } } },
+};
+
+export const TRANSACTION_SORTS = {
+  newest: { field: 'createdAt', direction: -1 },
+  oldest: { field: 'createdAt', direction: 1 },
+};
+
+export const listTransactions = {
+  summary: 'List ledger entries',
+  tags: ['Billing'],
+  query: {
+    properties: {
+      ...cursorPaginationQuery(TRANSACTION_SORTS, 'newest'),
+      ...dateRangeQuery,
+      type: {
+        type: 'array',
+        items: { type: 'string', enum: Transaction.schema.path('type').enumValues },
+        description: 'One type or a comma-separated list',
+      },
+      status: { type: 'string', enum: Transaction.schema.path('status').enumValues },
+    },
+  },
+};
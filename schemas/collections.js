@@ -0,0 +1,26 @@
+import { objectId, pageQuery, nonBlankString } from './common.js';
+
+const collectionProperties = {
+  name: nonBlankString(100),
+  description: { type: 'string', maxLength: 1000, nullable: true },
+};
+
+export const createCollection = {
+  summary: 'Create a collection',
+  tags: ['Collections'],
+  body: { type: 'object', required: ['name'], properties: collectionProperties },
+};
+
+export const getCollection = { summary: 'Get a collection with a page of its images', tags: ['Collections'], query: pageQuery };
+
+export const updateCollection = {
+  summary: 'Rename or describe a collection',
+  tags: ['Collections'],
+  body: { type: 'object', properties: collectionProperties },
+};
+
+export const addImage = {
+  summary: 'Add an own or public image to a collection',
+  tags: ['Collections'],
+  body: { type: 'object', required: ['jobId'], properties: { jobId: objectId } },
+};
@@ -0,0 +1,49 @@
+// Building blocks shared by the route schemas. See middleware/validate.js
+// for how they are applied and services/openapi.js for how they are
+// published.
+
+export const MAX_PAGE_LIMIT = 100;
+
+export const objectId = {
+  type: 'string',
+  pattern: '^[0-9a-fA-F]{24}$',
+  'x-pattern-message': 'must be a 24-character hex id',
+};
+
+export const idParams = { properties: { id: objectId } };
+
+// A name or title: up to `maxLength` characters, not only whitespace.
+export const nonBlankString = (maxLength) => ({
+  type: 'string',
+  maxLength,
+  pattern: '\\S',
+  'x-pattern-message': 'must not be blank',
+});
+
+// `page` and `limit` for the offset-paginated lists; `limit` is capped so a
+// client cannot ask for a whole collection in one response.
+export const paginationQuery = ({ defaultLimit = 20, maxLimit = MAX_PAGE_LIMIT } = {}) => ({
+  page: { type: 'integer', minimum: 1, default: 1 },
+  limit: { type: 'integer', minimum: 1, maximum: maxLimit, default: defaultLimit },
+});
+
+export const pageQuery = { properties: paginationQuery() };
+
+// Lists that also take the opaque `cursor` from the previous response
+// (services/pagination.js), sorted by one of `sorts`.
+export const cursorPaginationQuery = (sorts, defaultSort, limits) => ({
+  ...paginationQuery(limits),
+  cursor: { type: 'string', maxLength: 512, description: '`nextCursor` of the previous response; takes precedence over `page`' },
+  sort: { type: 'string', enum: Object.keys(sorts), default: defaultSort },
+});
+
+export const dateRangeQuery = {
+  from: { type: 'string', format: 'date-time', description: 'Created at or after (inclusive)' },
+  to: { type: 'string', format: 'date-time', description: 'Created before (exclusive)' },
+};
+
+export const reasonBody = (required = true) => ({
+  type: 'object',
+  required: required ? ['reason'] : [],
+  properties: { reason: nonBlankString(500) },
+});
@@ -0,0 +1,181 @@
+import Job, { JOB_TYPES } from '../models/Job.js';
+import { MAX_IMAGES_PER_JOB, MAX_BATCH_SIZE, JOB_BULK_LIMIT } from '../services/jobs.js';
+import { objectId, idParams, dateRangeQuery, cursorPaginationQuery } from './common.js';
+
+const MAX_PROMPT_LENGTH = 2000;
+
+// Model-specific parameters are checked against the model catalog when
+// the job is built (services/parameters.js), not here.
+const generationProperties = {
+  prompt: { type: 'string', minLength: 1, maxLength: MAX_PROMPT_LENGTH },
+  negativePrompt: { type: 'string', maxLength: MAX_PROMPT_LENGTH },
+  model: { type: 'string', maxLength: 200 },
+  parameters: { type: 'object', description: 'Model parameters such as width, height, steps and seed' },
+  numImages: { type: 'integer', minimum: 1, maximum: MAX_IMAGES_PER_JOB },
+};
+
+export const generate = {
+  summary: 'Queue a text-to-image job',
+  tags: ['Images'],
+  body: { type: 'object', required: ['prompt'], properties: generationProperties },
+};
+
+export const remix = {
+  summary: 'Generate again from a public, own or shared job',
+  tags: ['Images'],
+  params: idParams,
+  body: {
+    type: 'object',
+    properties: {
+      ...generationProperties,
+      shareToken: { type: 'string', description: 'Share token of a private job shared with the caller' },
+    },
+  },
+};
+
+export const batch = {
+  summary: 'Queue one job per prompt, charged together',
+  tags: ['Images'],
+  body: {
+    type: 'object',
+    required: ['prompts'],
+    properties: {
+      ...generationProperties,
+      prompts: {
+        type: 'array',
+        minItems: 1,
+        maxItems: MAX_BATCH_SIZE,
+        description: 'Prompts, or objects overriding the shared fields per job',
+        items: {
+          oneOf: [
+            generationProperties.prompt,
+            { type: 'object', properties: generationProperties, additionalProperties: false },
+          ],
+        },
+      },
+    },
+  },
+};
+
+// img2img, inpaint and upscale take multipart uploads (`image`, `mask`)
+// or a JSON body pointing at an earlier job's output.
+export const imageJob = (summary) => ({
+  summary,
+  tags: ['Images'],
+  bodyType: 'multipart',
+  body: {
+    type: 'object',
+    properties: {
+      ...generationProperties,
+      image: { type: 'string', format: 'binary', description: 'PNG or JPEG input image' },
+      mask: { type: 'string', format: 'binary', description: 'Inpainting mask, same size as the image' },
+      sourceJobId: objectId,
+      sourceImageIndex: { type: 'integer', minimum: 0 },
+    },
+  },
+});
+
+export const getJob = { summary: 'Get a job', tags: ['Images'], params: idParams };
+
+export const JOB_SORTS = {
+  newest: { field: 'createdAt', direction: -1 },
+  oldest: { field: 'createdAt', direction: 1 },
+};
+
+export const GALLERY_SORTS = {
+  ...JOB_SORTS,
+  popular: { field: 'likeCount', direction: -1 },
+};
+
+const jobFilterQuery = {
+  ...dateRangeQuery,
+  model: { type: 'string', maxLength: 200 },
+  type: { type: 'string', enum: JOB_TYPES },
+  q: { type: 'string', minLength: 1, maxLength: 200, description: 'Full-text search over prompt and negative prompt' },
+};
+
+export const listJobs = {
+  summary: 'List jobs',
+  tags: ['Images'],
+  query: {
+    properties: {
+      ...cursorPaginationQuery(JOB_SORTS, 'newest'),
+      ...jobFilterQuery,
+      status: {
+        type: 'array',
+        items: { type: 'string', enum: Job.schema.path('status').enumValues },
+        description: 'One status or a comma-separated list',
+      },
+    },
+  },
+};
+
+export const listGallery = {
+  summary: 'List completed images',
+  tags: ['Images'],
+  query: {
+    properties: {
+      ...cursorPaginationQuery(GALLERY_SORTS, 'newest'),
+      ...jobFilterQuery,
+      visibility: { type: 'string', enum: ['public', 'private'] },
+    },
+  },
+};
+
+export const getBatch = { summary: 'Get a batch with its jobs', tags: ['Images'], params: idParams };
+
+export const setVisibility = {
+  summary: 'Publish or unpublish a job in the community gallery',
+  tags: ['Images'],
+  params: idParams,
+  body: {
+    type: 'object',
+    required: ['visibility'],
+    properties: { visibility: { type: 'string', enum: ['public', 'private'] } },
+  },
+};
+
+export const jobAction = (summary) => ({ summary, tags: ['Images'], params: idParams });
+
+export const bulkJobAction = (summary) => ({
+  summary,
+  tags: ['Images'],
+  body: {
+    type: 'object',
+    required: ['jobIds'],
+    properties: {
+      jobIds: { type: 'array', minItems: 1, maxItems: JOB_BULK_LIMIT, items: { type: 'string' } },
+    },
+  },
+});
+
+// EventSource cannot set headers, so the stream also takes the access
+// token or API key in the query string.
+const streamQuery = {
+  properties: {
+    token: { type: 'string', description: 'Access token or API key, for clients that cannot send headers' },
+    lastEventId: { type: 'string', description: 'Resume after this event; same as the Last-Event-ID header' },
+  },
+};
+
+export const streamEvents = {
+  summary: "Stream status events for the caller's jobs (server-sent events)",
+  tags: ['Images'],
+  query: streamQuery,
+};
+
+export const streamJobEvents = {
+  summary: "Stream one job's events, replaying earlier ones (server-sent events)",
+  tags: ['Images'],
+  params: idParams,
+  query: {
+    properties: {
+      ...streamQuery.properties,
+      organizationId: { ...objectId, description: 'Organization to act for; same as the X-Organization-Id header' },
+    },
+  },
+};
+
+export const createShareLink = { summary: 'Create or return the share link of a job', tags: ['Images'], params: idParams };
+
+export const revokeShareLink = { summary: 'Revoke the share link of a job', tags: ['Images'], params: idParams };
@@ -0,0 +1,27 @@
+import { API_KEY_SCOPES } from '../models/ApiKey.js';
+import { idParams } from './common.js';
+
+export const createKey = {
+  summary: 'Create an API key',
+  tags: ['API keys'],
+  body: {
+    type: 'object',
+    required: ['name'],
+    properties: {
+      name: { type: 'string', minLength: 1, maxLength: 100 },
+      scopes: { type: 'array', minItems: 1, items: { type: 'string', enum: API_KEY_SCOPES } },
+      limits: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          generationsPerWindow: { type: 'integer', minimum: 1 },
+          concurrentJobs: { type: 'integer', minimum: 1 },
+        },
+      },
+    },
+  },
+};
+
+export const deleteKey = { summary: 'Delete an API key', tags: ['API keys'], params: idParams };
+
+export const toggleKey = { summary: 'Enable or disable an API key', tags: ['API keys'], params: idParams };
@@ -0,0 +1,13 @@
+export const updateModel = {
+  summary: 'Update a catalog model (admin)',
+  tags: ['Models'],
+  body: {
+    type: 'object',
+    properties: {
+      enabled: { type: 'boolean' },
+      credits: { type: 'integer', minimum: 0 },
+      displayName: { type: 'string', maxLength: 100 },
+      description: { type: 'string', maxLength: 1000 },
+    },
+  },
+};
@@ -0,0 +1,47 @@
+import { ORGANIZATION_ROLES } from '../models/OrganizationMember.js';
+import { nonBlankString } from './common.js';
+
+const name = nonBlankString(100);
+
+export const createOrganization = {
+  summary: 'Create an organization owned by the caller',
+  tags: ['Organizations'],
+  body: { type: 'object', required: ['name'], properties: { name } },
+};
+
+export const updateOrganization = {
+  summary: 'Rename an organization',
+  tags: ['Organizations'],
+  body: { type: 'object', required: ['name'], properties: { name } },
+};
+
+export const acceptInvitation = {
+  summary: 'Join an organization with an invitation token',
+  tags: ['Organizations'],
+  body: { type: 'object', required: ['token'], properties: { token: { type: 'string', minLength: 1 } } },
+};
+
+export const updateMember = {
+  summary: "Change a member's role or spending cap",
+  tags: ['Organizations'],
+  body: {
+    type: 'object',
+    properties: {
+      role: { type: 'string', enum: ORGANIZATION_ROLES },
+      spendingCap: { type: 'integer', minimum: 0, nullable: true, description: 'Credits per month; null removes the cap' },
+    },
+  },
+};
+
+export const createInvitation = {
+  summary: 'Invite someone by email',
+  tags: ['Organizations'],
+  body: {
+    type: 'object',
+    required: ['email'],
+    properties: {
+      email: { type: 'string', format: 'email', maxLength: 254 },
+      role: { type: 'string', enum: ['admin', 'member'], default: 'member' },
+    },
+  },
+};
@@ -0,0 +1,18 @@
+import { cursorPaginationQuery } from './common.js';
+
+// Feed orders; see services/pagination.js.
+export const FEED_SORTS = {
+  newest: { field: 'publishedAt', direction: -1 },
+  popular: { field: 'likeCount', direction: -1 },
+};
+
+export const listGallery = {
+  summary: 'Browse the community gallery',
+  tags: ['Community'],
+  query: {
+    properties: {
+      ...cursorPaginationQuery(FEED_SORTS, 'newest', { maxLimit: 50 }),
+      model: { type: 'string', maxLength: 200 },
+    },
+  },
+};
@@ -0,0 +1,42 @@
+import { WEBHOOK_EVENTS } from '../models/WebhookEndpoint.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import { objectId, idParams, pageQuery } from './common.js';
+
+const endpointProperties = {
+  url: { type: 'string', format: 'uri', maxLength: 2048 },
+  description: { type: 'string', maxLength: 500 },
+  events: { type: 'array', minItems: 1, items: { type: 'string', enum: WEBHOOK_EVENTS } },
+};
+
+export const createWebhook = {
+  summary: 'Register a webhook endpoint',
+  tags: ['Webhooks'],
+  body: { type: 'object', required: ['url'], properties: endpointProperties },
+};
+
+export const updateWebhook = {
+  summary: 'Update a webhook endpoint',
+  tags: ['Webhooks'],
+  params: idParams,
+  body: { type: 'object', properties: { ...endpointProperties, isActive: { type: 'boolean' } } },
+};
+
+export const webhookAction = (summary) => ({ summary, tags: ['Webhooks'], params: idParams });
+
+export const listDeliveries = {
+  summary: 'List deliveries to a webhook endpoint',
+  tags: ['Webhooks'],
+  params: idParams,
+  query: {
+    properties: {
+      ...pageQuery.properties,
+      status: { type: 'string', enum: WebhookDelivery.schema.path('status').enumValues },
+    },
+  },
+};
+
+export const redeliver = {
+  summary: 'Send a delivery again',
+  tags: ['Webhooks'],
+  params: { properties: { id: objectId, deliveryId: objectId } },
+};
@@ -1,39 +1,127 @@
+import './config/env.js';
 import express from 'express';
 import cors from 'cors';
+import crypto from 'crypto';
 import mongoose from 'mongoose';
-import { HfInference } from '@huggingface/inference';
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
-import dotenv from 'dotenv';
-import { v2 as cloudinary } from 'cloudinary';
 import User from './models/User.js';
 import Job from './models/Job.js';
 import ApiKey from './models/ApiKey.js';
 import Transaction from './models/Transaction.js';
-import { authenticate, generateToken } from './middleware/auth.js';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-dotenv.config({ path: path.join(__dirname, '.env') });
+import ModelCatalog from './models/ModelCatalog.js';
+import Batch from './models/Batch.js';
+import WebhookEndpoint, { WEBHOOK_EVENTS } from './models/WebhookEndpoint.js';
+import WebhookDelivery from './models/WebhookDelivery.js';
+import { authenticate, acceptQueryToken, requireScope, requireSession, requireAdmin, checkJwtSecret } from './middleware/auth.js';
+import { handleImageUploads } from './middleware/upload.js';
+import { limitByIp, limitGenerations } from './middleware/rateLimit.js';
+import { requestContext, restoreRequestContext } from './middleware/requestContext.js';
+import { validate } from './middleware/validate.js';
+import { errorEnvelope, notFoundHandler, errorHandler } from './middleware/errors.js';
+import { resolveOrganization, requireOrganizationRole } from './middleware/organization.js';
+import { createAdminRouter } from './routes/admin.js';
+import { createOrganizationRouter } from './routes/organizations.js';
+import { createPublicRouter } from './routes/public.js';
+import { createCollectionRouter } from './routes/collections.js';
+import { createAnalyticsRouter } from './routes/analytics.js';
+import { createJobQueue, getQueuePosition, JobBlockedError, JobCancelledError } from './services/jobQueue.js';
+import { generateImage } from './services/generation.js';
+import {
+  buildGenerationJob,
+  resolveSourceImage,
+  IMAGE_JOB_TYPES,
+  ACTIVE_JOB_STATUSES,
+  RETRYABLE_JOB_STATUSES,
+  refundJob,
+  cancelJob,
+  stillClaimed,
+  requeueJob,
+  deleteJob,
+} from './services/jobs.js';
+import { moderateImage } from './services/moderation.js';
+import { variationSeed } from './services/parameters.js';
+import {
+  findCachedImages,
+  recordCacheHits,
+  rememberImages,
+  cachedImage,
+  cachedCharge,
+  startCacheEviction,
+} from './services/generationCache.js';
+import {
+  captureHold,
+  releaseHold,
+  hasHold,
+  grantCredits,
+  refundCredits,
+  completePurchase,
+  failPurchase,
+  reversePurchase,
+  reconcileBalance,
+  reconcileAll,
+} from './services/ledger.js';
+import { paymentProvider, checkPaymentConfig } from './payments/index.js';
+import { CREDIT_PACKAGES, getPackage, totalCredits } from './config/packages.js';
+import { PLANS, getPlan, planRank } from './config/plans.js';
+import { readImageSize } from './services/imageInfo.js';
+import { imagesDir, storeImage, loadImage } from './services/storage.js';
+import { publishJobEvent, streamJobEvents } from './services/events.js';
+import { startWebhookDispatcher, emitWebhookEvent, redeliver, checkWebhookUrl } from './services/webhooks.js';
+import { recordAdminAction } from './services/audit.js';
+import { logger } from './services/logger.js';
+import { renderMetrics, jobsFinished } from './services/metrics.js';
+import { checkReadiness } from './services/health.js';
+import { holdRequestCredits, ownerFilter, ledgerFilter, manageableFilter } from './services/organizations.js';
+import { setVisibility, ensureShareToken, revokeShareToken, shareUrl, buildRemixInput } from './services/gallery.js';
+import { buildOpenApiDocument } from './services/openapi.js';
+import { paginate, createdBetween } from './services/pagination.js';
+import {
+  getCurrentSubscription,
+  describeSubscription,
+  activateSubscription,
+  startSubscriptionScheduler,
+} from './services/subscriptions.js';
+import {
+  redeemPromoCode,
+  ensureReferralCode,
+  resolveReferrer,
+  rewardReferral,
+  getReferralSummary,
+} from './services/promotions.js';
+import {
+  issueSession,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllSessions,
+  consumeAccountToken,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+} from './services/accounts.js';
+import * as authSchemas from './schemas/auth.js';
+import * as modelSchemas from './schemas/models.js';
+import * as imageSchemas from './schemas/images.js';
+import * as billingSchemas from './schemas/billing.js';
+import * as keySchemas from './schemas/keys.js';
+import * as webhookSchemas from './schemas/webhooks.js';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const HF_API_KEY = process.env.HUGGINGFACE_API_KEY || '';
-const hf = HF_API_KEY ? new HfInference(HF_API_KEY) : null;
-
-// Cloudinary configuration
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
-});
-
-const USE_CLOUDINARY = !!(process.env.CLOUDINARY_CLOUD_NAME && process.env.CLOUDINARY_API_KEY);
 
 const DB_URL = process.env.DB_URL;
 if (!DB_URL) {
-  console.error('❌ DB_URL not found in .env file');
+  logger.error('DB_URL is not set');
+  process.exit(1);
+}
+
+const jwtSecretProblem = checkJwtSecret();
+if (jwtSecretProblem) {
+  logger.error(`${jwtSecretProblem} - set a long random secret in .env`);
+  process.exit(1);
+}
+
+const paymentConfigProblem = checkPaymentConfig();
+if (paymentConfigProblem) {
+  logger.error(`${paymentConfigProblem} - set a long random FAKE_PAYMENT_WEBHOOK_SECRET in .env or use a real payment provider`);
   process.exit(1);
 }
 
@@ -41,31 +129,69 @@ mongoose.connect(DB_URL, {
   serverSelectionTimeoutMS: 5000,
   socketTimeoutMS: 45000,
 })
-  .then(() => console.log('✅ MongoDB connected'))
+  .then(() => {
+    logger.info('MongoDB connected');
+    return ModelCatalog.seedDefaults();
+  })
+  .then(() => ApiKey.migratePlaintextKeys())
+  .then(async (migrated) => {
+    if (migrated > 0) {
+      logger.info('Hashed plaintext API keys', { migrated });
+    }
+    await ApiKey.syncIndexes();
+    return Job.backfillLikeCounts();
+  })
+  .then((backfilled) => {
+    if (backfilled > 0) {
+      logger.info('Backfilled job like counts', { backfilled });
+    }
+  })
+  .then(() => {
+    startWebhookDispatcher();
+    startSubscriptionScheduler();
+    startCacheEviction();
+    reconcileAll()
+      .then(({ checked, drifted }) => {
+        if (drifted.length > 0) {
+          logger.warn('Ledger drift found - see GET /api/admin/ledger/reconcile', { drifted: drifted.length, checked });
+        } else {
+          logger.info('Ledger reconciled', { checked });
+        }
+      })
+      .catch(err => logger.error('Ledger reconciliation failed', { error: err }));
+    return jobQueue.start();
+  })
+  .then(() => listen())
   .catch(err => {
-    console.error('❌ MongoDB connection error:', err.message);
-    console.error('⚠️  Please check:');
-    console.error('   1. MongoDB Atlas cluster is running');
-    console.error('   2. Network access is configured (IP whitelist)');
-    console.error('   3. Database credentials are correct');
-    console.error('   4. Internet connection is stable');
+    logger.error('Startup failed - check that the MongoDB cluster is running, reachable from this IP and the credentials are correct', { error: err });
     process.exit(1);
   });
 
-const imagesDir = path.join(__dirname, 'generated-images');
-if (!fs.existsSync(imagesDir)) {
-  fs.mkdirSync(imagesDir, { recursive: true });
+// Behind a load balancer req.ip is only the client's address (which the
+// per-IP rate limits rely on) if Express trusts the proxy hops in front.
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? parseInt(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
 }
 
+app.use(requestContext);
+app.use(errorEnvelope);
+
 // CORS configuration for production
 app.use(cors({
   origin: process.env.FRONTEND_URL || '*',
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'Last-Event-ID', 'X-Organization-Id', 'X-Request-Id'],
+  exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After', 'X-Request-Id'],
 }));
 
-app.use(express.json());
+// Keep the raw body around: payment webhooks are signed over the exact bytes.
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
+app.use(restoreRequestContext);
 
 // Serve images with proper CORS headers
 app.use('/generated-images', (req, res, next) => {
@@ -75,6 +201,14 @@ app.use('/generated-images', (req, res, next) => {
   next();
 }, express.static(imagesDir));
 
+// Routers mounted under a path prefix, remembered so the OpenAPI document
+// can list their routes.
+const mountedRouters = new Map();
+const mountRouter = (path, router) => {
+  mountedRouters.set(router, path);
+  app.use(path, router);
+};
+
 app.get('/health', (req, res) => {
   res.json({ 
     status: 'ok', 
@@ -84,44 +218,101 @@ app.get('/health', (req, res) => {
   });
 });
 
-app.post('/api/auth/register', async (req, res) => {
+// Liveness only says the process is serving; restarting it would not fix
+// a database or provider outage.
+app.get('/health/live', (req, res) => {
+  res.json({ status: 'ok', uptimeSeconds: Math.round(process.uptime()) });
+});
+
+app.get('/health/ready', async (req, res) => {
+  try {
+    const { ready, checks } = await checkReadiness();
+    res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not ready', checks });
+  } catch (error) {
+    logger.error('Readiness check error', { error });
+    res.status(503).json({ status: 'not ready' });
+  }
+});
+
+const METRICS_TOKEN = process.env.METRICS_TOKEN;
+
+// Prometheus scrape endpoint; protected by a bearer token when
+// METRICS_TOKEN is set.
+app.get('/metrics', async (req, res) => {
+  try {
+    if (METRICS_TOKEN) {
+      const expected = Buffer.from(`Bearer ${METRICS_TOKEN}`);
+      const given = Buffer.from(req.get('Authorization') || '');
+      if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        return res.status(401).json({ error: 'Invalid metrics token' });
+      }
+    }
+    res.type('text/plain; version=0.0.4').send(await renderMetrics());
+  } catch (error) {
+    logger.error('Metrics error', { error });
+    res.status(500).json({ error: 'Failed to render metrics' });
+  }
+});
+
+app.post('/api/auth/register', limitByIp('auth'), validate(authSchemas.register), async (req, res) => {
   try {
-    const { email, password, firstName, lastName } = req.body;
+    const { password, referralCode } = req.body;
+    const email = req.body.email.trim().toLowerCase();
+    const firstName = req.body.firstName.trim();
+    const lastName = req.body.lastName.trim();
     const existingUser = await User.findOne({ email });
     if (existingUser) {
       return res.status(400).json({ error: 'Email already registered' });
     }
-    const user = new User({ email, password, firstName, lastName, credits: 100 });
+    let referrer = null;
+    if (referralCode) {
+      const resolved = await resolveReferrer(referralCode, { email, ip: req.ip });
+      if (resolved.error) {
+        return res.status(400).json({ error: resolved.error });
+      }
+      referrer = resolved.referrer;
+    }
+    const user = new User({
+      email,
+      password,
+      firstName,
+      lastName,
+      credits: 0,
+      referredBy: referrer?._id,
+      signupIp: req.ip,
+    });
     await user.save();
-    await Transaction.create({
-      userId: user._id,
+    await ensureReferralCode(user);
+    const { user: credited } = await grantCredits(user._id, {
       type: 'bonus',
-      amount: 0,
       credits: 100,
       description: 'Welcome bonus credits',
     });
-    const accessToken = generateToken(user._id);
+    await sendVerificationEmail(user);
+    const { session } = await issueSession(user, req);
     res.status(201).json({ 
       user: {
         id: user._id,
         email: user.email,
         firstName: user.firstName,
         lastName: user.lastName,
-        credits: user.credits,
+        credits: credited.credits,
+        emailVerified: user.emailVerified,
+        referralCode: user.referralCode,
         createdAt: user.createdAt,
       }, 
-      accessToken 
+      ...session,
     });
   } catch (error) {
-    console.error('Register error:', error);
+    logger.error('Register error', { error });
     res.status(500).json({ error: 'Registration failed' });
   }
 });
 
-app.post('/api/auth/login', async (req, res) => {
+app.post('/api/auth/login', limitByIp('auth'), validate(authSchemas.login), async (req, res) => {
   try {
     const { email, password } = req.body;
-    const user = await User.findOne({ email });
+    const user = await User.findOne({ email: email.trim().toLowerCase() });
     if (!user) {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
@@ -129,7 +320,10 @@ app.post('/api/auth/login', async (req, res) => {
     if (!isMatch) {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
-    const accessToken = generateToken(user._id);
+    if (user.suspendedAt) {
+      return res.status(403).json({ error: 'Account suspended' });
+    }
+    const { session } = await issueSession(user, req);
     res.json({ 
       user: {
         id: user._id,
@@ -137,24 +331,150 @@ app.post('/api/auth/login', async (req, res) => {
         firstName: user.firstName,
         lastName: user.lastName,
         credits: user.credits,
+        emailVerified: user.emailVerified,
         createdAt: user.createdAt,
       }, 
-      accessToken 
+      ...session,
     });
   } catch (error) {
-    console.error('Login error:', error);
+    logger.error('Login error', { error });
     res.status(500).json({ error: 'Login failed' });
   }
 });
 
+app.post('/api/auth/refresh', limitByIp('auth'), validate(authSchemas.refresh), async (req, res) => {
+  try {
+    const rotated = await rotateRefreshToken(req.body.refreshToken, req);
+    if (rotated.error) {
+      return res.status(401).json({ error: rotated.error });
+    }
+    res.json(rotated.session);
+  } catch (error) {
+    logger.error('Refresh error', { error });
+    res.status(500).json({ error: 'Failed to refresh session' });
+  }
+});
+
+app.post('/api/auth/logout', validate(authSchemas.logout), async (req, res) => {
+  try {
+    await revokeRefreshToken(req.body.refreshToken);
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Logout error', { error });
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+app.post('/api/auth/logout-all', authenticate, requireSession, async (req, res) => {
+  try {
+    await revokeAllSessions(req.user._id);
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Logout all error', { error });
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+// Changing the password signs out every other session; the caller gets a
+// fresh one back.
+app.post('/api/auth/change-password', authenticate, requireSession, validate(authSchemas.changePassword), async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    if (!(await req.user.comparePassword(currentPassword))) {
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+    req.user.password = newPassword;
+    req.user.passwordChangedAt = new Date();
+    await req.user.save();
+    const user = await revokeAllSessions(req.user._id);
+    const { session } = await issueSession(user, req);
+    res.json(session);
+  } catch (error) {
+    logger.error('Change password error', { error });
+    res.status(500).json({ error: 'Failed to change password' });
+  }
+});
+
+// Always answers the same way so the endpoint cannot be used to find out
+// which emails have accounts.
+app.post('/api/auth/forgot-password', limitByIp('auth'), validate(authSchemas.forgotPassword), async (req, res) => {
+  try {
+    const { email } = req.body;
+    const user = await User.findOne({ email: email.trim().toLowerCase() });
+    if (user) {
+      await sendPasswordResetEmail(user);
+    }
+    res.status(202).json({ message: 'If an account exists for that email, a reset link has been sent' });
+  } catch (error) {
+    logger.error('Forgot password error', { error });
+    res.status(500).json({ error: 'Failed to start password reset' });
+  }
+});
+
+app.post('/api/auth/reset-password', limitByIp('auth'), validate(authSchemas.resetPassword), async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    const accountToken = await consumeAccountToken(token, 'password-reset');
+    if (!accountToken) {
+      return res.status(400).json({ error: 'Reset link is invalid or has expired' });
+    }
+    const user = await User.findById(accountToken.userId);
+    if (!user) {
+      return res.status(400).json({ error: 'Reset link is invalid or has expired' });
+    }
+    user.password = password;
+    user.passwordChangedAt = new Date();
+    // Receiving the link proves ownership of the mailbox.
+    user.emailVerified = true;
+    await user.save();
+    await revokeAllSessions(user._id);
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Reset password error', { error });
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+});
+
+app.post('/api/auth/verify-email', limitByIp('auth'), validate(authSchemas.verifyEmail), async (req, res) => {
+  try {
+    const accountToken = await consumeAccountToken(req.body.token, 'email-verification');
+    if (!accountToken) {
+      return res.status(400).json({ error: 'Verification link is invalid or has expired' });
+    }
+    await User.updateOne({ _id: accountToken.userId }, { $set: { emailVerified: true } });
+    res.json({ success: true, emailVerified: true });
+  } catch (error) {
+    logger.error('Verify email error', { error });
+    res.status(500).json({ error: 'Failed to verify email' });
+  }
+});
+
+app.post('/api/auth/resend-verification', authenticate, requireSession, limitByIp('auth'), async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(409).json({ error: 'Email is already verified' });
+    }
+    await sendVerificationEmail(req.user);
+    res.status(202).json({ message: 'Verification email sent' });
+  } catch (error) {
+    logger.error('Resend verification error', { error });
+    res.status(500).json({ error: 'Failed to send verification email' });
+  }
+});
+
 app.get('/api/users/me', authenticate, async (req, res) => {
   try {
+    const subscription = await describeSubscription(await getCurrentSubscription(req.user._id), req.user);
     res.json({
       id: req.user._id,
       email: req.user.email,
       firstName: req.user.firstName,
       lastName: req.user.lastName,
+      emailVerified: req.user.emailVerified,
       credits: req.user.credits,
+      purchasedCredits: req.user.credits - (subscription?.allowance.remaining || 0),
+      subscription,
+      referralCode: await ensureReferralCode(req.user),
       createdAt: req.user.createdAt,
     });
   } catch (error) {
@@ -162,229 +482,541 @@ app.get('/api/users/me', authenticate, async (req, res) => {
   }
 });
 
-app.get('/api/analytics/stats', authenticate, async (req, res) => {
+mountRouter('/api/analytics', createAnalyticsRouter());
+
+app.get('/api/models', async (req, res) => {
   try {
-    const userId = req.user._id;
-    const totalImages = await Job.countDocuments({ userId, status: 'completed' });
-    const startOfMonth = new Date();
-    startOfMonth.setDate(1);
-    startOfMonth.setHours(0, 0, 0, 0);
-    const imagesThisMonth = await Job.countDocuments({
-      userId,
-      status: 'completed',
-      createdAt: { $gte: startOfMonth }
-    });
-    const usageTransactions = await Transaction.find({ userId, type: 'usage' });
-    const totalCreditsUsed = usageTransactions.reduce((sum, t) => sum + Math.abs(t.credits), 0);
-    const sevenDaysAgo = new Date();
-    sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
-    const recentJobs = await Job.find({
-      userId,
-      createdAt: { $gte: sevenDaysAgo }
-    }).sort({ createdAt: -1 }).limit(10);
-    res.json({
-      totalImages,
-      imagesThisMonth,
-      totalCreditsUsed,
-      currentCredits: req.user.credits,
-      recentActivity: recentJobs.map(job => ({
-        id: job._id,
-        prompt: job.prompt,
-        status: job.status,
-        createdAt: job.createdAt,
-      }))
-    });
+    const models = await ModelCatalog.find().sort({ modelId: 1 });
+    res.json({ models: models.map(m => m.toPublic()) });
   } catch (error) {
-    console.error('Analytics error:', error);
-    res.status(500).json({ error: 'Failed to fetch analytics' });
+    res.status(500).json({ error: 'Failed to fetch models' });
   }
 });
 
-app.post('/api/images/generate', authenticate, async (req, res) => {
+app.patch('/api/models/:id', authenticate, requireSession, requireAdmin, validate(modelSchemas.updateModel), async (req, res) => {
   try {
-    const { prompt, model, parameters, negativePrompt } = req.body;
-    if (!prompt) {
-      return res.status(400).json({ error: 'Prompt is required' });
+    const { enabled, credits, displayName, description } = req.body;
+    const update = { updatedAt: new Date() };
+    if (enabled !== undefined) update.enabled = enabled;
+    if (credits !== undefined) update.credits = credits;
+    if (displayName !== undefined) update.displayName = displayName;
+    if (description !== undefined) update.description = description;
+    const model = await ModelCatalog.findOneAndUpdate(
+      { modelId: req.params.id },
+      { $set: update },
+      { new: true }
+    );
+    if (!model) {
+      return res.status(404).json({ error: 'Model not found' });
     }
-    if (req.user.credits < 1) {
-      return res.status(402).json({ error: 'Insufficient credits' });
+    await recordAdminAction(req, 'model.update', { targetType: 'model', targetId: model.modelId, details: update });
+    res.json(model.toPublic());
+  } catch (error) {
+    logger.error('Update model error', { error });
+    res.status(500).json({ error: 'Failed to update model' });
+  }
+});
+
+// A job whose every image is in the generation cache completes without
+// being queued, charged only its cached price (which may be nothing).
+const completeFromCache = async (req, res, job, entries) => {
+  const charge = cachedCharge(job.creditCost);
+  if (charge > 0) {
+    const held = await holdRequestCredits(req, [{
+      jobId: job._id,
+      amount: charge,
+      description: `Image generation (cached): ${job.prompt.substring(0, 50)}...`,
+    }]);
+    if (held.error) {
+      return res.status(held.status).json({ error: held.error });
     }
-    const job = new Job({
-      userId: req.user._id,
-      prompt,
-      negativePrompt,
-      model: model || 'stabilityai/stable-diffusion-xl-base-1.0',
-      parameters,
-      status: 'pending',
-    });
+  }
+  job.set({
+    status: 'completed',
+    cacheSavings: job.creditCost - charge,
+    result: {
+      images: entries.map(cachedImage),
+      timeTaken: 0,
+      model: job.model,
+      seed: job.parameters.seed,
+      failedImages: 0,
+      cached: true,
+    },
+  });
+  try {
     await job.save();
-    req.user.credits -= 1;
-    await req.user.save();
-    await Transaction.create({
+  } catch (error) {
+    await releaseHold(job._id, 'Job could not be created');
+    throw error;
+  }
+  if (charge > 0) {
+    await captureHold(job._id, charge);
+  }
+  await recordCacheHits(entries);
+  jobsFinished.inc({ status: 'completed', type: job.type });
+  handleJobEvent(job, 'job.completed', { status: 'completed', result: job.result });
+  res.status(201).json({
+    jobId: job._id,
+    status: 'completed',
+    numImages: job.numImages,
+    parameters: job.parameters,
+    creditCost: job.creditCost,
+    cacheSavings: job.cacheSavings,
+    remixOf: job.remixOf,
+    result: job.result,
+  });
+};
+
+// Validates, charges and queues one text-to-image job and answers the
+// request; shared by generate and remix. Seeded requests the generation
+// cache can fully answer complete immediately.
+const submitGenerationJob = async (req, res, input, options = {}) => {
+  const built = await buildGenerationJob(req.user._id, input, {
+    ...options,
+    apiKeyId: req.apiKey?._id,
+    organizationId: req.organization?._id,
+    requestId: req.id,
+  });
+  if (built.error) {
+    return res.status(built.status || 400).json({ error: built.error, categories: built.categories });
+  }
+  const { job } = built;
+  const cached = await findCachedImages(job);
+  if (cached.size === job.numImages) {
+    return completeFromCache(req, res, job, [...cached.values()]);
+  }
+  const held = await holdRequestCredits(req, [{
+    jobId: job._id,
+    amount: job.creditCost,
+    description: `Image generation: ${job.prompt.substring(0, 50)}...`,
+  }]);
+  if (held.error) {
+    return res.status(held.status).json({ error: held.error });
+  }
+  try {
+    await job.save();
+  } catch (error) {
+    await releaseHold(job._id, 'Job could not be created');
+    throw error;
+  }
+  publishJobEvent(job, 'job.status', { status: 'pending' });
+  jobQueue.notify();
+  res.status(202).json({
+    jobId: job._id,
+    status: 'pending',
+    numImages: job.numImages,
+    parameters: job.parameters,
+    creditCost: job.creditCost,
+    remixOf: job.remixOf,
+  });
+};
+
+// Every image counts against the generation quota, not just every job.
+const requestedImages = (req) => req.body.numImages ?? 1;
+const batchImages = (req) => req.body.prompts.reduce(
+  (sum, item) => sum + ((typeof item === 'object' && item.numImages) || req.body.numImages || 1),
+  0
+);
+
+app.post('/api/images/generate', authenticate, requireScope('images:generate'), resolveOrganization, validate(imageSchemas.generate), limitGenerations(() => 1, requestedImages), async (req, res) => {
+  try {
+    await submitGenerationJob(req, res, req.body);
+  } catch (error) {
+    logger.error('Generate error', { error });
+    res.status(500).json({ error: 'Failed to create job' });
+  }
+});
+
+// Generates again from a public job, one of the caller's own, or one shared
+// with them (`shareToken`), with the original prompt, model and parameters
+// unless the body overrides them. The new job links back via remixOf.
+app.post('/api/images/jobs/:id/remix', authenticate, requireScope('images:generate'), resolveOrganization, validate(imageSchemas.remix), limitGenerations(() => 1, requestedImages), async (req, res) => {
+  try {
+    const access = [{ visibility: 'public' }, { userId: req.user._id }];
+    if (req.body.shareToken) {
+      access.push({ shareToken: req.body.shareToken });
+    }
+    const original = await Job.findOne({ _id: req.params.id, status: 'completed', $or: access });
+    if (!original) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (original.type !== 'text-to-image') {
+      return res.status(400).json({ error: 'Only text-to-image jobs can be remixed' });
+    }
+    await submitGenerationJob(req, res, buildRemixInput(original, req.body), { remixOf: original._id });
+  } catch (error) {
+    logger.error('Remix error', { error });
+    res.status(500).json({ error: 'Failed to create job' });
+  }
+});
+
+const batchSize = (req) => req.body.prompts.length;
+
+app.post('/api/images/batch', authenticate, requireScope('images:generate'), resolveOrganization, validate(imageSchemas.batch), limitGenerations(batchSize, batchImages), async (req, res) => {
+  try {
+    const { prompts, ...shared } = req.body;
+    const batch = new Batch({
       userId: req.user._id,
-      type: 'usage',
-      amount: 0,
-      credits: -1,
-      description: `Image generation: ${prompt.substring(0, 50)}...`,
-      metadata: { jobId: job._id }
+      organizationId: req.organization?._id,
+      size: prompts.length,
+      creditCost: 0,
+    });
+    const jobs = [];
+    for (const [index, item] of prompts.entries()) {
+      const input = typeof item === 'string' ? { ...shared, prompt: item } : { ...shared, ...item };
+      const built = await buildGenerationJob(req.user._id, input, {
+        apiKeyId: req.apiKey?._id,
+        organizationId: req.organization?._id,
+        requestId: req.id,
+      });
+      if (built.error) {
+        return res.status(built.status || 400).json({ error: `prompts[${index}]: ${built.error}`, categories: built.categories });
+      }
+      built.job.batchId = batch._id;
+      batch.creditCost += built.job.creditCost;
+      jobs.push(built.job);
+    }
+    const held = await holdRequestCredits(req, jobs.map(job => ({
+      jobId: job._id,
+      batchId: batch._id,
+      amount: job.creditCost,
+      description: `Batch generation: ${job.prompt.substring(0, 50)}...`,
+    })));
+    if (held.error) {
+      return res.status(held.status).json({ error: held.error });
+    }
+    try {
+      await batch.save();
+      await Job.insertMany(jobs);
+    } catch (error) {
+      await Job.deleteMany({ batchId: batch._id });
+      await Batch.deleteOne({ _id: batch._id });
+      for (const job of jobs) {
+        await releaseHold(job._id, 'Batch could not be created');
+      }
+      throw error;
+    }
+    jobs.forEach(job => publishJobEvent(job, 'job.status', { status: 'pending', batchId: batch._id }));
+    jobQueue.notify();
+    res.status(202).json({
+      batchId: batch._id,
+      status: 'pending',
+      creditCost: batch.creditCost,
+      jobs: jobs.map(job => ({ jobId: job._id, prompt: job.prompt, numImages: job.numImages })),
     });
-    processImageGeneration(job._id.toString());
-    res.status(202).json({ jobId: job._id, status: 'pending' });
   } catch (error) {
-    console.error('Generate error:', error);
-    res.status(500).json({ error: 'Failed to create job' });
+    logger.error('Batch error', { error });
+    res.status(500).json({ error: 'Failed to create batch' });
   }
 });
 
-async function processImageGeneration(jobId) {
+const IMAGE_EXTENSIONS = { 'image/png': 'png', 'image/jpeg': 'jpg' };
+
+const storeJobInput = async (job, name, upload) => {
+  const filename = `input-${job._id}-${name}.${IMAGE_EXTENSIONS[upload.mimetype]}`;
+  const url = await storeImage(upload.buffer, filename);
+  return { url, filename, width: upload.width, height: upload.height };
+};
+
+// Shared handler for the image-based operations; they go through the same
+// validation, charging and queueing as text-to-image jobs.
+const createImageJobHandler = (type) => async (req, res) => {
   try {
-    const job = await Job.findById(jobId);
-    if (!job) return;
-    job.status = 'processing';
-    await job.save();
-    if (!hf || !HF_API_KEY) {
-      console.log('⚠️  No HuggingFace API key - using placeholder');
-      job.status = 'completed';
-      job.result = {
-        images: [{
-          url: `https://picsum.photos/seed/${jobId}/${job.parameters?.width || 1024}/${job.parameters?.height || 1024}`,
-          width: job.parameters?.width || 1024,
-          height: job.parameters?.height || 1024,
-        }],
-        timeTaken: 1000,
-        note: 'Add HUGGINGFACE_API_KEY to .env for real generation',
+    const source = await resolveSourceImage(req.user._id, req.body, req.images.image);
+    if (source.error) {
+      return res.status(400).json({ error: source.error });
+    }
+    const mask = req.images.mask;
+    if (type === 'inpaint') {
+      if (!mask) {
+        return res.status(400).json({ error: 'A mask image is required for inpainting' });
+      }
+      if (mask.width !== source.width || mask.height !== source.height) {
+        return res.status(400).json({ error: 'Mask dimensions must match the source image' });
+      }
+    }
+    const built = await buildGenerationJob(req.user._id, req.body, {
+      type,
+      source,
+      apiKeyId: req.apiKey?._id,
+      organizationId: req.organization?._id,
+      requestId: req.id,
+    });
+    if (built.error) {
+      return res.status(built.status || 400).json({ error: built.error, categories: built.categories });
+    }
+    const { job } = built;
+    const held = await holdRequestCredits(req, [{
+      jobId: job._id,
+      amount: job.creditCost,
+      description: `Image ${type}: ${(job.prompt || '').substring(0, 50)}...`,
+    }]);
+    if (held.error) {
+      return res.status(held.status).json({ error: held.error });
+    }
+    try {
+      job.inputs = {
+        image: source.upload ? await storeJobInput(job, 'image', source.upload) : source.image,
+        mask: type === 'inpaint' ? await storeJobInput(job, 'mask', mask) : undefined,
+        sourceJobId: source.sourceJobId,
       };
       await job.save();
-      return;
-    }
-    console.log(`🎨 Generating: "${job.prompt}"`);
-    const startTime = Date.now();
-    let modelId = 'black-forest-labs/FLUX.1-schnell';
-    if (job.model === 'dalle-3') {
-      modelId = 'black-forest-labs/FLUX.1-schnell';
-    } else if (job.model === 'midjourney') {
-      modelId = 'prompthero/openjourney-v4';
-    } else if (job.model === 'stability-sd-3') {
-      modelId = 'stabilityai/stable-diffusion-2-1';
-    }
-    let imageBlob;
-    let retries = 3;
-    let lastError;
-    while (retries > 0) {
-      try {
-        console.log(`🔄 Attempt ${4 - retries}/3 with model: ${modelId}`);
-        imageBlob = await Promise.race([
-          hf.textToImage({
-            model: modelId,
-            inputs: job.prompt,
-            parameters: { negative_prompt: job.negativePrompt || '' }
-          }),
-          new Promise((_, reject) => 
-            setTimeout(() => reject(new Error('Request timeout after 60s')), 60000)
-          )
-        ]);
-        break;
-      } catch (err) {
-        lastError = err;
-        retries--;
-        console.log(`⚠️  Attempt failed: ${err.message}. Retries left: ${retries}`);
-        if (retries > 0) {
-          if (modelId === 'black-forest-labs/FLUX.1-schnell') {
-            modelId = 'stabilityai/stable-diffusion-2-1';
-          } else if (modelId === 'stabilityai/stable-diffusion-2-1') {
-            modelId = 'runwayml/stable-diffusion-v1-5';
-          }
-          await new Promise(resolve => setTimeout(resolve, 2000));
-        }
-      }
+    } catch (error) {
+      await releaseHold(job._id, 'Job could not be created');
+      throw error;
     }
-    if (!imageBlob) {
-      throw lastError || new Error('Failed to generate image after retries');
-    }
-    const buffer = Buffer.from(await imageBlob.arrayBuffer());
-    const filename = `image-${jobId}-${Date.now()}.png`;
-    const timeTaken = Date.now() - startTime;
-    
-    let imageUrl;
-    
-    if (USE_CLOUDINARY) {
-      // Upload to Cloudinary
-      console.log('📤 Uploading to Cloudinary...');
-      const uploadResult = await new Promise((resolve, reject) => {
-        const uploadStream = cloudinary.uploader.upload_stream(
-          {
-            folder: 'ai-generated-images',
-            public_id: filename.replace('.png', ''),
-            resource_type: 'image',
-          },
-          (error, result) => {
-            if (error) reject(error);
-            else resolve(result);
-          }
-        );
-        uploadStream.end(buffer);
-      });
-      imageUrl = uploadResult.secure_url;
-      console.log('✅ Uploaded to Cloudinary');
-    } else {
-      // Save locally (for development)
-      const filepath = path.join(imagesDir, filename);
-      fs.writeFileSync(filepath, buffer);
-      const baseUrl = process.env.BASE_URL || `http://localhost:${PORT}`;
-      imageUrl = `${baseUrl}/generated-images/${filename}`;
-    }
-    
-    job.status = 'completed';
-    job.result = {
-      images: [{
-        url: imageUrl,
-        width: job.parameters?.width || 1024,
-        height: job.parameters?.height || 1024,
-        filename,
-      }],
-      timeTaken,
-      model: modelId,
-    };
-    await job.save();
-    console.log(`✅ Generated in ${timeTaken}ms using ${modelId}`);
+    publishJobEvent(job, 'job.status', { status: 'pending' });
+    jobQueue.notify();
+    res.status(202).json({
+      jobId: job._id,
+      type: job.type,
+      status: 'pending',
+      numImages: job.numImages,
+      parameters: job.parameters,
+      creditCost: job.creditCost,
+    });
   } catch (error) {
-    console.error('❌ Generation failed:', error.message);
-    const job = await Job.findById(jobId);
-    if (job) {
-      job.status = 'failed';
-      job.error = { message: error.message || 'Image generation failed' };
-      await job.save();
-      const user = await User.findById(job.userId);
-      if (user) {
-        user.credits += 1;
-        await user.save();
-        await Transaction.create({
-          userId: user._id,
-          type: 'refund',
-          amount: 0,
-          credits: 1,
-          description: 'Refund for failed generation',
-          metadata: { jobId: job._id }
-        });
-      }
+    logger.error(`${type} error`, { error });
+    res.status(500).json({ error: 'Failed to create job' });
+  }
+};
+
+app.post('/api/images/img2img', authenticate, requireScope('images:generate'), resolveOrganization, limitGenerations(), handleImageUploads, validate(imageSchemas.imageJob('Queue an image-to-image job')), createImageJobHandler('image-to-image'));
+app.post('/api/images/inpaint', authenticate, requireScope('images:generate'), resolveOrganization, limitGenerations(), handleImageUploads, validate(imageSchemas.imageJob('Queue an inpainting job')), createImageJobHandler('inpaint'));
+app.post('/api/images/upscale', authenticate, requireScope('images:generate'), resolveOrganization, limitGenerations(), handleImageUploads, validate(imageSchemas.imageJob('Queue an upscaling job')), createImageJobHandler('upscale'));
+
+app.get('/api/images/batches/:id', authenticate, requireScope('images:read'), resolveOrganization, validate(imageSchemas.getBatch), async (req, res) => {
+  try {
+    const batch = await Batch.findOne({ _id: req.params.id, ...ownerFilter(req) });
+    if (!batch) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+    const jobs = await Job.find({ batchId: batch._id }).sort({ _id: 1 });
+    const counts = { pending: 0, processing: 0, completed: 0, failed: 0, blocked: 0, cancelled: 0 };
+    for (const job of jobs) {
+      counts[job.status] = (counts[job.status] || 0) + 1;
     }
+    let status = 'partial';
+    if (counts.pending === jobs.length) status = 'pending';
+    else if (counts.pending + counts.processing > 0) status = 'processing';
+    else if (counts.completed === jobs.length) status = 'completed';
+    else if (counts.cancelled === jobs.length) status = 'cancelled';
+    else if (counts.failed + counts.blocked + counts.cancelled === jobs.length) status = 'failed';
+    res.json({
+      id: batch._id,
+      status,
+      counts,
+      creditCost: batch.creditCost,
+      refundedCredits: jobs.reduce((sum, job) => sum + job.refundedCredits, 0),
+      jobs: jobs.map(job => ({
+        id: job._id,
+        type: job.type,
+        prompt: job.prompt,
+        model: job.model,
+        status: job.status,
+        result: job.result,
+        error: job.error,
+      })),
+      createdAt: batch.createdAt,
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch batch' });
+  }
+});
+
+// Each variation uses the next seed so the whole set stays reproducible.
+// Variations found in the generation cache are reused instead of generated
+// and charged at the cached price. Variations that fail are refunded; the
+// job only fails if none succeed.
+async function processImageGeneration(job) {
+  const jobId = job._id.toString();
+  logger.info('Generating', { type: job.type, model: job.model, numImages: job.numImages });
+  const startTime = Date.now();
+  const parameters = job.toObject().parameters || {};
+  const isImageJob = IMAGE_JOB_TYPES.includes(job.type);
+  const image = isImageJob ? await loadImage(job.inputs.image) : undefined;
+  const mask = job.inputs?.mask?.url ? await loadImage(job.inputs.mask) : undefined;
+  const cached = await findCachedImages(job);
+  const outputs = [];
+  let modelId;
+  let note;
+  let lastError;
+  for (let i = 0; i < job.numImages; i++) {
+    if (!(await stillClaimed(job))) {
+      throw new JobCancelledError();
+    }
+    if (cached.has(i)) continue;
+    const seed = variationSeed(parameters.seed, i);
+    let generated;
+    try {
+      generated = await generateImage({
+        task: job.type,
+        model: job.model,
+        prompt: job.prompt,
+        negativePrompt: job.negativePrompt,
+        parameters: { ...parameters, seed },
+        image,
+        mask,
+        onEvent: (type, data) => publishJobEvent(job, type, { ...data, variation: i + 1 }),
+      });
+    } catch (err) {
+      lastError = err;
+      logger.warn('Variation failed', { variation: i + 1, numImages: job.numImages, error: err });
+      continue;
+    }
+    // Nothing is stored until every output has passed the image check, so a
+    // blocked job never leaves published files behind.
+    const moderation = await moderateImage({ job, buffer: generated.buffer });
+    if (!moderation.allowed) {
+      throw new JobBlockedError(moderation.reason, { categories: moderation.categories, reason: moderation.reason });
+    }
+    outputs.push({ buffer: generated.buffer, seed, index: i });
+    modelId = generated.model;
+    note = generated.note;
+  }
+  if (outputs.length === 0 && cached.size === 0) {
+    throw lastError || new Error('Image generation failed');
+  }
+  if (!(await stillClaimed(job))) {
+    throw new JobCancelledError();
+  }
+  const fresh = [];
+  for (const { buffer, seed, index } of outputs) {
+    const size = readImageSize(buffer) || { width: parameters.width, height: parameters.height };
+    const filename = job.numImages > 1
+      ? `image-${jobId}-${index}-${Date.now()}.png`
+      : `image-${jobId}-${Date.now()}.png`;
+    const url = await storeImage(buffer, filename);
+    fresh.push({ index, image: { url, width: size.width, height: size.height, filename, seed } });
+  }
+  const reused = [...cached].map(([index, entry]) => ({ index, image: cachedImage(entry) }));
+  const images = [...fresh, ...reused].sort((a, b) => a.index - b.index).map(({ image }) => image);
+  const timeTaken = Date.now() - startTime;
+
+  // Only the variations that succeeded are captured, the cached ones at the
+  // cached price; the rest of the hold goes back to the balance. Jobs queued
+  // before holds existed were charged up front and get a refund instead.
+  const failedImages = job.numImages - images.length;
+  const perImage = job.creditCost / job.numImages;
+  const cachedCredits = cachedCharge(perImage * reused.length);
+  const captured = await captureHold(job._id, perImage * fresh.length + cachedCredits);
+  if (reused.length > 0) {
+    await Job.updateOne({ _id: job._id }, { $set: { cacheSavings: perImage * reused.length - cachedCredits } });
+    await recordCacheHits([...cached.values()]);
+  }
+  // Placeholder images stand in for a provider that was unavailable and
+  // must not answer later requests.
+  if (fresh.length > 0 && !note) {
+    await rememberImages(job, fresh).catch(error => logger.warn('Failed to cache generated images', { error }));
+  }
+  if (failedImages > 0) {
+    const credits = perImage * failedImages;
+    await Job.updateOne({ _id: job._id }, { $inc: { refundedCredits: credits } });
+    if (!captured && !(await hasHold(job._id))) {
+      await refundCredits(job.userId, credits, `Partial refund: ${failedImages} of ${job.numImages} images failed`, { jobId: job._id });
+    }
+  }
+
+  logger.info('Generated', { images: images.length, numImages: job.numImages, timeTaken, model: modelId });
+  return {
+    images,
+    timeTaken,
+    model: modelId || job.model,
+    seed: parameters.seed,
+    failedImages,
+    cached: reused.length === job.numImages || undefined,
+    note,
+  };
+}
+
+// Called once a job has permanently failed (out of attempts or abandoned)
+// or was blocked by moderation.
+async function refundFailedJob(job) {
+  const reason = job.status === 'blocked' ? 'Refund for blocked generation' : 'Refund for failed generation';
+  await refundJob(job, reason);
+}
+
+function handleJobEvent(job, type, data) {
+  publishJobEvent(job, type, data);
+  if (['job.completed', 'job.failed', 'job.blocked', 'job.cancelled'].includes(type)) {
+    emitWebhookEvent(job.userId, type, {
+      jobId: job._id,
+      batchId: job.batchId,
+      type: job.type,
+      prompt: job.prompt,
+      model: job.model,
+      status: job.status,
+      result: job.result,
+      error: job.error,
+      moderation: job.status === 'blocked' ? job.moderation : undefined,
+    });
   }
 }
 
-app.get('/api/images/jobs/:id', authenticate, async (req, res) => {
+const jobQueue = createJobQueue({
+  handler: processImageGeneration,
+  onFailure: refundFailedJob,
+  onEvent: handleJobEvent,
+});
+
+app.get('/api/images/events', acceptQueryToken, authenticate, requireScope('images:read'), validate(imageSchemas.streamEvents), async (req, res) => {
+  try {
+    await streamJobEvents(req, res, { filter: { userId: req.user._id } });
+  } catch (error) {
+    logger.error('Event stream error', { error });
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to open event stream' });
+    }
+  }
+});
+
+app.get('/api/images/jobs/:id/events', acceptQueryToken, authenticate, requireScope('images:read'), resolveOrganization, validate(imageSchemas.streamJobEvents), async (req, res) => {
   try {
-    const job = await Job.findOne({ _id: req.params.id, userId: req.user._id });
+    const job = await Job.findOne({ _id: req.params.id, ...ownerFilter(req) });
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    await streamJobEvents(req, res, { filter: { jobId: job._id }, replayAll: true });
+  } catch (error) {
+    logger.error('Event stream error', { error });
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to open event stream' });
+    }
+  }
+});
+
+app.get('/api/images/jobs/:id', authenticate, requireScope('images:read'), resolveOrganization, validate(imageSchemas.getJob), async (req, res) => {
+  try {
+    const job = await Job.findOne({ _id: req.params.id, ...ownerFilter(req) });
     if (!job) {
       return res.status(404).json({ error: 'Job not found' });
     }
     res.json({
       id: job._id,
+      type: job.type,
       prompt: job.prompt,
       model: job.model,
       parameters: job.parameters,
+      inputs: job.inputs,
+      batchId: job.batchId,
+      userId: job.userId,
+      organizationId: job.organizationId,
+      numImages: job.numImages,
+      creditCost: job.creditCost,
+      refundedCredits: job.refundedCredits,
+      cacheSavings: job.cacheSavings,
       status: job.status,
+      queuePosition: await getQueuePosition(job),
+      attempts: job.attempts,
+      maxAttempts: job.maxAttempts,
       result: job.result,
       error: job.error,
+      moderation: job.status === 'blocked' ? job.moderation : undefined,
+      cancelledAt: job.cancelledAt,
+      visibility: job.visibility,
+      shareUrl: job.shareToken ? shareUrl(job.shareToken) : undefined,
+      likeCount: job.likeCount,
+      remixOf: job.remixOf,
       createdAt: job.createdAt,
     });
   } catch (error) {
@@ -392,50 +1024,206 @@ app.get('/api/images/jobs/:id', authenticate, async (req, res) => {
   }
 });
 
-app.get('/api/images/jobs', authenticate, async (req, res) => {
+// Only the job's creator publishes it or hands out its share link.
+app.patch('/api/images/jobs/:id/visibility', authenticate, requireSession, validate(imageSchemas.setVisibility), async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const skip = (page - 1) * limit;
-    const jobs = await Job.find({ userId: req.user._id })
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit);
-    const total = await Job.countDocuments({ userId: req.user._id });
+    const job = await setVisibility(req.params.id, req.user._id, req.body.visibility);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found or not completed' });
+    }
+    res.json({ id: job._id, visibility: job.visibility, publishedAt: job.publishedAt });
+  } catch (error) {
+    logger.error('Set visibility error', { error });
+    res.status(500).json({ error: 'Failed to update visibility' });
+  }
+});
+
+app.post('/api/images/jobs/:id/share', authenticate, requireSession, validate(imageSchemas.createShareLink), async (req, res) => {
+  try {
+    const token = await ensureShareToken(req.params.id, req.user._id);
+    if (!token) {
+      return res.status(404).json({ error: 'Job not found or not completed' });
+    }
+    res.json({ shareToken: token, shareUrl: shareUrl(token) });
+  } catch (error) {
+    logger.error('Create share link error', { error });
+    res.status(500).json({ error: 'Failed to create share link' });
+  }
+});
+
+app.delete('/api/images/jobs/:id/share', authenticate, requireSession, validate(imageSchemas.revokeShareLink), async (req, res) => {
+  try {
+    const job = await revokeShareToken(req.params.id, req.user._id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json({ message: 'Share link revoked' });
+  } catch (error) {
+    logger.error('Revoke share link error', { error });
+    res.status(500).json({ error: 'Failed to revoke share link' });
+  }
+});
+
+// Cancel, retry and delete each resolve to { result } for the response or
+// { error, status }, so the bulk routes can report per job.
+const cancelRequestedJob = async (req, id) => {
+  if (!mongoose.isValidObjectId(id)) {
+    return { error: 'Job not found', status: 404 };
+  }
+  const cancelled = await cancelJob({ _id: id, ...manageableFilter(req) });
+  if (!cancelled) {
+    const exists = await Job.exists({ _id: id, ...manageableFilter(req) });
+    return exists
+      ? { error: 'Only pending or processing jobs can be cancelled', status: 409 }
+      : { error: 'Job not found', status: 404 };
+  }
+  jobsFinished.inc({ status: 'cancelled', type: cancelled.job.type });
+  handleJobEvent(cancelled.job, 'job.cancelled', { status: 'cancelled', refundedCredits: cancelled.refunded });
+  return { result: { id: cancelled.job._id, status: 'cancelled', refundedCredits: cancelled.refunded } };
+};
+
+// Retries are charged like new jobs, to the account the job was made for.
+const retryRequestedJob = async (req, id) => {
+  const job = mongoose.isValidObjectId(id) ? await Job.findOne({ _id: id, ...manageableFilter(req) }) : null;
+  if (!job) {
+    return { error: 'Job not found', status: 404 };
+  }
+  if (!RETRYABLE_JOB_STATUSES.includes(job.status)) {
+    return { error: 'Only failed or cancelled jobs can be retried', status: 409 };
+  }
+  if (String(job.organizationId || '') !== String(req.organization?._id || '')) {
+    return { error: 'Retry the job with the X-Organization-Id it was created with', status: 409 };
+  }
+  const held = await holdRequestCredits(req, [{
+    jobId: job._id,
+    batchId: job.batchId,
+    amount: job.creditCost,
+    description: `Retry of image ${job.type}: ${(job.prompt || '').substring(0, 50)}...`,
+  }]);
+  if (held.error) {
+    return held;
+  }
+  const retried = await requeueJob(job._id);
+  if (!retried) {
+    await releaseHold(job._id, 'Retry could not be started');
+    return { error: 'Only failed or cancelled jobs can be retried', status: 409 };
+  }
+  publishJobEvent(retried, 'job.status', { status: 'pending', retried: true });
+  return { result: { id: retried._id, status: 'pending', creditCost: retried.creditCost } };
+};
+
+const deleteRequestedJob = async (req, id) => {
+  const job = mongoose.isValidObjectId(id) ? await Job.findOne({ _id: id, ...manageableFilter(req) }) : null;
+  if (!job) {
+    return { error: 'Job not found', status: 404 };
+  }
+  if (ACTIVE_JOB_STATUSES.includes(job.status)) {
+    return { error: 'Cancel the job before deleting it', status: 409 };
+  }
+  if (!(await deleteJob(job))) {
+    return { error: 'Failed to delete the stored images; try again', status: 502 };
+  }
+  return { result: { id: job._id, deleted: true } };
+};
+
+const jobActionRoute = (action, label) => async (req, res) => {
+  try {
+    const outcome = await action(req, req.params.id);
+    if (outcome.error) {
+      return res.status(outcome.status).json({ error: outcome.error });
+    }
+    jobQueue.notify();
+    res.json(outcome.result);
+  } catch (error) {
+    logger.error(`${label} job error`, { error });
+    res.status(500).json({ error: `Failed to ${label.toLowerCase()} job` });
+  }
+};
+
+const bulkJobActionRoute = (action, label) => async (req, res) => {
+  try {
+    const results = [];
+    for (const id of new Set(req.body.jobIds)) {
+      const outcome = await action(req, id);
+      results.push(outcome.error ? { id, error: outcome.error } : outcome.result);
+    }
+    jobQueue.notify();
+    const failed = results.filter(result => result.error).length;
+    res.json({ results, succeeded: results.length - failed, failed });
+  } catch (error) {
+    logger.error(`Bulk ${label.toLowerCase()} error`, { error });
+    res.status(500).json({ error: `Failed to ${label.toLowerCase()} jobs` });
+  }
+};
+
+const bulkSize = (req) => new Set(req.body.jobIds).size;
+
+app.post('/api/images/jobs/:id/cancel', authenticate, requireScope('images:generate'), resolveOrganization, validate(imageSchemas.jobAction('Cancel a pending or processing job')), jobActionRoute(cancelRequestedJob, 'Cancel'));
+app.post('/api/images/jobs/:id/retry', authenticate, requireScope('images:generate'), resolveOrganization, validate(imageSchemas.jobAction('Retry a failed or cancelled job')), limitGenerations(), jobActionRoute(retryRequestedJob, 'Retry'));
+app.delete('/api/images/jobs/:id', authenticate, requireScope('images:generate'), resolveOrganization, validate(imageSchemas.jobAction('Delete a finished job and its images')), jobActionRoute(deleteRequestedJob, 'Delete'));
+app.post('/api/images/jobs/bulk-cancel', authenticate, requireScope('images:generate'), resolveOrganization, validate(imageSchemas.bulkJobAction('Cancel several jobs')), bulkJobActionRoute(cancelRequestedJob, 'Cancel'));
+app.post('/api/images/jobs/bulk-retry', authenticate, requireScope('images:generate'), resolveOrganization, validate(imageSchemas.bulkJobAction('Retry several jobs')), limitGenerations(bulkSize), bulkJobActionRoute(retryRequestedJob, 'Retry'));
+app.post('/api/images/jobs/bulk-delete', authenticate, requireScope('images:generate'), resolveOrganization, validate(imageSchemas.bulkJobAction('Delete several jobs')), bulkJobActionRoute(deleteRequestedJob, 'Delete'));
+
+// The filters shared by the job list and the gallery.
+const jobListFilter = (req, filter) => {
+  const { model, type, q } = req.query;
+  if (model) filter.model = model;
+  if (type) filter.type = type;
+  if (q) filter.$text = { $search: q };
+  const createdAt = createdBetween(req.query);
+  if (createdAt) filter.createdAt = createdAt;
+  return filter;
+};
+
+app.get('/api/images/jobs', authenticate, requireScope('images:read'), resolveOrganization, validate(imageSchemas.listJobs), async (req, res) => {
+  try {
+    const filter = jobListFilter(req, { ...ownerFilter(req) });
+    if (req.query.status) filter.status = { $in: req.query.status };
+    const listed = await paginate(Job, filter, { ...req.query, sorts: imageSchemas.JOB_SORTS });
+    if (listed.error) {
+      return res.status(400).json({ error: listed.error });
+    }
     res.json({
-      jobs: jobs.map(job => ({
+      jobs: listed.items.map(job => ({
         id: job._id,
+        userId: job.userId,
+        organizationId: job.organizationId,
+        type: job.type,
         prompt: job.prompt,
         model: job.model,
         status: job.status,
         result: job.result,
+        visibility: job.visibility,
         createdAt: job.createdAt,
       })),
-      pagination: { page, limit, total },
+      pagination: listed.pagination,
     });
   } catch (error) {
     res.status(500).json({ error: 'Failed to fetch jobs' });
   }
 });
 
-app.get('/api/images/gallery', authenticate, async (req, res) => {
+app.get('/api/images/gallery', authenticate, requireScope('images:read'), resolveOrganization, validate(imageSchemas.listGallery), async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const skip = (page - 1) * limit;
-    const jobs = await Job.find({ userId: req.user._id, status: 'completed' })
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit);
-    const total = await Job.countDocuments({ userId: req.user._id, status: 'completed' });
+    const filter = jobListFilter(req, { ...ownerFilter(req), status: 'completed' });
+    if (req.query.visibility) filter.visibility = req.query.visibility;
+    const listed = await paginate(Job, filter, { ...req.query, sorts: imageSchemas.GALLERY_SORTS });
+    if (listed.error) {
+      return res.status(400).json({ error: listed.error });
+    }
     res.json({
-      images: jobs.map(job => ({
+      images: listed.items.map(job => ({
         id: job._id,
+        userId: job.userId,
+        type: job.type,
         prompt: job.prompt,
         result: job.result,
+        visibility: job.visibility,
+        likeCount: job.likeCount,
         createdAt: job.createdAt,
       })),
-      pagination: { page, limit, total },
+      pagination: listed.pagination,
     });
   } catch (error) {
     res.status(500).json({ error: 'Failed to fetch gallery' });
@@ -444,60 +1232,331 @@ app.get('/api/images/gallery', authenticate, async (req, res) => {
 
 app.get('/api/billing/packages', (req, res) => {
   res.json({
-    packages: [
-      { id: 'starter', name: 'Starter Pack', credits: 50, price: 9.99, popular: false },
-      { id: 'pro', name: 'Pro Pack', credits: 200, price: 29.99, popular: true, bonus: 20 },
-      { id: 'ultimate', name: 'Ultimate Pack', credits: 500, price: 59.99, popular: false, bonus: 100 },
-    ]
+    packages: CREDIT_PACKAGES.map(pkg => ({ ...pkg, totalCredits: totalCredits(pkg) })),
   });
 });
 
-app.post('/api/billing/purchase', authenticate, async (req, res) => {
+// Creates a pending purchase and a checkout session with the payment
+// provider. Credits are only granted by the provider's webhook.
+async function openCheckout(req, { item, amount, credits, description, metadata, saveForRenewal = false }) {
+  const { successUrl, cancelUrl } = req.body;
+  const frontendUrl = process.env.FRONTEND_URL || `http://localhost:${PORT}`;
+  const transaction = await Transaction.create({
+    userId: req.user._id,
+    organizationId: req.organization?._id,
+    type: 'purchase',
+    amount,
+    credits,
+    description,
+    status: 'pending',
+    metadata: { ...metadata, paymentProvider: paymentProvider.name },
+  });
+  const session = await paymentProvider.createCheckout({
+    transaction,
+    pkg: item,
+    credits: credits || item.monthlyCredits,
+    user: req.user,
+    successUrl: successUrl || `${frontendUrl}/billing?checkout=success`,
+    cancelUrl: cancelUrl || `${frontendUrl}/billing?checkout=cancelled`,
+    saveForRenewal,
+  });
+  transaction.metadata.checkoutSessionId = session.sessionId;
+  await transaction.save();
+  return { transaction, checkoutUrl: session.url };
+}
+
+const createCheckout = async (req, res) => {
   try {
-    const { packageId, paymentMethod } = req.body;
-    const packages = {
-      starter: { credits: 50, price: 9.99 },
-      pro: { credits: 220, price: 29.99 },
-      ultimate: { credits: 600, price: 59.99 },
-    };
-    const pkg = packages[packageId];
+    if (!paymentProvider) {
+      return res.status(503).json({ error: 'Payments are not configured' });
+    }
+    const { packageId } = req.body;
+    const pkg = getPackage(packageId);
     if (!pkg) {
       return res.status(400).json({ error: 'Invalid package' });
     }
-    req.user.credits += pkg.credits;
-    await req.user.save();
-    await Transaction.create({
-      userId: req.user._id,
-      type: 'purchase',
+    const credits = totalCredits(pkg);
+    const { transaction, checkoutUrl } = await openCheckout(req, {
+      item: pkg,
       amount: pkg.price,
-      credits: pkg.credits,
+      credits,
       description: `Purchased ${packageId} package`,
-      metadata: { packageId, paymentMethod }
+      metadata: { packageId },
     });
+    res.status(201).json({
+      transactionId: transaction._id,
+      organizationId: transaction.organizationId,
+      status: transaction.status,
+      checkoutUrl,
+      credits,
+      amount: pkg.price,
+    });
+  } catch (error) {
+    logger.error('Checkout error', { error });
+    res.status(500).json({ error: 'Failed to start checkout' });
+  }
+};
+
+// With X-Organization-Id the purchased credits go to the organization's pool.
+app.post('/api/billing/checkout', authenticate, requireSession, resolveOrganization, requireOrganizationRole('admin'), validate(billingSchemas.checkout), createCheckout);
+app.post('/api/billing/purchase', authenticate, requireSession, resolveOrganization, requireOrganizationRole('admin'), validate(billingSchemas.checkout), createCheckout);
+
+app.get('/api/billing/checkout/:transactionId', authenticate, requireScope('billing:read'), validate(billingSchemas.getCheckout), async (req, res) => {
+  try {
+    const transaction = await Transaction.findOne({
+      _id: req.params.transactionId,
+      userId: req.user._id,
+      type: 'purchase',
+    });
+    if (!transaction) {
+      return res.status(404).json({ error: 'Checkout not found' });
+    }
     res.json({
-      success: true,
-      newBalance: req.user.credits,
-      creditsAdded: pkg.credits,
+      transactionId: transaction._id,
+      status: transaction.status,
+      packageId: transaction.metadata?.packageId,
+      credits: transaction.credits,
+      amount: transaction.amount,
+      refunded: !!transaction.metadata?.refundedAt,
+      createdAt: transaction.createdAt,
     });
   } catch (error) {
-    console.error('Purchase error:', error);
-    res.status(500).json({ error: 'Purchase failed' });
+    res.status(500).json({ error: 'Failed to fetch checkout' });
   }
 });
 
-app.get('/api/billing/transactions', authenticate, async (req, res) => {
+app.get('/api/billing/plans', (req, res) => {
+  res.json({ plans: PLANS });
+});
+
+app.get('/api/billing/subscription', authenticate, requireScope('billing:read'), async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const skip = (page - 1) * limit;
-    const transactions = await Transaction.find({ userId: req.user._id })
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit);
-    const total = await Transaction.countDocuments({ userId: req.user._id });
+    const subscription = await getCurrentSubscription(req.user._id);
+    res.json({ subscription: await describeSubscription(subscription, req.user) });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch subscription' });
+  }
+});
+
+// Subscribing, upgrading and reactivating a past-due plan go through
+// checkout and take effect once paid; downgrades wait for the renewal.
+app.post('/api/billing/subscription', authenticate, requireSession, validate(billingSchemas.subscribe), async (req, res) => {
+  try {
+    const plan = getPlan(req.body.planId);
+    if (!plan) {
+      return res.status(400).json({ error: 'Invalid plan' });
+    }
+    const subscription = await getCurrentSubscription(req.user._id);
+    if (subscription?.status === 'active') {
+      if (plan.id === subscription.planId) {
+        return res.status(409).json({ error: `Already subscribed to the ${plan.name} plan` });
+      }
+      if (planRank(plan.id) < planRank(subscription.planId)) {
+        subscription.pendingPlanId = plan.id;
+        subscription.cancelAtPeriodEnd = false;
+        await subscription.save();
+        return res.json({ subscription: await describeSubscription(subscription, req.user) });
+      }
+    }
+    if (!paymentProvider) {
+      return res.status(503).json({ error: 'Payments are not configured' });
+    }
+    const { transaction, checkoutUrl } = await openCheckout(req, {
+      item: plan,
+      amount: plan.price,
+      credits: 0,
+      description: `${plan.name} plan subscription`,
+      metadata: { planId: plan.id, subscriptionId: subscription?._id },
+      saveForRenewal: true,
+    });
+    res.status(201).json({
+      transactionId: transaction._id,
+      status: transaction.status,
+      checkoutUrl,
+      planId: plan.id,
+      amount: plan.price,
+    });
+  } catch (error) {
+    logger.error('Subscription checkout error', { error });
+    res.status(500).json({ error: 'Failed to start subscription' });
+  }
+});
+
+app.post('/api/billing/subscription/cancel', authenticate, requireSession, async (req, res) => {
+  try {
+    const subscription = await getCurrentSubscription(req.user._id);
+    if (!subscription) {
+      return res.status(404).json({ error: 'No active subscription' });
+    }
+    if (subscription.status === 'past_due') {
+      subscription.status = 'canceled';
+      subscription.canceledAt = new Date();
+    } else {
+      subscription.cancelAtPeriodEnd = true;
+      subscription.pendingPlanId = undefined;
+    }
+    await subscription.save();
+    res.json({ subscription: await describeSubscription(subscription, req.user) });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to cancel subscription' });
+  }
+});
+
+app.post('/api/billing/subscription/resume', authenticate, requireSession, async (req, res) => {
+  try {
+    const subscription = await getCurrentSubscription(req.user._id);
+    if (subscription?.status !== 'active' || !subscription.cancelAtPeriodEnd) {
+      return res.status(409).json({ error: 'No subscription scheduled to cancel' });
+    }
+    subscription.cancelAtPeriodEnd = false;
+    await subscription.save();
+    res.json({ subscription: await describeSubscription(subscription, req.user) });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to resume subscription' });
+  }
+});
+
+async function handlePaymentEvent(event) {
+  if (event.type === 'payment.succeeded') {
+    const completed = await completePurchase(event.transactionId, event.paymentId);
+    if (completed?.transaction.amount > 0) {
+      await rewardReferral(completed.transaction.userId);
+    }
+    if (completed?.transaction.metadata?.planId) {
+      logger.info('Subscription payment paid', { transactionId: event.transactionId });
+      await activateSubscription(completed.transaction, event);
+    } else if (completed) {
+      logger.info('Purchase paid', { transactionId: event.transactionId });
+      emitWebhookEvent(completed.transaction.userId, 'credits.purchased', {
+        transactionId: completed.transaction._id,
+        organizationId: completed.transaction.organizationId,
+        packageId: completed.transaction.metadata?.packageId,
+        amount: completed.transaction.amount,
+        credits: completed.transaction.credits,
+        balance: completed.balance,
+      });
+    }
+  } else if (event.type === 'payment.failed') {
+    await failPurchase(event.transactionId);
+  } else if (event.type === 'payment.refunded') {
+    const purchase = event.transactionId
+      ? await Transaction.findOne({ _id: event.transactionId, type: 'purchase' })
+      : await Transaction.findOne({ type: 'purchase', 'metadata.paymentId': event.paymentId });
+    const reversed = purchase && await reversePurchase(purchase);
+    if (reversed) {
+      logger.info('Purchase refunded', { transactionId: purchase._id });
+      emitWebhookEvent(reversed.transaction.userId, 'credits.refunded', {
+        transactionId: reversed.transaction._id,
+        purchaseTransactionId: purchase._id,
+        credits: reversed.transaction.credits,
+        amount: reversed.transaction.amount,
+        balance: reversed.balance,
+      });
+    }
+  }
+}
+
+app.post('/api/billing/webhook', async (req, res) => {
+  try {
+    if (!paymentProvider) {
+      return res.status(503).json({ error: 'Payments are not configured' });
+    }
+    const { event, error } = paymentProvider.parseWebhook(req.rawBody?.toString('utf8') || '', req.headers);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (event?.transactionId && !mongoose.isValidObjectId(event.transactionId)) {
+      return res.status(400).json({ error: 'Unknown transaction reference' });
+    }
+    if (event) {
+      await handlePaymentEvent(event);
+    }
+    res.json({ received: true });
+  } catch (error) {
+    logger.error('Payment webhook error', { error });
+    res.status(500).json({ error: 'Failed to process payment webhook' });
+  }
+});
+
+// Development-only stand-in for the provider's hosted checkout page: settles
+// the session by sending a signed event through the normal webhook path.
+if (paymentProvider?.name === 'fake') {
+  app.post('/api/billing/fake-checkout/:sessionId', validate(billingSchemas.fakeCheckout), async (req, res) => {
+    try {
+      const outcomes = { succeeded: 'payment.succeeded', failed: 'payment.failed', refunded: 'payment.refunded' };
+      const type = outcomes[req.body.outcome];
+      const transaction = await Transaction.findOne({ 'metadata.checkoutSessionId': req.params.sessionId });
+      if (!transaction) {
+        return res.status(404).json({ error: 'Checkout session not found' });
+      }
+      const { body, headers } = paymentProvider.buildEvent(type, transaction);
+      const { event } = paymentProvider.parseWebhook(body, headers);
+      await handlePaymentEvent(event);
+      const updated = await Transaction.findById(transaction._id);
+      res.json({ transactionId: updated._id, status: updated.status, refunded: !!updated.metadata?.refundedAt });
+    } catch (error) {
+      logger.error('Fake checkout error', { error });
+      res.status(500).json({ error: 'Failed to settle checkout' });
+    }
+  });
+}
+
+app.post('/api/billing/redeem', authenticate, requireSession, validate(billingSchemas.redeem), async (req, res) => {
+  try {
+    const redeemed = await redeemPromoCode(req.user, req.body.code);
+    if (redeemed.error) {
+      return res.status(400).json({ error: redeemed.error });
+    }
+    res.json({
+      code: redeemed.promo.code,
+      credits: redeemed.transaction.credits,
+      transactionId: redeemed.transaction._id,
+      balance: redeemed.user.credits,
+    });
+  } catch (error) {
+    logger.error('Redeem error', { error });
+    res.status(500).json({ error: 'Failed to redeem promo code' });
+  }
+});
+
+app.get('/api/users/me/referrals', authenticate, requireScope('billing:read'), async (req, res) => {
+  try {
+    res.json(await getReferralSummary(req.user));
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch referrals' });
+  }
+});
+
+app.get('/api/billing/balance/reconcile', authenticate, requireScope('billing:read'), async (req, res) => {
+  try {
+    const report = await reconcileBalance(req.user);
+    res.json({ ...report, consistent: report.drift === 0 });
+  } catch (error) {
+    logger.error('Reconcile error', { error });
+    res.status(500).json({ error: 'Failed to reconcile balance' });
+  }
+});
+
+mountRouter('/api/admin', createAdminRouter({ jobQueue }));
+mountRouter('/api/organizations', createOrganizationRouter());
+mountRouter('/api/public', createPublicRouter());
+mountRouter('/api/collections', createCollectionRouter());
+
+app.get('/api/billing/transactions', authenticate, requireScope('billing:read'), resolveOrganization, requireOrganizationRole('admin'), validate(billingSchemas.listTransactions), async (req, res) => {
+  try {
+    const filter = ledgerFilter(req);
+    if (req.query.type) filter.type = { $in: req.query.type };
+    if (req.query.status) filter.status = req.query.status;
+    const createdAt = createdBetween(req.query);
+    if (createdAt) filter.createdAt = createdAt;
+    const listed = await paginate(Transaction, filter, { ...req.query, sorts: billingSchemas.TRANSACTION_SORTS });
+    if (listed.error) {
+      return res.status(400).json({ error: listed.error });
+    }
     res.json({
-      transactions: transactions.map(t => ({
+      transactions: listed.items.map(t => ({
         id: t._id,
+        userId: req.organization ? t.userId : undefined,
         type: t.type,
         amount: t.amount,
         credits: t.credits,
@@ -505,22 +1564,24 @@ app.get('/api/billing/transactions', authenticate, async (req, res) => {
         status: t.status,
         createdAt: t.createdAt,
       })),
-      pagination: { page, limit, total },
+      pagination: listed.pagination,
     });
   } catch (error) {
     res.status(500).json({ error: 'Failed to fetch transactions' });
   }
 });
 
-app.get('/api/keys', authenticate, async (req, res) => {
+app.get('/api/keys', authenticate, requireSession, async (req, res) => {
   try {
     const keys = await ApiKey.find({ userId: req.user._id }).sort({ createdAt: -1 });
     res.json({
       keys: keys.map(k => ({
         id: k._id,
         name: k.name,
-        key: k.key.substring(0, 12) + '...' + k.key.substring(k.key.length - 4),
-        fullKey: k.key,
+        key: k.maskedKey(),
+        scopes: k.scopes,
+        limits: k.limits,
+        organizationId: k.organizationId,
         lastUsed: k.lastUsed,
         usageCount: k.usageCount,
         isActive: k.isActive,
@@ -532,28 +1593,34 @@ app.get('/api/keys', authenticate, async (req, res) => {
   }
 });
 
-app.post('/api/keys', authenticate, async (req, res) => {
+// Created with X-Organization-Id, the key acts for that organization and
+// spends from its pool under the creator's membership.
+app.post('/api/keys', authenticate, requireSession, resolveOrganization, validate(keySchemas.createKey), async (req, res) => {
   try {
-    const { name } = req.body;
-    if (!name) {
-      return res.status(400).json({ error: 'Name is required' });
-    }
-    const key = ApiKey.generateKey();
-    const apiKey = new ApiKey({ userId: req.user._id, name, key });
-    await apiKey.save();
+    const { name, scopes, limits } = req.body;
+    const { apiKey, key } = await ApiKey.createForUser(
+      req.user._id,
+      name,
+      scopes ? [...new Set(scopes)] : undefined,
+      limits,
+      req.organization?._id
+    );
     res.status(201).json({
       id: apiKey._id,
       name: apiKey.name,
-      key: apiKey.key,
+      key,
+      scopes: apiKey.scopes,
+      limits: apiKey.limits,
+      organizationId: apiKey.organizationId,
       createdAt: apiKey.createdAt,
     });
   } catch (error) {
-    console.error('Create API key error:', error);
+    logger.error('Create API key error', { error });
     res.status(500).json({ error: 'Failed to create API key' });
   }
 });
 
-app.delete('/api/keys/:id', authenticate, async (req, res) => {
+app.delete('/api/keys/:id', authenticate, requireSession, validate(keySchemas.deleteKey), async (req, res) => {
   try {
     const apiKey = await ApiKey.findOne({ _id: req.params.id, userId: req.user._id });
     if (!apiKey) {
@@ -566,7 +1633,7 @@ app.delete('/api/keys/:id', authenticate, async (req, res) => {
   }
 });
 
-app.patch('/api/keys/:id/toggle', authenticate, async (req, res) => {
+app.patch('/api/keys/:id/toggle', authenticate, requireSession, validate(keySchemas.toggleKey), async (req, res) => {
   try {
     const apiKey = await ApiKey.findOne({ _id: req.params.id, userId: req.user._id });
     if (!apiKey) {
@@ -580,15 +1647,169 @@ app.patch('/api/keys/:id/toggle', authenticate, async (req, res) => {
   }
 });
 
-app.listen(PORT, () => {
-  console.log(`🚀 API server running on http://localhost:${PORT}`);
-  console.log(`📊 Health check: http://localhost:${PORT}/health`);
-  console.log(`\n🤗 HuggingFace: ${HF_API_KEY ? '✅ Connected' : '⚠️  Not configured'}`);
-  if (!HF_API_KEY) {
-    console.log(`\n💡 To enable real AI image generation:`);
-    console.log(`   1. Get API key: https://huggingface.co/settings/tokens`);
-    console.log(`   2. Add to .env: HUGGINGFACE_API_KEY=your_key_here`);
-    console.log(`   3. Restart server\n`);
+const formatWebhookEndpoint = (endpoint) => ({
+  id: endpoint._id,
+  url: endpoint.url,
+  description: endpoint.description,
+  events: endpoint.events,
+  isActive: endpoint.isActive,
+  createdAt: endpoint.createdAt,
+});
+
+app.get('/api/webhooks', authenticate, requireSession, async (req, res) => {
+  try {
+    const endpoints = await WebhookEndpoint.find({ userId: req.user._id }).sort({ createdAt: -1 });
+    res.json({ endpoints: endpoints.map(formatWebhookEndpoint), events: WEBHOOK_EVENTS });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch webhooks' });
+  }
+});
+
+app.post('/api/webhooks', authenticate, requireSession, validate(webhookSchemas.createWebhook), async (req, res) => {
+  try {
+    const { url, description, events } = req.body;
+    const unsafe = await checkWebhookUrl(url);
+    if (unsafe) {
+      return res.status(400).json({ error: unsafe });
+    }
+    const endpoint = await WebhookEndpoint.create({
+      userId: req.user._id,
+      url,
+      description,
+      events: events ? [...new Set(events)] : undefined,
+      secret: WebhookEndpoint.generateSecret(),
+    });
+    res.status(201).json({ ...formatWebhookEndpoint(endpoint), secret: endpoint.secret });
+  } catch (error) {
+    logger.error('Create webhook error', { error });
+    res.status(500).json({ error: 'Failed to create webhook' });
+  }
+});
+
+app.patch('/api/webhooks/:id', authenticate, requireSession, validate(webhookSchemas.updateWebhook), async (req, res) => {
+  try {
+    const endpoint = await WebhookEndpoint.findOne({ _id: req.params.id, userId: req.user._id });
+    if (!endpoint) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    const { url, description, events, isActive } = req.body;
+    if (url !== undefined) {
+      const unsafe = await checkWebhookUrl(url);
+      if (unsafe) {
+        return res.status(400).json({ error: unsafe });
+      }
+      endpoint.url = url;
+    }
+    if (events !== undefined) endpoint.events = [...new Set(events)];
+    if (description !== undefined) endpoint.description = description;
+    if (isActive !== undefined) endpoint.isActive = isActive;
+    await endpoint.save();
+    res.json(formatWebhookEndpoint(endpoint));
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update webhook' });
+  }
+});
+
+app.post('/api/webhooks/:id/rotate-secret', authenticate, requireSession, validate(webhookSchemas.webhookAction('Rotate the signing secret')), async (req, res) => {
+  try {
+    const endpoint = await WebhookEndpoint.findOne({ _id: req.params.id, userId: req.user._id });
+    if (!endpoint) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    endpoint.secret = WebhookEndpoint.generateSecret();
+    await endpoint.save();
+    res.json({ id: endpoint._id, secret: endpoint.secret });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to rotate webhook secret' });
+  }
+});
+
+app.delete('/api/webhooks/:id', authenticate, requireSession, validate(webhookSchemas.webhookAction('Delete a webhook endpoint')), async (req, res) => {
+  try {
+    const endpoint = await WebhookEndpoint.findOne({ _id: req.params.id, userId: req.user._id });
+    if (!endpoint) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    await WebhookEndpoint.deleteOne({ _id: endpoint._id });
+    await WebhookDelivery.updateMany(
+      { endpointId: endpoint._id, status: 'pending' },
+      { $set: { status: 'failed' } }
+    );
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to delete webhook' });
   }
-  console.log(`🗄️  Production mode - MongoDB storage`);
 });
+
+app.get('/api/webhooks/:id/deliveries', authenticate, requireSession, validate(webhookSchemas.listDeliveries), async (req, res) => {
+  try {
+    const endpoint = await WebhookEndpoint.findOne({ _id: req.params.id, userId: req.user._id });
+    if (!endpoint) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    const { page, limit } = req.query;
+    const skip = (page - 1) * limit;
+    const filter = { endpointId: endpoint._id };
+    if (req.query.status) filter.status = req.query.status;
+    const deliveries = await WebhookDelivery.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+    const total = await WebhookDelivery.countDocuments(filter);
+    res.json({
+      deliveries: deliveries.map(d => ({
+        id: d._id,
+        eventId: d.eventId,
+        event: d.event,
+        status: d.status,
+        attempts: d.attempts,
+        nextAttemptAt: d.status === 'pending' ? d.nextAttemptAt : undefined,
+        redeliveryOf: d.redeliveryOf,
+        payload: d.payload,
+        createdAt: d.createdAt,
+      })),
+      pagination: { page, limit, total },
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch deliveries' });
+  }
+});
+
+app.post('/api/webhooks/:id/deliveries/:deliveryId/redeliver', authenticate, requireSession, validate(webhookSchemas.redeliver), async (req, res) => {
+  try {
+    const endpoint = await WebhookEndpoint.findOne({ _id: req.params.id, userId: req.user._id });
+    if (!endpoint) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    const delivery = await WebhookDelivery.findOne({ _id: req.params.deliveryId, endpointId: endpoint._id });
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+    const copy = await redeliver(endpoint, delivery);
+    res.status(202).json({ id: copy._id, status: copy.status, redeliveryOf: delivery._id });
+  } catch (error) {
+    logger.error('Redeliver webhook error', { error });
+    res.status(500).json({ error: 'Failed to redeliver webhook' });
+  }
+});
+
+// Built on first request, once every route is registered.
+let openApiDocument;
+app.get('/api/openapi.json', (req, res) => {
+  openApiDocument ||= buildOpenApiDocument(app, { mounts: mountedRouters });
+  res.json(openApiDocument);
+});
+
+app.use('/api', notFoundHandler);
+app.use(errorHandler);
+
+// Called once startup (migrations, indexes, schedulers) has finished, so
+// no request runs against a half-migrated database.
+function listen() {
+  app.listen(PORT, () => {
+    logger.info('API server running', { port: Number(PORT), huggingface: HF_API_KEY ? 'configured' : 'not configured' });
+    if (!HF_API_KEY) {
+      logger.warn('HUGGINGFACE_API_KEY is not set - images come from the local placeholder; get a key at https://huggingface.co/settings/tokens');
+    }
+  });
+}
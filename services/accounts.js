@@ -0,0 +1,134 @@
+import crypto from 'crypto';
+import User from '../models/User.js';
+import RefreshToken from '../models/RefreshToken.js';
+import AccountToken from '../models/AccountToken.js';
+import { generateToken, ACCESS_TOKEN_TTL_SECONDS } from '../middleware/auth.js';
+import { sendMail } from '../mailer/index.js';
+import { logger } from './logger.js';
+
+const REFRESH_TOKEN_TTL_MS = (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+const ACCOUNT_TOKEN_TTL_MS = {
+  'password-reset': 60 * 60 * 1000,
+  'email-verification': 48 * 60 * 60 * 1000,
+};
+
+export const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const frontendUrl = () => process.env.FRONTEND_URL || `http://localhost:${process.env.PORT || 3000}`;
+
+// Issues an access token and a new refresh token. Rotated tokens stay in
+// the family of the login they descend from.
+export const issueSession = async (user, req, familyId = crypto.randomUUID()) => {
+  const refreshToken = 'rt_' + crypto.randomBytes(32).toString('hex');
+  const record = await RefreshToken.create({
+    userId: user._id,
+    tokenHash: hashToken(refreshToken),
+    familyId,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+    userAgent: req.headers['user-agent'],
+    ip: req.ip,
+  });
+  return {
+    session: { accessToken: generateToken(user), refreshToken, expiresIn: ACCESS_TOKEN_TTL_SECONDS },
+    record,
+  };
+};
+
+// Exchanges a refresh token for a new session. Each token is good for one
+// exchange; presenting it again means it leaked, so its whole family is
+// revoked. Resolves to { user, session } or { error }.
+export const rotateRefreshToken = async (token, req) => {
+  if (typeof token !== 'string') {
+    return { error: 'Refresh token is required' };
+  }
+  const now = new Date();
+  const existing = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+  if (!existing || existing.expiresAt <= now) {
+    return { error: 'Invalid refresh token' };
+  }
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { _id: existing._id, revokedAt: null },
+    { $set: { revokedAt: now } },
+    { new: true }
+  );
+  if (!claimed) {
+    const { modifiedCount } = await RefreshToken.updateMany(
+      { familyId: existing.familyId, revokedAt: null },
+      { $set: { revokedAt: now } }
+    );
+    if (modifiedCount > 0) {
+      logger.warn('Refresh token reuse detected; session family revoked', { userId: existing.userId, revokedSessions: modifiedCount });
+    }
+    return { error: 'Refresh token has been revoked' };
+  }
+  const user = await User.findById(existing.userId);
+  if (!user || user.suspendedAt) {
+    return { error: 'Invalid refresh token' };
+  }
+  const { session, record } = await issueSession(user, req, existing.familyId);
+  await RefreshToken.updateOne({ _id: existing._id }, { $set: { replacedBy: record._id } });
+  return { user, session };
+};
+
+// Ends the session (token family) the refresh token belongs to.
+export const revokeRefreshToken = async (token) => {
+  if (typeof token !== 'string') return false;
+  const existing = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+  if (!existing) return false;
+  await RefreshToken.updateMany(
+    { familyId: existing.familyId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+  return true;
+};
+
+// Revokes every refresh token and, by bumping the token version, every
+// access token the user holds.
+export const revokeAllSessions = async (userId) => {
+  await RefreshToken.updateMany({ userId, revokedAt: null }, { $set: { revokedAt: new Date() } });
+  return User.findByIdAndUpdate(userId, { $inc: { tokenVersion: 1 } }, { new: true });
+};
+
+const createAccountToken = async (userId, purpose) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  // Only the newest link of each kind works.
+  await AccountToken.updateMany({ userId, purpose, usedAt: null }, { $set: { usedAt: new Date() } });
+  await AccountToken.create({
+    userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ACCOUNT_TOKEN_TTL_MS[purpose]),
+  });
+  return token;
+};
+
+// Marks a single-use token as used and returns it, or null if it is
+// unknown, expired or already used.
+export const consumeAccountToken = (token, purpose) => {
+  if (typeof token !== 'string') return null;
+  return AccountToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+};
+
+export const sendVerificationEmail = async (user) => {
+  const token = await createAccountToken(user._id, 'email-verification');
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.firstName},\n\nConfirm your email address by opening this link within 48 hours:\n${frontendUrl()}/verify-email?token=${token}`,
+  });
+};
+
+export const sendPasswordResetEmail = async (user) => {
+  const token = await createAccountToken(user._id, 'password-reset');
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.firstName},\n\nSomeone asked to reset the password for your account. Open this link within an hour to choose a new one:\n${frontendUrl()}/reset-password?token=${token}\n\nIf this wasn't you, you can ignore this email.`,
+  });
+};
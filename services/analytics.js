@@ -0,0 +1,207 @@
+import mongoose from 'mongoose';
+import Job from '../models/Job.js';
+import Transaction from '../models/Transaction.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+
+export const INTERVALS = ['day', 'week', 'month'];
+
+// Reads `from` (inclusive) and `to` (exclusive) from the query, defaulting
+// to the last 30 days. Resolves to { from, to } or { error }.
+export const parseRange = (query) => {
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+    return { error: 'from and to must be ISO 8601 dates' };
+  }
+  if (from >= to) {
+    return { error: 'from must be before to' };
+  }
+  if (to - from > MAX_RANGE_DAYS * DAY_MS) {
+    return { error: `The range may span at most ${MAX_RANGE_DAYS} days` };
+  }
+  return { from, to };
+};
+
+export const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// The $match for the jobs of `owner` created in the range, optionally only
+// those made with one API key. Resolves to { match } or { error }.
+export const buildJobMatch = (owner, query) => {
+  const range = parseRange(query);
+  if (range.error) return range;
+  const match = { ...owner, createdAt: { $gte: range.from, $lt: range.to } };
+  if (query.apiKeyId) {
+    if (!mongoose.isValidObjectId(query.apiKeyId)) {
+      return { error: 'Invalid apiKeyId' };
+    }
+    match.apiKeyId = new mongoose.Types.ObjectId(String(query.apiKeyId));
+  }
+  return { match, from: range.from, to: range.to };
+};
+
+const imagesGenerated = { $size: { $ifNull: ['$result.images', []] } };
+const countWhere = (status) => ({ $sum: { $cond: [{ $eq: ['$status', status] }, 1, 0] } });
+// Only completed jobs keep any credits; everything else is refunded.
+const creditsSpent = {
+  $sum: {
+    $cond: [
+      { $eq: ['$status', 'completed'] },
+      { $subtract: ['$creditCost', { $add: ['$refundedCredits', { $ifNull: ['$cacheSavings', 0] }] }] },
+      0,
+    ],
+  },
+};
+
+// Images, credits and failures per day, week (from Monday) or month in
+// `timezone`. Periods without jobs are left out.
+export const getTimeSeries = async (match, { interval, timezone }) => {
+  const rows = await Job.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { $dateTrunc: { date: '$createdAt', unit: interval, timezone, startOfWeek: 'monday' } },
+        jobs: { $sum: 1 },
+        completed: countWhere('completed'),
+        failed: countWhere('failed'),
+        blocked: countWhere('blocked'),
+        cancelled: countWhere('cancelled'),
+        images: { $sum: imagesGenerated },
+        creditsSpent,
+      },
+    },
+    { $sort: { _id: 1 } },
+  ]);
+  return rows.map(({ _id, ...row }) => ({ period: _id, ...row }));
+};
+
+// Nearest-rank percentile of an ascending array.
+const percentile = (sorted, p) => {
+  if (sorted.length === 0) return null;
+  return sorted[Math.max(Math.ceil((p / 100) * sorted.length) - 1, 0)];
+};
+
+// Per-model counts, success rate and generation time percentiles. The
+// percentiles are computed here rather than with $percentile, which needs
+// MongoDB 7.
+export const getModelBreakdown = async (match) => {
+  const rows = await Job.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$model',
+        jobs: { $sum: 1 },
+        completed: countWhere('completed'),
+        failed: countWhere('failed'),
+        blocked: countWhere('blocked'),
+        cancelled: countWhere('cancelled'),
+        images: { $sum: imagesGenerated },
+        creditsSpent,
+        timings: { $push: { $cond: [{ $eq: ['$status', 'completed'] }, '$result.timeTaken', '$$REMOVE'] } },
+      },
+    },
+    { $sort: { jobs: -1 } },
+  ]);
+  return rows.map(({ _id, timings, ...row }) => {
+    const finished = row.completed + row.failed + row.blocked;
+    const sorted = timings.filter(ms => typeof ms === 'number').sort((a, b) => a - b);
+    return {
+      model: _id,
+      ...row,
+      successRate: finished > 0 ? row.completed / finished : null,
+      timeTaken: { p50: percentile(sorted, 50), p95: percentile(sorted, 95) },
+    };
+  });
+};
+
+export const getCreditsUsed = async (filter) => {
+  const [row] = await Transaction.aggregate([
+    { $match: { ...filter, type: 'usage', status: 'completed' } },
+    { $group: { _id: null, total: { $sum: '$credits' } } },
+  ]);
+  return -(row?.total || 0);
+};
+
+// Cells starting with these are evaluated as formulas by spreadsheets.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Streams the documents of `cursor` as CSV or a JSON array, one row at a
+// time, so large exports never sit in memory. `columns` maps each output
+// field to a function of the document.
+export const streamExport = async (res, cursor, { format, filename, columns }) => {
+  const names = Object.keys(columns);
+  const toRow = (doc) => Object.fromEntries(names.map(name => [name, columns[name](doc)]));
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+  if (format === 'csv') {
+    res.type('text/csv');
+    res.write(`${names.join(',')}\n`);
+    for await (const doc of cursor) {
+      const row = toRow(doc);
+      res.write(`${names.map(name => csvCell(row[name])).join(',')}\n`);
+    }
+  } else {
+    res.type('application/json');
+    res.write('[');
+    let first = true;
+    for await (const doc of cursor) {
+      res.write(`${first ? '' : ','}\n${JSON.stringify(toRow(doc))}`);
+      first = false;
+    }
+    res.write('\n]\n');
+  }
+  res.end();
+};
+
+export const JOB_EXPORT_COLUMNS = {
+  id: job => job._id,
+  createdAt: job => job.createdAt,
+  status: job => job.status,
+  type: job => job.type,
+  model: job => job.model,
+  prompt: job => job.prompt,
+  numImages: job => job.numImages,
+  imagesGenerated: job => job.result?.images?.length || 0,
+  creditCost: job => job.creditCost,
+  refundedCredits: job => job.refundedCredits,
+  cacheSavings: job => job.cacheSavings,
+  timeTakenMs: job => job.result?.timeTaken,
+  userId: job => job.userId,
+  organizationId: job => job.organizationId,
+  apiKeyId: job => job.apiKeyId,
+  batchId: job => job.batchId,
+  error: job => job.error?.message,
+};
+
+export const TRANSACTION_EXPORT_COLUMNS = {
+  id: t => t._id,
+  createdAt: t => t.createdAt,
+  type: t => t.type,
+  status: t => t.status,
+  description: t => t.description,
+  amount: t => t.amount,
+  credits: t => t.credits,
+  userId: t => t.userId,
+  organizationId: t => t.organizationId,
+  packageId: t => t.metadata?.packageId,
+  planId: t => t.metadata?.planId,
+  paymentProvider: t => t.metadata?.paymentProvider,
+  paymentId: t => t.metadata?.paymentId,
+  refundedAt: t => t.metadata?.refundedAt,
+  jobId: t => t.metadata?.jobId,
+};
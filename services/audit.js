@@ -0,0 +1,19 @@
+import AdminAuditLog from '../models/AdminAuditLog.js';
+import { logger } from './logger.js';
+
+// Records an admin action. Called after the change succeeded; a failure to
+// write the entry is logged but does not undo the change.
+export const recordAdminAction = async (req, action, { targetType, targetId, details } = {}) => {
+  try {
+    await AdminAuditLog.create({
+      adminId: req.user._id,
+      action,
+      targetType,
+      targetId: targetId?.toString(),
+      details,
+      ip: req.ip,
+    });
+  } catch (error) {
+    logger.error('Failed to record admin action', { action, error });
+  }
+};
@@ -0,0 +1,144 @@
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import JobEvent from '../models/JobEvent.js';
+import { logger } from './logger.js';
+
+const HEARTBEAT_MS = parseInt(process.env.SSE_HEARTBEAT_MS) || 15000;
+const REMOTE_POLL_MS = parseInt(process.env.SSE_REMOTE_POLL_MS) || 2000;
+const REPLAY_LIMIT = 500;
+
+// Events are persisted so streams can replay after a reconnect, and are
+// fanned out in-process immediately. Events written by other server
+// instances are picked up by one shared poller per process, which only runs
+// while somebody is subscribed.
+const instanceId = crypto.randomBytes(8).toString('hex');
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+const recentRemoteIds = new Set();
+let remotePollTimer = null;
+let remotePollSince = new Date();
+
+const pollRemoteEvents = async () => {
+  try {
+    const since = new Date(remotePollSince.getTime() - REMOTE_POLL_MS);
+    remotePollSince = new Date();
+    const events = await JobEvent.find({ origin: { $ne: instanceId }, createdAt: { $gte: since } })
+      .sort({ _id: 1 })
+      .limit(REPLAY_LIMIT);
+    for (const event of events) {
+      const id = event._id.toString();
+      if (recentRemoteIds.has(id)) continue;
+      recentRemoteIds.add(id);
+      bus.emit('event', event);
+    }
+    // Anything older than two poll windows can no longer be returned again.
+    if (recentRemoteIds.size > REPLAY_LIMIT * 4) {
+      recentRemoteIds.clear();
+      events.forEach(event => recentRemoteIds.add(event._id.toString()));
+    }
+  } catch (error) {
+    logger.warn('Remote event poll failed', { error });
+  }
+};
+
+const subscribe = (listener) => {
+  bus.on('event', listener);
+  if (!remotePollTimer) {
+    remotePollSince = new Date();
+    remotePollTimer = setInterval(pollRemoteEvents, REMOTE_POLL_MS);
+  }
+  return () => {
+    bus.off('event', listener);
+    if (bus.listenerCount('event') === 0) {
+      clearInterval(remotePollTimer);
+      remotePollTimer = null;
+    }
+  };
+};
+
+// Never throws: event delivery must not break job processing.
+export const publishJobEvent = async (job, type, data = {}) => {
+  try {
+    const event = await JobEvent.create({
+      userId: job.userId,
+      jobId: job._id,
+      type,
+      data: { jobId: job._id, ...data },
+      origin: instanceId,
+    });
+    bus.emit('event', event);
+    return event;
+  } catch (error) {
+    logger.warn('Failed to publish job event', { type, jobId: job._id, error });
+    return null;
+  }
+};
+
+const formatEvent = (event) => {
+  return `id: ${event._id}\nevent: ${event.type}\ndata: ${JSON.stringify({
+    ...event.data,
+    type: event.type,
+    createdAt: event.createdAt,
+  })}\n\n`;
+};
+
+// Serves a Server-Sent Events stream of the events matching `filter`
+// ({ jobId } or { userId }). Events after Last-Event-ID are replayed first;
+// with `replayAll` and no Last-Event-ID the whole history is replayed.
+export const streamJobEvents = async (req, res, { filter, replayAll = false }) => {
+  const field = filter.jobId ? 'jobId' : 'userId';
+  const value = (filter.jobId || filter.userId).toString();
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.write(`retry: 3000\n\n`);
+
+  // Replayed ids are remembered only until the held-back live events have
+  // been flushed, which is the only window where duplicates can occur.
+  let replayed = new Set();
+  let buffered = [];
+  const send = (event) => {
+    if (replayed?.has(event._id.toString())) return;
+    res.write(formatEvent(event));
+  };
+
+  // Subscribe before replaying so nothing published in between is lost;
+  // live events are held back until the replay has been written.
+  const unsubscribe = subscribe((event) => {
+    if (event[field]?.toString() !== value) return;
+    if (buffered) buffered.push(event);
+    else send(event);
+  });
+  const heartbeat = setInterval(() => res.write(`: heartbeat\n\n`), HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+
+  try {
+    const query = { [field]: filter.jobId || filter.userId };
+    if (lastEventId && mongoose.isValidObjectId(lastEventId)) {
+      query._id = { $gt: lastEventId };
+    }
+    if (query._id || replayAll) {
+      const history = await JobEvent.find(query).sort({ _id: 1 }).limit(REPLAY_LIMIT);
+      history.forEach(event => {
+        send(event);
+        replayed.add(event._id.toString());
+      });
+    }
+  } catch (error) {
+    logger.warn('Event replay failed', { error });
+  }
+  const pending = buffered;
+  buffered = null;
+  pending.forEach(send);
+  replayed = null;
+};
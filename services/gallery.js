@@ -0,0 +1,93 @@
+import crypto from 'crypto';
+import Job from '../models/Job.js';
+import Like from '../models/Like.js';
+import User from '../models/User.js';
+
+const frontendUrl = () => process.env.FRONTEND_URL || `http://localhost:${process.env.PORT || 3000}`;
+
+export const shareUrl = (token) => `${frontendUrl()}/shared/${token}`;
+
+// What the public may see of a job: the prompt, the settings needed to
+// remix it and the images, never who paid for it or how.
+export const serializePublicImage = (job, author) => ({
+  id: job._id,
+  type: job.type,
+  prompt: job.prompt,
+  negativePrompt: job.negativePrompt,
+  model: job.model,
+  parameters: job.parameters,
+  images: (job.result?.images || []).map(({ url, width, height }) => ({ url, width, height })),
+  likeCount: job.likeCount,
+  remixOf: job.remixOf,
+  author: author ? { name: author.firstName } : undefined,
+  publishedAt: job.publishedAt,
+  createdAt: job.createdAt,
+});
+
+// Loads the authors of a page of jobs in one query.
+export const loadAuthors = async (jobs) => {
+  const users = await User.find({ _id: { $in: jobs.map(job => job.userId) } }, { firstName: 1 });
+  return new Map(users.map(user => [user._id.toString(), user]));
+};
+
+// Publishes or unpublishes one of the user's completed jobs. Resolves to
+// the job, or null if it is not theirs or not completed.
+export const setVisibility = (jobId, userId, visibility) => {
+  const update = visibility === 'public'
+    ? { $set: { visibility, publishedAt: new Date() } }
+    : { $set: { visibility }, $unset: { publishedAt: 1 } };
+  return Job.findOneAndUpdate({ _id: jobId, userId, status: 'completed' }, update, { new: true });
+};
+
+// Returns the job's share token, creating one on first use.
+export const ensureShareToken = async (jobId, userId) => {
+  const job = await Job.findOne({ _id: jobId, userId, status: 'completed' });
+  if (!job) return null;
+  if (!job.shareToken) {
+    const token = crypto.randomBytes(24).toString('base64url');
+    const updated = await Job.findOneAndUpdate(
+      { _id: job._id, shareToken: null },
+      { $set: { shareToken: token } },
+      { new: true }
+    );
+    return updated ? updated.shareToken : (await Job.findById(job._id)).shareToken;
+  }
+  return job.shareToken;
+};
+
+export const revokeShareToken = (jobId, userId) => {
+  return Job.findOneAndUpdate({ _id: jobId, userId }, { $unset: { shareToken: 1 } }, { new: true });
+};
+
+// Likes are rows in Like; Job.likeCount is a counter kept alongside them
+// for sorting. Resolves to the new count, or null if the job is not public.
+export const likeJob = async (jobId, userId) => {
+  const job = await Job.findOne({ _id: jobId, visibility: 'public' }, { likeCount: 1 });
+  if (!job) return null;
+  try {
+    await Like.create({ jobId, userId });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    return job.likeCount;
+  }
+  const updated = await Job.findByIdAndUpdate(jobId, { $inc: { likeCount: 1 } }, { new: true });
+  return updated.likeCount;
+};
+
+// Unliking also works once the job is no longer public.
+export const unlikeJob = async (jobId, userId) => {
+  const { deletedCount } = await Like.deleteOne({ jobId, userId });
+  const update = deletedCount > 0 ? { $inc: { likeCount: -1 } } : {};
+  const job = await Job.findByIdAndUpdate(jobId, update, { new: true });
+  return job ? job.likeCount : null;
+};
+
+// The input of a new generate request that repeats `original`, with any of
+// prompt, negativePrompt, model, parameters and numImages overridden.
+export const buildRemixInput = (original, overrides = {}) => ({
+  prompt: overrides.prompt ?? original.prompt,
+  negativePrompt: overrides.negativePrompt ?? original.negativePrompt,
+  model: overrides.model ?? original.model,
+  parameters: { ...original.parameters?.toObject?.(), ...overrides.parameters },
+  numImages: overrides.numImages ?? 1,
+});
@@ -0,0 +1,78 @@
+import { getProvider } from '../providers/index.js';
+import { getModelRoute } from '../config/modelRoutes.js';
+import { logger } from './logger.js';
+import { generationDuration, providerRetries, providerFallbacks } from './metrics.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const withTimeout = async (timeoutMs, fn) => {
+  const controller = new AbortController();
+  let timer;
+  try {
+    return await Promise.race([
+      fn(controller.signal),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => {
+          controller.abort();
+          reject(new Error(`Request timeout after ${timeoutMs / 1000}s`));
+        }, timeoutMs);
+      }),
+    ]);
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// Walks the alias' fallback chain, skipping steps whose provider is not
+// configured. If nothing in the chain is configured the local placeholder
+// provider is used so development setups still produce an image.
+export const generateImage = async ({ task = 'text-to-image', model, prompt, negativePrompt, parameters, image, mask, onEvent = () => {} }) => {
+  const route = getModelRoute(model);
+  let steps = route.chain.filter(step => {
+    const provider = getProvider(step.provider);
+    return provider?.isAvailable() && provider.tasks.includes(task);
+  });
+  let note;
+  if (steps.length === 0) {
+    logger.warn('No configured provider for this model; using local placeholder', { model });
+    steps = [{ provider: 'local', model: 'placeholder', attempts: 1 }];
+    note = 'Add HUGGINGFACE_API_KEY to .env for real generation';
+  }
+
+  const totalAttempts = steps.reduce((sum, step) => sum + step.attempts, 0);
+  let attempt = 0;
+  let lastError;
+  let previousStep;
+  for (const step of steps) {
+    const provider = getProvider(step.provider);
+    if (previousStep) {
+      providerFallbacks.inc({ from: previousStep.model, to: step.model });
+      onEvent('job.fallback', { from: previousStep.model, to: step.model, error: lastError?.message });
+    }
+    previousStep = step;
+    for (let i = 0; i < step.attempts; i++) {
+      attempt++;
+      const startedAt = Date.now();
+      const labels = { provider: provider.name, model: step.model, task };
+      try {
+        logger.info('Provider attempt', { attempt, totalAttempts, provider: provider.name, model: step.model });
+        onEvent('job.attempt', { attempt, totalAttempts, provider: provider.name, model: step.model });
+        const buffer = await withTimeout(route.timeoutMs, signal => task === 'text-to-image'
+          ? provider.textToImage({ model: step.model, prompt, negativePrompt, parameters, signal })
+          : provider.imageToImage({ task, model: step.model, prompt, negativePrompt, parameters, image, mask, signal })
+        );
+        generationDuration.observe({ ...labels, outcome: 'success' }, (Date.now() - startedAt) / 1000);
+        return { buffer, provider: provider.name, model: step.model, note };
+      } catch (err) {
+        lastError = err;
+        generationDuration.observe({ ...labels, outcome: 'error' }, (Date.now() - startedAt) / 1000);
+        logger.warn('Provider attempt failed', { provider: provider.name, model: step.model, retriesLeft: totalAttempts - attempt, error: err });
+        if (attempt < totalAttempts) {
+          providerRetries.inc({ provider: provider.name, model: step.model });
+          await sleep(route.backoffMs * Math.pow(route.backoffFactor, attempt - 1));
+        }
+      }
+    }
+  }
+  throw lastError || new Error('Failed to generate image after retries');
+};
@@ -0,0 +1,213 @@
+import crypto from 'crypto';
+import GenerationCache from '../models/GenerationCache.js';
+import Job from '../models/Job.js';
+import { deleteImage } from './storage.js';
+import { variationSeed } from './parameters.js';
+import { logger } from './logger.js';
+import { generationCacheLookups } from './metrics.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TTL_MS = (parseFloat(process.env.GENERATION_CACHE_TTL_DAYS) || 30) * DAY_MS;
+const MAX_ENTRIES = parseInt(process.env.GENERATION_CACHE_MAX_ENTRIES) || 10000;
+const EVICTION_INTERVAL_MS = parseInt(process.env.GENERATION_CACHE_EVICTION_INTERVAL_MS) || 10 * 60 * 1000;
+
+export const CACHE_ENABLED = process.env.GENERATION_CACHE !== 'off';
+
+// Share of the normal price charged for an image served from the cache,
+// between 0 (free) and 1 (full price).
+const configuredRatio = parseFloat(process.env.GENERATION_CACHE_CREDIT_RATIO);
+export const CACHE_CREDIT_RATIO = Number.isFinite(configuredRatio) ? Math.min(Math.max(configuredRatio, 0), 1) : 0;
+
+let evictionTimer = null;
+
+const normalizeText = (text) => (text || '').trim().replace(/\s+/g, ' ');
+
+// JSON with object keys sorted, so equal parameters hash equally whatever
+// order they were sent in.
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+export const cacheKey = ({ ownerId, model, prompt, negativePrompt, parameters }) => {
+  const material = canonicalJson({
+    ownerId: ownerId.toString(),
+    model,
+    prompt: normalizeText(prompt),
+    negativePrompt: normalizeText(negativePrompt),
+    parameters,
+  });
+  return crypto.createHash('sha256').update(material).digest('hex');
+};
+
+// Outputs are only shared within the user or organization that generated
+// them: those images passed output moderation for that owner and may be
+// private.
+const cacheOwner = (job) => job.organizationId || job.userId;
+
+// Only text-to-image jobs with a seed chosen by the client are
+// reproducible enough to share outputs.
+export const isCacheable = (job) => CACHE_ENABLED && job.type === 'text-to-image' && job.seeded;
+
+// The cache key of each of the job's variations.
+const variationKeys = (job) => {
+  const parameters = job.toObject().parameters || {};
+  return Array.from({ length: job.numImages }, (_, i) => cacheKey({
+    ownerId: cacheOwner(job),
+    model: job.model,
+    prompt: job.prompt,
+    negativePrompt: job.negativePrompt,
+    parameters: { ...parameters, seed: variationSeed(parameters.seed, i) },
+  }));
+};
+
+// Resolves to a Map of variation index -> cache entry for the images of
+// `job` that are cached, and counts the hits.
+export const findCachedImages = async (job) => {
+  const found = new Map();
+  if (!isCacheable(job)) return found;
+  const keys = variationKeys(job);
+  const entries = await GenerationCache.find({ key: { $in: keys }, expiresAt: { $gt: new Date() } });
+  const byKey = new Map(entries.map(entry => [entry.key, entry]));
+  keys.forEach((key, i) => {
+    if (byKey.has(key)) found.set(i, byKey.get(key));
+  });
+  generationCacheLookups.inc({ outcome: 'hit' }, found.size);
+  generationCacheLookups.inc({ outcome: 'miss' }, keys.length - found.size);
+  return found;
+};
+
+export const recordCacheHits = (entries) => {
+  if (entries.length === 0) return Promise.resolve();
+  return GenerationCache.updateMany(
+    { _id: { $in: entries.map(entry => entry._id) } },
+    { $inc: { hits: 1 }, $set: { lastUsedAt: new Date() } }
+  );
+};
+
+// The image as a job result refers to it: the file stays where it is.
+export const cachedImage = (entry) => ({
+  url: entry.image.url,
+  filename: entry.image.filename,
+  width: entry.image.width,
+  height: entry.image.height,
+  seed: entry.seed,
+  cached: true,
+});
+
+// Credits charged for images that would have cost `credits` to generate.
+export const cachedCharge = (credits) => Math.ceil(credits * CACHE_CREDIT_RATIO);
+
+// Adds freshly generated images of `job` ({ index, image } per variation)
+// to the cache. The first job to store a key wins; a concurrent duplicate
+// keeps its own copy.
+export const rememberImages = async (job, images) => {
+  if (!isCacheable(job)) return;
+  const keys = variationKeys(job);
+  const now = Date.now();
+  await Promise.all(images.map(({ index, image }) => GenerationCache.updateOne(
+    { key: keys[index] },
+    {
+      $setOnInsert: {
+        ownerId: cacheOwner(job),
+        model: job.model,
+        prompt: job.prompt,
+        seed: image.seed,
+        image: { url: image.url, filename: image.filename, width: image.width, height: image.height },
+        jobId: job._id,
+        lastUsedAt: new Date(now),
+        expiresAt: new Date(now + TTL_MS),
+        createdAt: new Date(now),
+      },
+    },
+    { upsert: true }
+  ).catch(error => {
+    if (error.code !== 11000) throw error;
+  })));
+};
+
+// True while a cache entry or a job other than `exceptJobId` shows the
+// file, which must then outlive the job being deleted.
+export const isImageInUse = async (filename, exceptJobId) => {
+  if (!filename) return false;
+  const [cached, shown] = await Promise.all([
+    GenerationCache.exists({ 'image.filename': filename }),
+    Job.exists({ _id: { $ne: exceptJobId }, 'result.images.filename': filename }),
+  ]);
+  return !!(cached || shown);
+};
+
+// Deletes the entries and the files no job shows any more.
+const removeEntries = async (entries) => {
+  let removed = 0;
+  for (const entry of entries) {
+    const deleted = await GenerationCache.findOneAndDelete({ _id: entry._id });
+    if (!deleted) continue;
+    removed++;
+    if (!(await isImageInUse(deleted.image.filename))) {
+      await deleteImage(deleted.image).catch(error => {
+        logger.error('Failed to delete cached image', { filename: deleted.image.filename, error });
+      });
+    }
+  }
+  return removed;
+};
+
+// Drops expired entries, then the least recently used ones beyond
+// GENERATION_CACHE_MAX_ENTRIES. Resolves to the number removed.
+export const evictCache = async () => {
+  const expired = await GenerationCache.find({ expiresAt: { $lte: new Date() } }, { image: 1 });
+  let removed = await removeEntries(expired);
+  const excess = (await GenerationCache.estimatedDocumentCount()) - MAX_ENTRIES;
+  if (excess > 0) {
+    const oldest = await GenerationCache.find({}, { image: 1 }).sort({ lastUsedAt: 1 }).limit(excess);
+    removed += await removeEntries(oldest);
+  }
+  return removed;
+};
+
+// Removes every entry, or those of one model. Jobs that were served from
+// the cache keep their images.
+export const purgeCache = async ({ model } = {}) => {
+  const entries = await GenerationCache.find(model ? { model } : {}, { image: 1 });
+  return removeEntries(entries);
+};
+
+export const getCacheStats = async () => {
+  const [summary] = await GenerationCache.aggregate([
+    { $group: { _id: null, entries: { $sum: 1 }, hits: { $sum: '$hits' }, oldest: { $min: '$createdAt' } } },
+  ]);
+  return {
+    enabled: CACHE_ENABLED,
+    entries: summary?.entries || 0,
+    hits: summary?.hits || 0,
+    oldest: summary?.oldest || null,
+    maxEntries: MAX_ENTRIES,
+    ttlDays: TTL_MS / DAY_MS,
+    creditRatio: CACHE_CREDIT_RATIO,
+  };
+};
+
+const runEviction = async () => {
+  try {
+    const removed = await evictCache();
+    if (removed > 0) {
+      logger.info('Generation cache evicted', { removed });
+    }
+  } catch (error) {
+    logger.error('Generation cache eviction failed', { error });
+  }
+};
+
+export const startCacheEviction = () => {
+  if (evictionTimer || !CACHE_ENABLED) return;
+  evictionTimer = setInterval(runEviction, EVICTION_INTERVAL_MS);
+  runEviction();
+  logger.info('Generation cache eviction started', { maxEntries: MAX_ENTRIES, ttlDays: TTL_MS / DAY_MS });
+};
@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+import { listProviders } from '../providers/index.js';
+import { checkStorage, USE_CLOUDINARY } from './storage.js';
+
+const CHECK_TIMEOUT_MS = parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS) || 3000;
+// Provider and storage checks call third parties, so their result is reused
+// for a while instead of being repeated on every probe.
+const PROVIDER_CHECK_TTL_MS = parseInt(process.env.PROVIDER_CHECK_TTL_MS) || 30000;
+const STORAGE_CHECK_TTL_MS = parseInt(process.env.STORAGE_CHECK_TTL_MS) || 30000;
+
+const runCheck = async (fn) => {
+  const startedAt = Date.now();
+  const signal = AbortSignal.timeout(CHECK_TIMEOUT_MS);
+  try {
+    await Promise.race([
+      fn(signal),
+      new Promise((_, reject) => signal.addEventListener('abort', () => reject(new Error(`Timed out after ${CHECK_TIMEOUT_MS}ms`)))),
+    ]);
+    return { status: 'ok', latencyMs: Date.now() - startedAt };
+  } catch (error) {
+    return { status: 'error', error: error.message, latencyMs: Date.now() - startedAt };
+  }
+};
+
+const checkDatabase = () => runCheck(async () => {
+  if (mongoose.connection.readyState !== 1) {
+    throw new Error('Not connected');
+  }
+  await mongoose.connection.db.admin().ping();
+});
+
+// Wraps a check so its result is reused for `ttlMs`; concurrent probes
+// share one pending check.
+const cachedCheck = (ttlMs, fn) => {
+  let result = null;
+  let checkedAt = 0;
+  return () => {
+    if (!result || Date.now() - checkedAt >= ttlMs) {
+      checkedAt = Date.now();
+      result = fn();
+    }
+    return result;
+  };
+};
+
+const checkProviders = cachedCheck(PROVIDER_CHECK_TTL_MS, async () => {
+  const configured = listProviders().filter(provider => provider.checkHealth && provider.isAvailable());
+  const results = await Promise.all(configured.map(provider => runCheck(signal => provider.checkHealth({ signal }))));
+  return Object.fromEntries(configured.map((provider, i) => [provider.name, results[i]]));
+});
+
+const checkStorageCached = cachedCheck(STORAGE_CHECK_TTL_MS, () => runCheck(() => checkStorage()));
+
+// Ready means requests can be served, which only needs the database.
+// Storage and providers are reported but do not fail readiness: a hiccup
+// at a shared third party would otherwise take every instance out of
+// rotation at once, and failed uploads or generations are retried.
+export const checkReadiness = async () => {
+  const [database, storage, providers] = await Promise.all([
+    checkDatabase(),
+    checkStorageCached(),
+    checkProviders(),
+  ]);
+  return {
+    ready: database.status === 'ok',
+    checks: {
+      database,
+      storage: { ...storage, backend: USE_CLOUDINARY ? 'cloudinary' : 'local' },
+      providers,
+    },
+  };
+};
@@ -0,0 +1,290 @@
+import os from 'os';
+import crypto from 'crypto';
+import Job from '../models/Job.js';
+import { logger, runWithContext } from './logger.js';
+import { jobsFinished } from './metrics.js';
+
+const DEFAULTS = {
+  concurrency: parseInt(process.env.QUEUE_CONCURRENCY) || 2,
+  leaseMs: parseInt(process.env.QUEUE_LEASE_MS) || 60000,
+  pollIntervalMs: parseInt(process.env.QUEUE_POLL_INTERVAL_MS) || 2000,
+  retryDelayMs: parseInt(process.env.QUEUE_RETRY_DELAY_MS) || 5000,
+};
+
+// Thrown by a handler to end a job as `blocked` (e.g. by moderation)
+// instead of retrying it. `details` is stored on the job.
+export class JobBlockedError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'JobBlockedError';
+    this.details = details;
+  }
+}
+
+// Thrown by a handler that notices its job was cancelled while running.
+// The job keeps its `cancelled` status; the canceller has settled credits.
+export class JobCancelledError extends Error {
+  constructor() {
+    super('Job was cancelled');
+    this.name = 'JobCancelledError';
+  }
+}
+
+// Jobs waiting out a retry backoff are not ahead of anyone until they are
+// available again.
+export const getQueuePosition = async (job) => {
+  if (job.status !== 'pending') return null;
+  const ahead = await Job.countDocuments({
+    status: 'pending',
+    availableAt: { $lte: new Date() },
+    createdAt: { $lt: job.createdAt },
+  });
+  return ahead + 1;
+};
+
+// Mongo-backed worker pool. Jobs are claimed with an atomic findOneAndUpdate
+// and held under a lease that is renewed by heartbeat while the handler runs;
+// jobs whose lease expires (crashed or stalled worker) are requeued until they
+// run out of attempts.
+export const createJobQueue = ({ handler, onFailure, onEvent = () => {}, ...options }) => {
+  const config = { ...DEFAULTS, ...options };
+  const workerId = `${os.hostname()}-${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+  const active = new Set();
+  let pollTimer = null;
+  let running = false;
+  let polling = false;
+  let pollRequested = false;
+  let lastRecoveryAt = 0;
+
+  const leaseExpiry = () => new Date(Date.now() + config.leaseMs);
+
+  const claimNext = () => {
+    const now = new Date();
+    return Job.findOneAndUpdate(
+      {
+        status: 'pending',
+        availableAt: { $lte: now },
+      },
+      {
+        $set: {
+          status: 'processing',
+          lockedBy: workerId,
+          claimId: crypto.randomUUID(),
+          leaseExpiresAt: leaseExpiry(),
+          startedAt: now,
+        },
+        $inc: { attempts: 1 },
+      },
+      { sort: { availableAt: 1, createdAt: 1 }, new: true }
+    );
+  };
+
+  // A failing refund must not take the worker (or the recovery pass) down
+  // with it; the ledger reconciliation reports whatever it left behind.
+  const handleFailure = async (job, error) => {
+    if (!onFailure) return;
+    try {
+      await onFailure(job, error);
+    } catch (failure) {
+      logger.error('Job failure handler failed', { jobId: job._id.toString(), error: failure });
+    }
+  };
+
+  const release = (job, update, unset = {}) => {
+    return Job.findOneAndUpdate(
+      { _id: job._id, status: 'processing', claimId: job.claimId },
+      { $set: update, $unset: { lockedBy: 1, claimId: 1, leaseExpiresAt: 1, ...unset } },
+      { new: true }
+    );
+  };
+
+  const fail = async (job, error) => {
+    const message = error?.message || 'Image generation failed';
+    if (job.attempts < job.maxAttempts) {
+      const retried = await release(job, {
+        status: 'pending',
+        availableAt: new Date(Date.now() + config.retryDelayMs * job.attempts),
+        error: { message },
+      });
+      if (retried) {
+        logger.warn('Job requeued', { attempt: job.attempts, maxAttempts: job.maxAttempts, error: message });
+        onEvent(retried, 'job.retry', {
+          status: 'pending',
+          attempt: job.attempts,
+          maxAttempts: job.maxAttempts,
+          error: message,
+          availableAt: retried.availableAt,
+        });
+      }
+      return;
+    }
+    const failed = await release(job, { status: 'failed', error: { message } });
+    if (failed) {
+      jobsFinished.inc({ status: 'failed', type: failed.type });
+      onEvent(failed, 'job.failed', { status: 'failed', error: failed.error });
+      await handleFailure(failed, error);
+    }
+  };
+
+  const block = async (job, error) => {
+    const blocked = await release(job, {
+      status: 'blocked',
+      error: { message: error.message },
+      moderation: error.details,
+    });
+    if (blocked) {
+      jobsFinished.inc({ status: 'blocked', type: blocked.type });
+      logger.warn('Job blocked', { reason: error.message });
+      onEvent(blocked, 'job.blocked', { status: 'blocked', error: blocked.error, moderation: blocked.moderation });
+      await handleFailure(blocked, error);
+    }
+  };
+
+  // Everything logged while a job runs carries its ID and the ID of the
+  // request that created it.
+  const run = (job) => runWithContext({ jobId: job._id.toString(), requestId: job.requestId }, () => execute(job));
+
+  const execute = async (job) => {
+    const heartbeat = setInterval(() => {
+      Job.updateOne(
+        { _id: job._id, status: 'processing', claimId: job.claimId },
+        { $set: { leaseExpiresAt: leaseExpiry() } }
+      ).catch(err => logger.warn('Job heartbeat failed', { error: err }));
+    }, Math.floor(config.leaseMs / 3));
+
+    onEvent(job, 'job.status', { status: 'processing', attempt: job.attempts, maxAttempts: job.maxAttempts });
+    try {
+      const result = await handler(job);
+      const completed = await release(job, { status: 'completed', result }, { error: 1 });
+      if (!completed) {
+        logger.warn('Job lost its lease before completing');
+      } else {
+        jobsFinished.inc({ status: 'completed', type: completed.type });
+        onEvent(completed, 'job.completed', { status: 'completed', result: completed.result });
+      }
+    } catch (error) {
+      if (error instanceof JobBlockedError) {
+        await block(job, error);
+        return;
+      }
+      if (error instanceof JobCancelledError) {
+        logger.info('Job stopped after cancellation');
+        return;
+      }
+      logger.error('Job attempt failed', { error });
+      await fail(job, error);
+    } finally {
+      clearInterval(heartbeat);
+    }
+  };
+
+  // Jobs created before the queue existed have no lease bookkeeping.
+  const backfillLegacyJobs = () => {
+    return Job.updateMany(
+      { status: { $in: ['pending', 'processing'] }, attempts: { $exists: false } },
+      { $set: { attempts: 0, maxAttempts: Job.DEFAULT_MAX_ATTEMPTS, availableAt: new Date() } }
+    );
+  };
+
+  const recoverAbandonedJobs = async () => {
+    const now = new Date();
+    let recoveredCount = 0;
+    const abandoned = await Job.find({
+      status: 'processing',
+      $or: [
+        { leaseExpiresAt: { $lt: now } },
+        { leaseExpiresAt: null },
+      ],
+    });
+    for (const job of abandoned) {
+      const exhausted = job.attempts >= job.maxAttempts;
+      const recovered = await Job.findOneAndUpdate(
+        { _id: job._id, status: 'processing', leaseExpiresAt: job.leaseExpiresAt },
+        {
+          $set: exhausted
+            ? { status: 'failed', error: { message: 'Job abandoned after maximum attempts' } }
+            : { status: 'pending', availableAt: now },
+          $unset: { lockedBy: 1, claimId: 1, leaseExpiresAt: 1 },
+        },
+        { new: true }
+      );
+      if (!recovered) continue;
+      recoveredCount++;
+      if (exhausted) {
+        jobsFinished.inc({ status: 'failed', type: recovered.type });
+        onEvent(recovered, 'job.failed', { status: 'failed', error: recovered.error });
+        await handleFailure(recovered, new Error(recovered.error.message));
+      } else {
+        onEvent(recovered, 'job.retry', {
+          status: 'pending',
+          attempt: recovered.attempts,
+          maxAttempts: recovered.maxAttempts,
+          error: 'Worker lease expired',
+        });
+      }
+    }
+    if (recoveredCount > 0) {
+      logger.warn('Recovered abandoned jobs', { count: recoveredCount });
+    }
+  };
+
+  const poll = async () => {
+    if (!running) return;
+    if (polling) {
+      pollRequested = true;
+      return;
+    }
+    polling = true;
+    clearTimeout(pollTimer);
+    try {
+      if (Date.now() - lastRecoveryAt >= config.leaseMs) {
+        lastRecoveryAt = Date.now();
+        await recoverAbandonedJobs();
+      }
+      while (running && active.size < config.concurrency) {
+        const job = await claimNext();
+        if (!job) break;
+        const task = run(job).catch(error => {
+          logger.error('Job run failed', { jobId: job._id.toString(), error });
+        }).finally(() => {
+          active.delete(task);
+          poll();
+        });
+        active.add(task);
+      }
+    } catch (error) {
+      logger.error('Queue poll failed', { error });
+    } finally {
+      polling = false;
+    }
+    if (pollRequested) {
+      pollRequested = false;
+      return poll();
+    }
+    if (running) {
+      pollTimer = setTimeout(poll, config.pollIntervalMs);
+    }
+  };
+
+  return {
+    workerId,
+    async start() {
+      if (running) return;
+      running = true;
+      await backfillLegacyJobs();
+      logger.info('Job queue started', { workerId, concurrency: config.concurrency });
+      poll();
+    },
+    async stop() {
+      running = false;
+      clearTimeout(pollTimer);
+      await Promise.allSettled([...active]);
+    },
+    // Wake the poller early instead of waiting for the next interval.
+    notify() {
+      if (running && active.size < config.concurrency) {
+        poll();
+      }
+    },
+  };
+};
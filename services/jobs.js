@@ -0,0 +1,204 @@
+import mongoose from 'mongoose';
+import Job from '../models/Job.js';
+import ModelCatalog from '../models/ModelCatalog.js';
+import Collection from '../models/Collection.js';
+import Like from '../models/Like.js';
+import { DEFAULT_TASK_MODELS } from '../config/modelCatalog.js';
+import { resolveParameters, calculateCreditCost } from './parameters.js';
+import { moderatePrompt } from './moderation.js';
+import { releaseHold, refundCapturedHold, hasHold, refundCredits } from './ledger.js';
+import { deleteImage } from './storage.js';
+import { isImageInUse } from './generationCache.js';
+import { logger } from './logger.js';
+
+export const MAX_IMAGES_PER_JOB = parseInt(process.env.MAX_IMAGES_PER_JOB) || 4;
+export const MAX_BATCH_SIZE = parseInt(process.env.MAX_BATCH_SIZE) || 10;
+
+// Largest input image on either side, uploaded or taken from an earlier job.
+export const MAX_UPLOAD_DIMENSION = parseInt(process.env.MAX_UPLOAD_DIMENSION) || 2048;
+
+// Most job IDs one bulk cancel, retry or delete request may name.
+export const JOB_BULK_LIMIT = 100;
+
+export const IMAGE_JOB_TYPES = ['image-to-image', 'inpaint', 'upscale'];
+
+export const ACTIVE_JOB_STATUSES = ['pending', 'processing'];
+export const RETRYABLE_JOB_STATUSES = ['failed', 'cancelled'];
+
+// Validates a generation request against the model catalog and the content
+// policy and returns an unsaved Job priced for every requested image, or
+// `{ error }` (with `status: 422` when moderation rejects the prompt). Image-based
+// jobs take their output size from `source` (scaled by the model's
+// outputScale) instead of from the client.
+export const buildGenerationJob = async (userId, input, { type = 'text-to-image', source, apiKeyId, organizationId, remixOf, requestId } = {}) => {
+  const { prompt, model, parameters, negativePrompt, numImages = 1 } = input;
+  if (!prompt && type !== 'upscale') {
+    return { error: 'Prompt is required' };
+  }
+  const maxImages = type === 'upscale' ? 1 : MAX_IMAGES_PER_JOB;
+  if (!Number.isInteger(numImages) || numImages < 1 || numImages > maxImages) {
+    return { error: `numImages must be an integer between 1 and ${maxImages}` };
+  }
+  const catalogEntry = await ModelCatalog.findOne({ modelId: model || DEFAULT_TASK_MODELS[type] });
+  if (!catalogEntry) {
+    return { error: `Unknown model: ${model}` };
+  }
+  if (catalogEntry.task !== type) {
+    return { error: `Model ${catalogEntry.modelId} does not support ${type}` };
+  }
+  if (!catalogEntry.enabled) {
+    return { error: `Model is currently unavailable: ${catalogEntry.modelId}` };
+  }
+  const resolved = resolveParameters(catalogEntry, parameters);
+  if (resolved.error) {
+    return { error: resolved.error };
+  }
+  if (prompt) {
+    const moderation = await moderatePrompt({ userId, apiKeyId, prompt, negativePrompt, model: catalogEntry.modelId });
+    if (!moderation.allowed) {
+      return { error: moderation.reason, status: 422, categories: moderation.categories };
+    }
+  }
+  if (source) {
+    resolved.parameters.width = source.width * catalogEntry.outputScale;
+    resolved.parameters.height = source.height * catalogEntry.outputScale;
+  }
+  const job = new Job({
+    userId,
+    organizationId,
+    apiKeyId,
+    requestId,
+    type,
+    prompt,
+    negativePrompt,
+    model: catalogEntry.modelId,
+    remixOf,
+    numImages,
+    seeded: parameters?.seed !== undefined,
+    creditCost: calculateCreditCost(catalogEntry, resolved.parameters) * numImages,
+    parameters: resolved.parameters,
+    status: 'pending',
+  });
+  return { job };
+};
+
+// Resolves the input image for an image-based job: either a fresh upload or
+// one of the images of the caller's own completed job (`sourceJobId`). Job
+// images obey the upload size limit too, so outputs cannot be upscaled again
+// and again.
+export const resolveSourceImage = async (userId, body, upload) => {
+  if (upload) {
+    return { upload, width: upload.width, height: upload.height };
+  }
+  if (!body.sourceJobId) {
+    return { error: 'An image upload or sourceJobId is required' };
+  }
+  if (!mongoose.isValidObjectId(body.sourceJobId)) {
+    return { error: 'Invalid sourceJobId' };
+  }
+  const sourceJob = await Job.findOne({ _id: body.sourceJobId, userId, status: 'completed' });
+  if (!sourceJob) {
+    return { error: 'Source job not found or not completed' };
+  }
+  const index = body.sourceImageIndex ?? 0;
+  const image = sourceJob.result?.images?.[index];
+  if (!image) {
+    return { error: `Source job has no image at index ${index}` };
+  }
+  if (image.width > MAX_UPLOAD_DIMENSION || image.height > MAX_UPLOAD_DIMENSION) {
+    return { error: `Source image must be at most ${MAX_UPLOAD_DIMENSION}px on each side` };
+  }
+  return {
+    image: { url: image.url, filename: image.filename, width: image.width, height: image.height },
+    sourceJobId: sourceJob._id,
+    width: image.width,
+    height: image.height,
+  };
+};
+
+// Gives back whatever the job has not been charged for: its open hold, the
+// credits a worker captured just before the job was cancelled (its result
+// is discarded) or, for jobs charged up front before holds existed, the
+// uncharged remainder. Resolves to the credits returned.
+export const refundJob = async (job, reason) => {
+  const released = await releaseHold(job._id, reason);
+  if (released) {
+    await Job.updateOne({ _id: job._id }, { $set: { refundedCredits: released } });
+    return released;
+  }
+  const refunded = await refundCapturedHold(job._id, reason);
+  if (refunded) {
+    await Job.updateOne({ _id: job._id }, { $set: { refundedCredits: job.creditCost } });
+    return refunded;
+  }
+  if (await hasHold(job._id)) return 0;
+  const credits = job.creditCost - job.refundedCredits;
+  if (credits <= 0) return 0;
+  await Job.updateOne({ _id: job._id }, { $set: { refundedCredits: job.creditCost } });
+  await refundCredits(job.userId, credits, reason, { jobId: job._id });
+  return credits;
+};
+
+// Cancels a pending or processing job matching `filter` and refunds it. A
+// running worker notices the status change before it stores any output.
+// Resolves to { job, refunded } or null if nothing was cancellable.
+export const cancelJob = async (filter) => {
+  const job = await Job.findOneAndUpdate(
+    { ...filter, status: { $in: ACTIVE_JOB_STATUSES } },
+    { $set: { status: 'cancelled', cancelledAt: new Date() }, $unset: { lockedBy: 1, claimId: 1, leaseExpiresAt: 1 } },
+    { new: true }
+  );
+  if (!job) return null;
+  const refunded = await refundJob(job, 'Refund for cancelled generation');
+  return { job, refunded };
+};
+
+// False once the job was cancelled (or otherwise taken from the claim the
+// handler runs under) while the handler was running.
+export const stillClaimed = async (job) => {
+  return !!(await Job.exists({ _id: job._id, status: 'processing', claimId: job.claimId }));
+};
+
+// Puts a failed or cancelled job back in the queue with its original
+// prompt, model and parameters. The caller places the new hold first.
+export const requeueJob = (jobId) => {
+  return Job.findOneAndUpdate(
+    { _id: jobId, status: { $in: RETRYABLE_JOB_STATUSES } },
+    {
+      $set: { status: 'pending', attempts: 0, refundedCredits: 0, availableAt: new Date() },
+      $unset: { error: 1, result: 1, cancelledAt: 1, cacheSavings: 1 },
+    },
+    { new: true }
+  );
+};
+
+// Deletes a finished job with its stored outputs and the inputs uploaded for
+// it (not images borrowed from another job, nor outputs the generation cache
+// or another job still shows). The job is only removed once every file is
+// gone, so a failed delete can be retried. Resolves to false when a file
+// could not be deleted.
+export const deleteJob = async (job) => {
+  const files = [];
+  for (const image of job.result?.images || []) {
+    if (!(await isImageInUse(image.filename, job._id))) {
+      files.push(image);
+    }
+  }
+  for (const input of [job.inputs?.image, job.inputs?.mask]) {
+    if (input?.filename?.startsWith(`input-${job._id}-`)) {
+      files.push(input);
+    }
+  }
+  const results = await Promise.allSettled(files.map(file => deleteImage(file)));
+  const failures = results.filter(result => result.status === 'rejected');
+  if (failures.length > 0) {
+    failures.forEach(({ reason }) => logger.error('Failed to delete job image', { jobId: job._id, error: reason }));
+    return false;
+  }
+  await Promise.all([
+    Collection.updateMany({ jobIds: job._id }, { $pull: { jobIds: job._id } }),
+    Like.deleteMany({ jobId: job._id }),
+  ]);
+  await Job.deleteOne({ _id: job._id });
+  return true;
+};
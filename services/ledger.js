@@ -0,0 +1,373 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Transaction from '../models/Transaction.js';
+import CreditHold from '../models/CreditHold.js';
+import Organization from '../models/Organization.js';
+import { emitWebhookEvent } from './webhooks.js';
+import { logger } from './logger.js';
+import { recordCredits, creditHolds } from './metrics.js';
+
+// The balance on User is a cache of the ledger:
+//   user.credits = Σ completed Transaction.credits − Σ amount of open holds
+// counting only entries without an organizationId; entries with one move
+// that Organization's shared pool instead, which obeys the same equation.
+// Every change to the balance and its ledger rows happens in one Mongo
+// transaction. Standalone servers (local development) do not support
+// transactions; there the steps run in order without a session and any
+// interruption shows up as drift in reconcileBalance().
+let transactionsSupported = true;
+
+// The model whose `credits` an entry moves.
+const accountModel = (organizationId) => (organizationId ? Organization : User);
+
+const accountId = (userId, organizationId) => organizationId || userId;
+
+const runAtomic = async (fn) => {
+  if (transactionsSupported) {
+    try {
+      return await mongoose.connection.transaction(session => fn(session));
+    } catch (error) {
+      if (error.code !== 20 && !/replica set|Transaction numbers/i.test(error.message)) {
+        throw error;
+      }
+      transactionsSupported = false;
+      logger.warn('MongoDB transactions unavailable; ledger writes are not atomic');
+    }
+  }
+  return fn(null);
+};
+
+// Reserves credits for one or more jobs in a single conditional $inc, so
+// concurrent requests cannot overspend. With `organizationId` the credits
+// come from the organization's pool. `guard(session, total)`, if given, runs
+// first in the same transaction and vetoes the holds by throwing. Resolves
+// to null when the balance is too low.
+export const placeHolds = async (userId, holds, { organizationId, guard } = {}) => {
+  const total = holds.reduce((sum, hold) => sum + hold.amount, 0);
+  const placed = await runAtomic(async (session) => {
+    if (guard) {
+      await guard(session, total);
+    }
+    const account = await accountModel(organizationId).findOneAndUpdate(
+      { _id: accountId(userId, organizationId), credits: { $gte: total } },
+      { $inc: { credits: -total } },
+      { new: true, session }
+    );
+    if (!account) return null;
+    return CreditHold.create(holds.map(hold => ({ ...hold, userId, organizationId })), { session, ordered: true });
+  });
+  if (placed) creditHolds.inc({ outcome: 'placed' }, total);
+  return placed;
+};
+
+export const placeHold = async (userId, hold, options) => {
+  const holds = await placeHolds(userId, [hold], options);
+  return holds ? holds[0] : null;
+};
+
+// Converts `credits` of the job's hold into a usage Transaction and returns
+// the rest to the balance. Resolves to false if the hold was already settled.
+export const captureHold = async (jobId, credits) => {
+  const settled = await runAtomic(async (session) => {
+    const hold = await CreditHold.findOne({ jobId, status: 'held' }).session(session);
+    if (!hold) return false;
+    const captured = Math.min(credits ?? hold.amount, hold.amount);
+    const settled = await CreditHold.findOneAndUpdate(
+      { _id: hold._id, status: 'held' },
+      { $set: { status: 'captured', captured, settledAt: new Date() } },
+      { new: true, session }
+    );
+    if (!settled) return false;
+    if (captured > 0) {
+      await Transaction.create([{
+        userId: hold.userId,
+        organizationId: hold.organizationId,
+        type: 'usage',
+        amount: 0,
+        credits: -captured,
+        description: hold.description,
+        metadata: { jobId: hold.jobId, batchId: hold.batchId },
+      }], { session });
+    }
+    if (captured < hold.amount) {
+      await accountModel(hold.organizationId).updateOne(
+        { _id: accountId(hold.userId, hold.organizationId) },
+        { $inc: { credits: hold.amount - captured } },
+        { session }
+      );
+    }
+    return { captured, released: hold.amount - captured };
+  });
+  if (!settled) return false;
+  creditHolds.inc({ outcome: 'captured' }, settled.captured);
+  creditHolds.inc({ outcome: 'released' }, settled.released);
+  recordCredits('usage', -settled.captured);
+  return true;
+};
+
+// Returns the whole hold to the balance. Resolves to the released amount,
+// or 0 if there was no open hold.
+export const releaseHold = async (jobId, reason) => {
+  const released = await runAtomic(async (session) => {
+    const hold = await CreditHold.findOneAndUpdate(
+      { jobId, status: 'held' },
+      { $set: { status: 'released', settledAt: new Date() } },
+      { new: true, session }
+    );
+    if (!hold) return null;
+    await accountModel(hold.organizationId).updateOne(
+      { _id: accountId(hold.userId, hold.organizationId) },
+      { $inc: { credits: hold.amount } },
+      { session }
+    );
+    return hold;
+  });
+  if (!released) return 0;
+  creditHolds.inc({ outcome: 'released' }, released.amount);
+  emitWebhookEvent(released.userId, 'credits.refunded', {
+    jobId: released.jobId,
+    batchId: released.batchId,
+    credits: released.amount,
+    description: reason,
+  });
+  return released.amount;
+};
+
+// Gives back credits a hold already captured, for a run whose result was
+// thrown away (the job was cancelled while it finished). Resolves to the
+// refunded amount, or 0 if there was nothing to refund.
+export const refundCapturedHold = async (jobId, reason) => {
+  const refunded = await runAtomic(async (session) => {
+    const hold = await CreditHold.findOneAndUpdate(
+      { jobId, status: 'captured', captured: { $gt: 0 }, refundedAt: null },
+      { $set: { refundedAt: new Date() } },
+      { new: true, session }
+    );
+    if (!hold) return null;
+    await Transaction.create([{
+      userId: hold.userId,
+      organizationId: hold.organizationId,
+      type: 'refund',
+      amount: 0,
+      credits: hold.captured,
+      description: reason,
+      metadata: { jobId: hold.jobId, batchId: hold.batchId },
+    }], { session });
+    await accountModel(hold.organizationId).updateOne(
+      { _id: accountId(hold.userId, hold.organizationId) },
+      { $inc: { credits: hold.captured } },
+      { session }
+    );
+    return hold;
+  });
+  if (!refunded) return 0;
+  recordCredits('refund', refunded.captured);
+  emitWebhookEvent(refunded.userId, 'credits.refunded', {
+    jobId: refunded.jobId,
+    batchId: refunded.batchId,
+    credits: refunded.captured,
+    description: reason,
+  });
+  return refunded.captured;
+};
+
+export const hasHold = async (jobId) => {
+  return !!(await CreditHold.exists({ jobId }));
+};
+
+// Adds credits together with the ledger row explaining them (purchase,
+// bonus, refund of already captured usage, ...).
+export const grantCredits = async (userId, { type, credits, amount = 0, description, metadata }) => {
+  const granted = await runAtomic(async (session) => {
+    const user = await User.findByIdAndUpdate(userId, { $inc: { credits } }, { new: true, session });
+    if (!user) return null;
+    const [transaction] = await Transaction.create([{
+      userId,
+      type,
+      amount,
+      credits,
+      description,
+      metadata,
+    }], { session });
+    return { user, transaction };
+  });
+  if (granted) recordCredits(type, credits);
+  return granted;
+};
+
+// Manual correction by an admin, in either direction. Removing credits never
+// takes the balance below zero; resolves to null if it would.
+export const adjustCredits = async (userId, { credits, description, metadata }) => {
+  const adjusted = await runAtomic(async (session) => {
+    const filter = credits < 0 ? { _id: userId, credits: { $gte: -credits } } : { _id: userId };
+    const user = await User.findOneAndUpdate(filter, { $inc: { credits } }, { new: true, session });
+    if (!user) return null;
+    const [transaction] = await Transaction.create([{
+      userId,
+      type: 'adjustment',
+      amount: 0,
+      credits,
+      description,
+      metadata,
+    }], { session });
+    return { user, transaction };
+  });
+  if (adjusted) recordCredits('adjustment', credits);
+  return adjusted;
+};
+
+// Moves `credits` on the account a transaction belongs to. Resolves to the
+// buyer and the account's new balance.
+const applyToAccount = async (transaction, credits, session) => {
+  const { userId, organizationId } = transaction;
+  const account = await accountModel(organizationId).findByIdAndUpdate(
+    accountId(userId, organizationId),
+    { $inc: { credits } },
+    { new: true, session }
+  );
+  const user = organizationId ? await User.findById(userId).session(session) : account;
+  return { user, balance: account?.credits };
+};
+
+// Settles a pending purchase once the payment provider confirms it. Safe to
+// call repeatedly: only the first confirmation credits the balance.
+// Resolves to { user, transaction, balance }.
+export const completePurchase = async (transactionId, paymentId) => {
+  const completed = await runAtomic(async (session) => {
+    const transaction = await Transaction.findOneAndUpdate(
+      { _id: transactionId, type: 'purchase', status: 'pending' },
+      { $set: { status: 'completed', 'metadata.paymentId': paymentId } },
+      { new: true, session }
+    );
+    if (!transaction) return null;
+    const { user, balance } = await applyToAccount(transaction, transaction.credits, session);
+    return { user, transaction, balance };
+  });
+  if (completed) recordCredits('purchase', completed.transaction.credits);
+  return completed;
+};
+
+export const failPurchase = (transactionId) => {
+  return Transaction.findOneAndUpdate(
+    { _id: transactionId, type: 'purchase', status: 'pending' },
+    { $set: { status: 'failed' } },
+    { new: true }
+  );
+};
+
+// Takes back the credits of a refunded payment. The balance may go negative
+// if they have already been spent.
+export const reversePurchase = async (transaction) => {
+  const reversal = await runAtomic(async (session) => {
+    const reversed = await Transaction.findOneAndUpdate(
+      { _id: transaction._id, status: 'completed', 'metadata.refundedAt': null },
+      { $set: { 'metadata.refundedAt': new Date() } },
+      { new: true, session }
+    );
+    if (!reversed) return null;
+    const { user, balance } = await applyToAccount(reversed, -reversed.credits, session);
+    const [refund] = await Transaction.create([{
+      userId: reversed.userId,
+      organizationId: reversed.organizationId,
+      type: 'refund',
+      amount: -reversed.amount,
+      credits: -reversed.credits,
+      description: `Payment refunded: ${reversed.description}`,
+      metadata: {
+        packageId: reversed.metadata?.packageId,
+        paymentProvider: reversed.metadata?.paymentProvider,
+        paymentId: reversed.metadata?.paymentId,
+      },
+    }], { session });
+    return { user, transaction: refund, balance };
+  });
+  if (reversal) recordCredits('refund', reversal.transaction.credits);
+  return reversal;
+};
+
+export const refundCredits = async (userId, credits, description, metadata) => {
+  const granted = await grantCredits(userId, { type: 'refund', credits, description, metadata });
+  if (!granted) return null;
+  emitWebhookEvent(userId, 'credits.refunded', {
+    transactionId: granted.transaction._id,
+    credits,
+    description,
+    jobId: metadata?.jobId,
+    batchId: metadata?.batchId,
+    balance: granted.user.credits,
+  });
+  return granted.user;
+};
+
+// Ledger totals per user (personal entries only) or, with `byOrganization`,
+// per organization.
+const ledgerTotals = async (match, { byOrganization = false } = {}) => {
+  const scope = byOrganization ? { organizationId: { $ne: null } } : { organizationId: null };
+  const key = byOrganization ? '$organizationId' : '$userId';
+  const [transactions, holds] = await Promise.all([
+    Transaction.aggregate([
+      { $match: { ...scope, ...match, status: 'completed' } },
+      { $group: { _id: key, total: { $sum: '$credits' } } },
+    ]),
+    CreditHold.aggregate([
+      { $match: { ...scope, ...match, status: 'held' } },
+      { $group: { _id: key, total: { $sum: '$amount' } } },
+    ]),
+  ]);
+  const totals = new Map();
+  for (const row of transactions) {
+    totals.set(row._id.toString(), { ledger: row.total, held: 0 });
+  }
+  for (const row of holds) {
+    const entry = totals.get(row._id.toString()) || { ledger: 0, held: 0 };
+    entry.held = row.total;
+    totals.set(row._id.toString(), entry);
+  }
+  return totals;
+};
+
+const describeDrift = (account, totals, idField = 'userId') => {
+  const { ledger = 0, held = 0 } = totals || {};
+  const expected = ledger - held;
+  return {
+    [idField]: account._id,
+    balance: account.credits,
+    ledgerTotal: ledger,
+    held,
+    expected,
+    drift: account.credits - expected,
+  };
+};
+
+export const reconcileBalance = async (user) => {
+  const totals = await ledgerTotals({ userId: user._id });
+  return describeDrift(user, totals.get(user._id.toString()));
+};
+
+export const reconcileOrganization = async (organization) => {
+  const totals = await ledgerTotals({ organizationId: organization._id }, { byOrganization: true });
+  return describeDrift(organization, totals.get(organization._id.toString()), 'organizationId');
+};
+
+// Recomputes every balance from the ledger and returns the users and
+// organizations whose cached balance disagrees with it.
+export const reconcileAll = async () => {
+  const [userTotals, organizationTotals] = await Promise.all([
+    ledgerTotals({}),
+    ledgerTotals({}, { byOrganization: true }),
+  ]);
+  const drifted = [];
+  let checked = 0;
+  const check = async (cursor, totals, idField) => {
+    for await (const account of cursor) {
+      checked++;
+      const report = describeDrift(account, totals.get(account._id.toString()), idField);
+      if (report.drift !== 0) {
+        drifted.push(report);
+      }
+    }
+  };
+  await check(User.find({}, { credits: 1 }).cursor(), userTotals, 'userId');
+  await check(Organization.find({}, { credits: 1 }).cursor(), organizationTotals, 'organizationId');
+  return { checked, drifted };
+};
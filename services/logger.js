@@ -0,0 +1,48 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const threshold = LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info;
+
+// Fields every log line written inside runWithContext() carries, such as
+// the request ID of the HTTP request or job being handled.
+const context = new AsyncLocalStorage();
+
+export const runWithContext = (fields, fn) => context.run({ ...context.getStore(), ...fields }, fn);
+
+export const getLogContext = () => context.getStore() || {};
+
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  code: error.code,
+  stack: error.stack,
+});
+
+const serializeFields = (fields) => {
+  const serialized = {};
+  for (const [key, value] of Object.entries(fields)) {
+    serialized[key] = value instanceof Error ? serializeError(value) : value;
+  }
+  return serialized;
+};
+
+// One JSON object per line: time, level, msg, the context fields and the
+// fields passed in. Errors go to stderr, everything else to stdout.
+const write = (level, msg, fields = {}) => {
+  if (LEVELS[level] < threshold) return;
+  const entry = { time: new Date().toISOString(), level, msg, ...getLogContext(), ...serializeFields(fields) };
+  let line;
+  try {
+    line = JSON.stringify(entry);
+  } catch {
+    line = JSON.stringify({ time: entry.time, level, msg, ...getLogContext(), note: 'Log fields could not be serialized' });
+  }
+  (level === 'error' ? process.stderr : process.stdout).write(`${line}\n`);
+};
+
+export const logger = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields),
+};
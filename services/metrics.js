@@ -0,0 +1,184 @@
+import mongoose from 'mongoose';
+import Job from '../models/Job.js';
+
+// A small Prometheus registry (text exposition format 0.0.4). Counters and
+// histograms are per process; gauges with a `collect` function are read
+// from the database at scrape time, so they describe the whole cluster.
+const registry = [];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+};
+
+const pickLabels = (labelNames, labels = {}) => Object.fromEntries(labelNames.map(name => [name, labels[name] ?? '']));
+
+const createSeries = () => {
+  const series = new Map();
+  return {
+    get(labels, create) {
+      const key = JSON.stringify(labels);
+      if (!series.has(key)) series.set(key, { labels, ...create() });
+      return series.get(key);
+    },
+    values: () => series.values(),
+    clear: () => series.clear(),
+  };
+};
+
+export const createCounter = ({ name, help, labelNames = [] }) => {
+  const series = createSeries();
+  registry.push({
+    name,
+    help,
+    type: 'counter',
+    render: () => [...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`),
+  });
+  return {
+    inc(labels, value = 1) {
+      series.get(pickLabels(labelNames, labels), () => ({ value: 0 })).value += value;
+    },
+  };
+};
+
+export const createGauge = ({ name, help, labelNames = [], collect }) => {
+  const series = createSeries();
+  const gauge = {
+    set(labels, value) {
+      series.get(pickLabels(labelNames, labels), () => ({ value: 0 })).value = value;
+    },
+  };
+  registry.push({
+    name,
+    help,
+    type: 'gauge',
+    collect: collect && (async () => {
+      series.clear();
+      await collect(gauge);
+    }),
+    render: () => [...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`),
+  });
+  return gauge;
+};
+
+export const createHistogram = ({ name, help, labelNames = [], buckets }) => {
+  const series = createSeries();
+  registry.push({
+    name,
+    help,
+    type: 'histogram',
+    render: () => [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+      ...buckets.map((bound, i) => `${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`),
+      `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+      `${name}_sum${formatLabels(labels)} ${sum}`,
+      `${name}_count${formatLabels(labels)} ${count}`,
+    ]),
+  });
+  return {
+    observe(labels, value) {
+      const entry = series.get(pickLabels(labelNames, labels), () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+      buckets.forEach((bound, i) => {
+        if (value <= bound) entry.counts[i]++;
+      });
+      entry.sum += value;
+      entry.count++;
+    },
+  };
+};
+
+export const renderMetrics = async () => {
+  const failed = [];
+  await Promise.all(registry.filter(metric => metric.collect).map(metric => metric.collect().catch(() => failed.push(metric.name))));
+  const lines = [];
+  for (const metric of registry) {
+    if (failed.includes(metric.name)) continue;
+    lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`, ...metric.render());
+  }
+  return `${lines.join('\n')}\n`;
+};
+
+export const httpRequestDuration = createHistogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency by route and status code.',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+});
+
+export const generationDuration = createHistogram({
+  name: 'generation_duration_seconds',
+  help: 'Duration of single provider generation calls by model and outcome.',
+  labelNames: ['provider', 'model', 'task', 'outcome'],
+  buckets: [0.5, 1, 2.5, 5, 10, 20, 30, 60, 120],
+});
+
+export const providerRetries = createCounter({
+  name: 'provider_retries_total',
+  help: 'Failed provider calls that were followed by another attempt.',
+  labelNames: ['provider', 'model'],
+});
+
+export const providerFallbacks = createCounter({
+  name: 'provider_fallbacks_total',
+  help: 'Switches to the next model in a fallback chain.',
+  labelNames: ['from', 'to'],
+});
+
+export const jobsFinished = createCounter({
+  name: 'jobs_finished_total',
+  help: 'Jobs that reached a final status in this process.',
+  labelNames: ['status', 'type'],
+});
+
+export const creditsFlow = createCounter({
+  name: 'credits_flow_total',
+  help: 'Credits moved by ledger entry type; direction is in (added to balances) or out.',
+  labelNames: ['type', 'direction'],
+});
+
+export const creditHolds = createCounter({
+  name: 'credit_holds_total',
+  help: 'Credits reserved for jobs and what became of them.',
+  labelNames: ['outcome'],
+});
+
+export const generationCacheLookups = createCounter({
+  name: 'generation_cache_lookups_total',
+  help: 'Generation cache lookups for seeded images, by outcome (hit or miss).',
+  labelNames: ['outcome'],
+});
+
+export const recordCredits = (type, credits) => {
+  if (!credits) return;
+  creditsFlow.inc({ type, direction: credits > 0 ? 'in' : 'out' }, Math.abs(credits));
+};
+
+// Skips database gauges while disconnected instead of waiting for queries
+// to time out during the scrape.
+const fromDatabase = (collect) => async (gauge) => {
+  if (mongoose.connection.readyState !== 1) {
+    throw new Error('Database not connected');
+  }
+  await collect(gauge);
+};
+
+createGauge({
+  name: 'jobs',
+  help: 'Jobs by status.',
+  labelNames: ['status'],
+  collect: fromDatabase(async (gauge) => {
+    const statuses = Job.schema.path('status').enumValues;
+    const counts = await Promise.all(statuses.map(status => Job.countDocuments({ status })));
+    statuses.forEach((status, i) => gauge.set({ status }, counts[i]));
+  }),
+});
+
+createGauge({
+  name: 'job_queue_depth',
+  help: 'Pending jobs that are due to run now.',
+  collect: fromDatabase(async (gauge) => {
+    gauge.set({}, await Job.countDocuments({ status: 'pending', availableAt: { $lte: new Date() } }));
+  }),
+});
@@ -0,0 +1,144 @@
+import ModerationLog from '../models/ModerationLog.js';
+import { PROMPT_RULES } from '../config/moderation.js';
+import { logger } from './logger.js';
+
+const FAIL_CLOSED = process.env.MODERATION_FAIL_MODE === 'closed';
+const CLASSIFIER_TIMEOUT_MS = parseInt(process.env.MODERATION_TIMEOUT_MS) || 10000;
+
+// A classifier is `async (input) => ({ flagged, categories?, reason? })`.
+// Prompt classifiers get { prompt, negativePrompt, model, userId }; image
+// classifiers get { buffer, job }.
+const promptClassifiers = [];
+const imageClassifiers = [];
+
+export const registerPromptClassifier = (name, classify) => {
+  promptClassifiers.push({ name, classify });
+};
+
+export const registerImageClassifier = (name, classify) => {
+  imageClassifiers.push({ name, classify });
+};
+
+export const hasImageClassifiers = () => imageClassifiers.length > 0;
+
+// Built-in hook for an external moderation service: the prompt is posted as
+// JSON, images as raw bytes, and the service answers with the same
+// { flagged, categories, reason } shape.
+const httpClassifier = (url, toRequest) => async (input) => {
+  const { body, contentType } = toRequest(input);
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': contentType,
+      ...(process.env.MODERATION_API_KEY ? { Authorization: `Bearer ${process.env.MODERATION_API_KEY}` } : {}),
+    },
+    body,
+    signal: AbortSignal.timeout(CLASSIFIER_TIMEOUT_MS),
+  });
+  if (!response.ok) {
+    throw new Error(`Moderation service responded with ${response.status}`);
+  }
+  return response.json();
+};
+
+if (process.env.MODERATION_PROMPT_URL) {
+  registerPromptClassifier('http', httpClassifier(process.env.MODERATION_PROMPT_URL, ({ prompt, negativePrompt, model }) => ({
+    contentType: 'application/json',
+    body: JSON.stringify({ prompt, negativePrompt, model }),
+  })));
+}
+
+if (process.env.MODERATION_IMAGE_URL) {
+  registerImageClassifier('http', httpClassifier(process.env.MODERATION_IMAGE_URL, ({ buffer }) => ({
+    contentType: 'application/octet-stream',
+    body: buffer,
+  })));
+}
+
+// Runs every classifier and merges their verdicts. A classifier that throws
+// counts as a pass unless MODERATION_FAIL_MODE=closed.
+const runClassifiers = async (classifiers, input) => {
+  const verdict = { flagged: false, categories: [], reasons: [], checks: [], errors: [] };
+  for (const { name, classify } of classifiers) {
+    verdict.checks.push(name);
+    try {
+      const result = await classify(input);
+      if (result?.flagged) {
+        verdict.flagged = true;
+        verdict.categories.push(...(result.categories || [name]));
+        if (result.reason) verdict.reasons.push(result.reason);
+      }
+    } catch (error) {
+      logger.error('Moderation classifier failed', { classifier: name, error });
+      verdict.errors.push(`${name}: ${error.message}`);
+      if (FAIL_CLOSED) {
+        verdict.flagged = true;
+        verdict.categories.push('moderation-unavailable');
+      }
+    }
+  }
+  return verdict;
+};
+
+const record = async (entry) => {
+  try {
+    return await ModerationLog.create(entry);
+  } catch (error) {
+    logger.error('Failed to write moderation log', { error });
+    return null;
+  }
+};
+
+// Checks a prompt against the configured policy and classifiers before a
+// job is created. Resolves to { allowed, categories, reason }.
+export const moderatePrompt = async ({ userId, apiKeyId, prompt, negativePrompt, model }) => {
+  const matched = PROMPT_RULES.filter(rule => rule.regex.test(prompt || ''));
+  const verdict = await runClassifiers(promptClassifiers, { prompt, negativePrompt, model, userId });
+  const categories = [...new Set([...matched.map(rule => rule.category), ...verdict.categories])];
+  const allowed = matched.length === 0 && !verdict.flagged;
+  const reason = allowed
+    ? undefined
+    : verdict.reasons[0] || `Prompt violates the content policy (${categories.join(', ')})`;
+  await record({
+    userId,
+    apiKeyId,
+    stage: 'prompt',
+    decision: allowed ? 'allowed' : 'blocked',
+    categories,
+    rules: matched.map(rule => rule.rule),
+    reason,
+    checks: ['policy', ...verdict.checks],
+    classifierError: verdict.errors.join('; ') || undefined,
+    prompt,
+    negativePrompt,
+    model,
+  });
+  return { allowed, categories, reason };
+};
+
+// Checks a generated image before it is stored. Without image classifiers
+// there is nothing to decide and nothing is logged.
+export const moderateImage = async ({ job, buffer }) => {
+  if (!hasImageClassifiers()) {
+    return { allowed: true, categories: [] };
+  }
+  const verdict = await runClassifiers(imageClassifiers, { buffer, job });
+  const categories = [...new Set(verdict.categories)];
+  const reason = verdict.flagged
+    ? verdict.reasons[0] || `Generated image violates the content policy (${categories.join(', ')})`
+    : undefined;
+  await record({
+    userId: job.userId,
+    apiKeyId: job.apiKeyId,
+    jobId: job._id,
+    stage: 'image',
+    decision: verdict.flagged ? 'blocked' : 'allowed',
+    categories,
+    reason,
+    checks: verdict.checks,
+    classifierError: verdict.errors.join('; ') || undefined,
+    prompt: job.prompt,
+    model: job.model,
+  });
+  return { allowed: !verdict.flagged, categories, reason };
+};
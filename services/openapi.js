@@ -0,0 +1,148 @@
+import fs from 'fs';
+import { authenticate, requireSession, requireAdmin } from '../middleware/auth.js';
+import { resolveOrganization } from '../middleware/organization.js';
+import { ERROR_CODES } from '../middleware/errors.js';
+
+const { name, version } = JSON.parse(fs.readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+const errorResponse = { $ref: '#/components/responses/Error' };
+
+const components = {
+  securitySchemes: {
+    bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT', description: 'Access token from /api/auth/login or /api/auth/refresh' },
+    apiKeyAuth: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+  },
+  schemas: {
+    Error: {
+      type: 'object',
+      required: ['error', 'code'],
+      properties: {
+        error: { type: 'string', description: 'Human-readable message' },
+        code: {
+          type: 'string',
+          description: `Stable identifier: validation_failed, invalid_json or, by status, ${Object.values(ERROR_CODES).join(', ')}`,
+        },
+        details: {
+          type: 'array',
+          description: 'Present on validation_failed: one entry per invalid field',
+          items: {
+            type: 'object',
+            properties: {
+              field: { type: 'string', example: 'body.email' },
+              message: { type: 'string', example: 'must be a valid email address' },
+            },
+          },
+        },
+        requestId: { type: 'string' },
+      },
+    },
+  },
+  responses: {
+    Error: {
+      description: 'Error',
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } },
+    },
+  },
+};
+
+const organizationHeader = {
+  name: 'X-Organization-Id',
+  in: 'header',
+  required: false,
+  description: "Act for this organization and spend from its pool",
+  schema: { type: 'string' },
+};
+
+// Walks the app's routes, descending into the routers in `mounts` (router
+// -> mount path). Each route carries the middleware that runs before it:
+// the router-level `use` layers above it and its own route stack.
+const collectRoutes = (stack, prefix, inherited, mounts, routes) => {
+  const above = [...inherited];
+  for (const layer of stack) {
+    if (layer.route) {
+      routes.push({
+        path: prefix + layer.route.path,
+        methods: Object.keys(layer.route.methods).filter(method => METHODS.includes(method)),
+        handles: [...above, ...layer.route.stack.map(routeLayer => routeLayer.handle)],
+      });
+    } else if (mounts.has(layer.handle)) {
+      collectRoutes(layer.handle.stack, prefix + mounts.get(layer.handle), above, mounts, routes);
+    } else if (prefix) {
+      above.push(layer.handle);
+    }
+  }
+  return routes;
+};
+
+const parameter = (location, name, schema, required) => {
+  const { description, ...rest } = schema;
+  return { name, in: location, required, description, schema: rest };
+};
+
+const describeAccess = (handles) => {
+  if (!handles.includes(authenticate)) return {};
+  const session = handles.includes(requireSession);
+  const scope = handles.find(handle => handle.scope)?.scope;
+  const notes = [];
+  if (handles.includes(requireAdmin)) notes.push('Requires an admin account.');
+  if (session) notes.push('Requires a user session; API keys are refused.');
+  else if (scope) notes.push(`API keys need the \`${scope}\` scope.`);
+  return {
+    security: session ? [{ bearerAuth: [] }] : [{ bearerAuth: [] }, { apiKeyAuth: [] }],
+    description: notes.join(' ') || undefined,
+  };
+};
+
+const buildOperation = (path, handles) => {
+  const spec = handles.find(handle => handle.openapi)?.openapi || {};
+  const parameters = [];
+  for (const [, name] of path.matchAll(/:(\w+)/g)) {
+    parameters.push(parameter('path', name, spec.params?.properties?.[name] || { type: 'string' }, true));
+  }
+  for (const [name, schema] of Object.entries(spec.query?.properties || {})) {
+    parameters.push(parameter('query', name, schema, (spec.query.required || []).includes(name)));
+  }
+  if (handles.includes(resolveOrganization)) {
+    parameters.push(organizationHeader);
+  }
+  const operation = {
+    summary: spec.summary,
+    tags: spec.tags,
+    ...describeAccess(handles),
+    parameters: parameters.length > 0 ? parameters : undefined,
+    responses: {
+      '2XX': { description: 'Success' },
+      default: errorResponse,
+    },
+  };
+  if (spec.body) {
+    const content = { 'application/json': { schema: spec.body } };
+    if (spec.bodyType === 'multipart') {
+      content['multipart/form-data'] = { schema: spec.body };
+    }
+    operation.requestBody = { required: (spec.body.required || []).length > 0, content };
+  }
+  return operation;
+};
+
+// Builds an OpenAPI 3 document from the registered routes: paths and
+// methods from Express, parameters and bodies from the validate() schemas,
+// security from the authentication middleware on each route.
+export const buildOpenApiDocument = (app, { mounts = new Map() } = {}) => {
+  const paths = {};
+  for (const route of collectRoutes(app._router.stack, '', [], mounts, [])) {
+    const path = route.path.replace(/:(\w+)/g, '{$1}');
+    for (const method of route.methods) {
+      paths[path] = { ...paths[path], [method]: buildOperation(route.path, route.handles) };
+    }
+  }
+  return {
+    openapi: '3.0.3',
+    info: { title: name, version },
+    servers: [{ url: process.env.BASE_URL || '/' }],
+    paths,
+    components,
+  };
+};
@@ -0,0 +1,148 @@
+import crypto from 'crypto';
+import Transaction from '../models/Transaction.js';
+import CreditHold from '../models/CreditHold.js';
+import OrganizationMember from '../models/OrganizationMember.js';
+import OrganizationInvitation from '../models/OrganizationInvitation.js';
+import { placeHolds } from './ledger.js';
+import { sendMail } from '../mailer/index.js';
+
+const INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+class SpendingCapError extends Error {
+  constructor(cap) {
+    super(`Spending cap of ${cap} credits exceeded`);
+    this.name = 'SpendingCapError';
+    this.cap = cap;
+  }
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const startOfMonth = () => {
+  const date = new Date();
+  date.setUTCDate(1);
+  date.setUTCHours(0, 0, 0, 0);
+  return date;
+};
+
+// Credits the member has spent from the pool this calendar month,
+// including what is still held for their running jobs.
+export const getMemberSpend = async (membership, session = null) => {
+  const match = {
+    organizationId: membership.organizationId,
+    userId: membership.userId,
+    createdAt: { $gte: startOfMonth() },
+  };
+  const [[usage], [held]] = await Promise.all([
+    Transaction.aggregate([
+      { $match: { ...match, type: 'usage', status: 'completed' } },
+      { $group: { _id: null, total: { $sum: '$credits' } } },
+    ]).session(session),
+    CreditHold.aggregate([
+      { $match: { ...match, status: 'held' } },
+      { $group: { _id: null, total: { $sum: '$amount' } } },
+    ]).session(session),
+  ]);
+  return -(usage?.total || 0) + (held?.total || 0);
+};
+
+// Checks the member's spending cap inside the transaction that places the
+// holds; writing the membership first makes concurrent holds by the same
+// member conflict, so they cannot all pass the check.
+const spendingCapGuard = (membership) => async (session, total) => {
+  await OrganizationMember.updateOne({ _id: membership._id }, { $set: { lastHoldAt: new Date() } }, { session });
+  if ((await getMemberSpend(membership, session)) + total > membership.spendingCap) {
+    throw new SpendingCapError(membership.spendingCap);
+  }
+};
+
+// Places the holds for a request's jobs on the right balance: the
+// organization's pool (within the member's spending cap) or the user's own
+// credits. Resolves to { holds } or { error, status }.
+export const holdRequestCredits = async (req, holds) => {
+  const cap = req.organization ? req.membership.spendingCap : undefined;
+  let placed;
+  try {
+    placed = await placeHolds(req.user._id, holds, {
+      organizationId: req.organization?._id,
+      guard: cap !== undefined && cap !== null ? spendingCapGuard(req.membership) : undefined,
+    });
+  } catch (error) {
+    if (!(error instanceof SpendingCapError)) throw error;
+    return { error: `This would exceed your monthly spending cap of ${cap} credits in ${req.organization.name}`, status: 402 };
+  }
+  if (!placed) {
+    return { error: req.organization ? 'Insufficient organization credits' : 'Insufficient credits', status: 402 };
+  }
+  return { holds: placed };
+};
+
+// Query filter for the jobs, transactions, ... a request may see: the
+// organization's when acting for one, otherwise the user's own.
+export const ownerFilter = (req) => (req.organization
+  ? { organizationId: req.organization._id }
+  : { userId: req.user._id });
+
+// Ledger entries a request may see: those that moved the organization's
+// pool, or the user's own balance (not their spending from a pool).
+export const ledgerFilter = (req) => (req.organization
+  ? { organizationId: req.organization._id }
+  : { userId: req.user._id, organizationId: null });
+
+// The subset of ownerFilter a request may change (cancel, retry, delete):
+// in an organization, members manage their own jobs and admins everyone's.
+export const manageableFilter = (req) => (req.organization && !req.membership.hasRole('admin')
+  ? { organizationId: req.organization._id, userId: req.user._id }
+  : ownerFilter(req));
+
+export const createInvitation = async (organization, { email, role }, inviter) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  // A new invitation replaces any pending one for the same address.
+  await OrganizationInvitation.updateMany(
+    { organizationId: organization._id, email, acceptedAt: null, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+  const invitation = await OrganizationInvitation.create({
+    organizationId: organization._id,
+    email,
+    role,
+    tokenHash: hashToken(token),
+    invitedBy: inviter._id,
+    expiresAt: new Date(Date.now() + INVITATION_TTL_MS),
+  });
+  const frontendUrl = process.env.FRONTEND_URL || `http://localhost:${process.env.PORT || 3000}`;
+  await sendMail({
+    to: email,
+    subject: `You're invited to join ${organization.name}`,
+    text: `${inviter.firstName} ${inviter.lastName} invited you to join ${organization.name} as ${role === 'admin' ? 'an admin' : 'a member'}.\n\nAccept within 7 days:\n${frontendUrl}/invitations/accept?token=${token}`,
+  });
+  return invitation;
+};
+
+// Accepts an invitation for `user`, whose email must match the invited
+// address. Resolves to { membership } or { error, status }.
+export const acceptInvitation = async (token, user) => {
+  if (typeof token !== 'string') {
+    return { error: 'Invitation token is required', status: 400 };
+  }
+  const invitation = await OrganizationInvitation.findOne({ tokenHash: hashToken(token) });
+  if (!invitation || invitation.revokedAt || invitation.acceptedAt || invitation.expiresAt <= new Date()) {
+    return { error: 'Invitation is invalid or has expired', status: 400 };
+  }
+  if (invitation.email !== user.email) {
+    return { error: 'This invitation was sent to a different email address', status: 403 };
+  }
+  const claimed = await OrganizationInvitation.findOneAndUpdate(
+    { _id: invitation._id, acceptedAt: null, revokedAt: null },
+    { $set: { acceptedAt: new Date() } }
+  );
+  if (!claimed) {
+    return { error: 'Invitation is invalid or has expired', status: 400 };
+  }
+  const membership = await OrganizationMember.findOneAndUpdate(
+    { organizationId: invitation.organizationId, userId: user._id },
+    { $setOnInsert: { role: invitation.role, joinedAt: new Date() } },
+    { upsert: true, new: true }
+  );
+  return { membership };
+};
@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+
+// Keyset pagination over a sort field with _id as the tie-breaker. The
+// cursor handed to clients is opaque (base64url JSON of the sort name and
+// the last row's position), so its format can change without breaking
+// them. Page numbers are still accepted for existing clients; only that
+// mode counts the total.
+
+// Numeric sort fields missing on a row sort as 0, matching their schema
+// default, so the cursor always carries a number.
+const encodeCursor = (sortName, field, doc) => {
+  const value = doc[field] instanceof Date ? doc[field].toISOString() : doc[field] ?? 0;
+  return Buffer.from(JSON.stringify([sortName, value, doc._id.toString()])).toString('base64url');
+};
+
+const decodeCursor = (cursor, sortName, field, model) => {
+  let position;
+  try {
+    position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+  if (!Array.isArray(position) || position.length !== 3) return null;
+  const [name, value, id] = position;
+  if (name !== sortName || !mongoose.isValidObjectId(id)) return null;
+  if (model.schema.path(field)?.instance === 'Date') {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : { value: date, id: new mongoose.Types.ObjectId(id) };
+  }
+  return typeof value === 'number' ? { value, id: new mongoose.Types.ObjectId(id) } : null;
+};
+
+// `createdAt` bounds from validated `from` (inclusive) and `to` (exclusive)
+// query parameters, or undefined when neither is set.
+export const createdBetween = ({ from, to }) => {
+  if (!from && !to) return undefined;
+  const range = {};
+  if (from) range.$gte = new Date(from);
+  if (to) range.$lt = new Date(to);
+  return range;
+};
+
+// Lists `model` documents matching `filter` in the order of `sorts[sort]`
+// ({ field, direction }). With `cursor`, continues after that position;
+// otherwise reads page `page`. Resolves to { items, pagination } or
+// { error } for a cursor that does not belong to this sort.
+export const paginate = async (model, filter, { sorts, sort, cursor, page = 1, limit }) => {
+  const { field, direction } = sorts[sort];
+  const order = { [field]: direction, _id: direction };
+  let after = null;
+  if (cursor) {
+    const position = decodeCursor(cursor, sort, field, model);
+    if (!position) {
+      return { error: 'Invalid cursor; start again without one or use the same sort' };
+    }
+    const beyond = direction < 0 ? '$lt' : '$gt';
+    after = {
+      $or: [
+        { [field]: { [beyond]: position.value } },
+        { [field]: position.value, _id: { [beyond]: position.id } },
+      ],
+    };
+  }
+  const query = model.find(after ? { $and: [filter, after] } : filter)
+    .sort(order)
+    .skip(cursor ? 0 : (page - 1) * limit)
+    .limit(limit + 1);
+  const [rows, total] = await Promise.all([
+    query,
+    cursor ? undefined : model.countDocuments(filter),
+  ]);
+  const hasMore = rows.length > limit;
+  const items = hasMore ? rows.slice(0, limit) : rows;
+  return {
+    items,
+    pagination: {
+      ...(cursor ? {} : { page, total }),
+      limit,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(sort, field, items[items.length - 1]) : null,
+    },
+  };
+};
@@ -0,0 +1,75 @@
+import crypto from 'crypto';
+import { REFERENCE_PIXELS } from '../config/modelCatalog.js';
+
+const INTEGER_PARAMETERS = ['width', 'height', 'num_inference_steps', 'seed'];
+
+const SEED_RANGE = 4294967296;
+
+const randomSeed = () => crypto.randomBytes(4).readUInt32BE(0);
+
+// Variation `index` of a job uses the next seed, so the whole set stays
+// reproducible from the job's seed.
+export const variationSeed = (seed, index) => (seed === undefined ? undefined : (seed + index) % SEED_RANGE);
+
+const checkNumber = (name, value, spec) => {
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    return `${name} must be a number`;
+  }
+  if (INTEGER_PARAMETERS.includes(name) && !Number.isInteger(value)) {
+    return `${name} must be an integer`;
+  }
+  if (value < spec.min || value > spec.max) {
+    return `${name} must be between ${spec.min} and ${spec.max}`;
+  }
+  if (spec.multipleOf && value % spec.multipleOf !== 0) {
+    return `${name} must be a multiple of ${spec.multipleOf}`;
+  }
+  return null;
+};
+
+// Validates client parameters against a catalog entry's spec and fills in
+// defaults, so the job records exactly what was sent to the provider. A seed
+// is always chosen up front so every image can be reproduced.
+export const resolveParameters = (catalogEntry, input = {}) => {
+  const spec = catalogEntry.parameters || {};
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Parameters must be an object' };
+  }
+
+  const unknown = Object.keys(input).filter(name => !spec[name]);
+  if (unknown.length > 0) {
+    return { error: `Unsupported parameters for ${catalogEntry.modelId}: ${unknown.join(', ')}` };
+  }
+
+  const parameters = {};
+  for (const [name, rule] of Object.entries(spec)) {
+    const value = input[name] ?? rule.default;
+    if (value === undefined) continue;
+    if (rule.values) {
+      if (!rule.values.includes(value)) {
+        return { error: `${name} must be one of: ${rule.values.join(', ')}` };
+      }
+    } else {
+      const error = checkNumber(name, value, rule);
+      if (error) return { error };
+    }
+    parameters[name] = value;
+  }
+
+  if (spec.seed && parameters.seed === undefined) {
+    parameters.seed = randomSeed();
+  }
+
+  return { parameters };
+};
+
+export const calculateCreditCost = (catalogEntry, parameters) => {
+  const spec = catalogEntry.parameters || {};
+  const pixels = (parameters.width || 0) * (parameters.height || 0);
+  const pixelFactor = Math.max(1, pixels / REFERENCE_PIXELS);
+  const defaultSteps = spec.num_inference_steps?.default;
+  const stepFactor = defaultSteps && parameters.num_inference_steps
+    ? Math.max(1, parameters.num_inference_steps / defaultSteps)
+    : 1;
+  return Math.ceil(catalogEntry.credits * pixelFactor * stepFactor);
+};
@@ -0,0 +1,168 @@
+import crypto from 'crypto';
+import User from '../models/User.js';
+import PromoCode from '../models/PromoCode.js';
+import PromoRedemption from '../models/PromoRedemption.js';
+import { grantCredits } from './ledger.js';
+import { logger } from './logger.js';
+
+const REFERRER_BONUS_CREDITS = parseInt(process.env.REFERRER_BONUS_CREDITS) || 50;
+const REFERRED_BONUS_CREDITS = parseInt(process.env.REFERRED_BONUS_CREDITS) || 50;
+const MAX_REFERRAL_REWARDS = parseInt(process.env.MAX_REFERRAL_REWARDS) || 25;
+
+const REFERRAL_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const isDuplicateKey = (error) => error?.code === 11000;
+
+// Redeems a promo code for `user`. The per-user limit is enforced by a
+// conditional upsert on the user's redemption counter (a second concurrent
+// redemption collides on the unique index) and the global limit by a
+// conditional $inc on the code, so neither can be exceeded under load.
+// Resolves to `{ user, transaction, promo }` or `{ error }`.
+export const redeemPromoCode = async (user, rawCode) => {
+  const code = typeof rawCode === 'string' ? rawCode.trim().toUpperCase() : '';
+  if (!code) {
+    return { error: 'A promo code is required' };
+  }
+  const promo = await PromoCode.findOne({ code });
+  if (!promo || !promo.active) {
+    return { error: 'Invalid promo code' };
+  }
+  if (promo.expiresAt && promo.expiresAt <= new Date()) {
+    return { error: 'This promo code has expired' };
+  }
+
+  try {
+    await PromoRedemption.findOneAndUpdate(
+      { promoCodeId: promo._id, userId: user._id, count: { $lt: promo.perUserLimit } },
+      { $inc: { count: 1 }, $set: { lastRedeemedAt: new Date() } },
+      { upsert: true }
+    );
+  } catch (error) {
+    if (isDuplicateKey(error)) {
+      return { error: 'You have already redeemed this promo code' };
+    }
+    throw error;
+  }
+
+  const claimed = await PromoCode.findOneAndUpdate(
+    {
+      _id: promo._id,
+      active: true,
+      $and: [
+        { $or: [{ maxRedemptions: null }, { $expr: { $lt: ['$redemptionCount', '$maxRedemptions'] } }] },
+        { $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] },
+      ],
+    },
+    { $inc: { redemptionCount: 1 } },
+    { new: true }
+  );
+  if (!claimed) {
+    await PromoRedemption.updateOne({ promoCodeId: promo._id, userId: user._id }, { $inc: { count: -1 } });
+    return { error: 'This promo code has reached its redemption limit' };
+  }
+
+  const granted = await grantCredits(user._id, {
+    type: 'bonus',
+    credits: claimed.credits,
+    description: `Promo code ${claimed.code}`,
+    metadata: { promoCodeId: claimed._id },
+  });
+  return { ...granted, promo: claimed };
+};
+
+const generateReferralCode = () => {
+  const bytes = crypto.randomBytes(8);
+  return Array.from(bytes, byte => REFERRAL_ALPHABET[byte % REFERRAL_ALPHABET.length]).join('');
+};
+
+// Returns the user's referral code, assigning one on first use.
+export const ensureReferralCode = async (user) => {
+  if (user.referralCode) return user.referralCode;
+  for (let attempt = 0; attempt < 5; attempt++) {
+    try {
+      const updated = await User.findOneAndUpdate(
+        { _id: user._id, referralCode: null },
+        { $set: { referralCode: generateReferralCode() } },
+        { new: true }
+      );
+      const referralCode = updated?.referralCode || (await User.findById(user._id)).referralCode;
+      user.referralCode = referralCode;
+      return referralCode;
+    } catch (error) {
+      if (!isDuplicateKey(error)) throw error;
+    }
+  }
+  throw new Error('Could not allocate a referral code');
+};
+
+// Folds plus-addressing and, for Gmail, dots, so one mailbox cannot pose as
+// several accounts.
+const canonicalEmail = (email) => {
+  const [local, domain] = email.toLowerCase().split('@');
+  let name = local.split('+')[0];
+  if (domain === 'gmail.com' || domain === 'googlemail.com') {
+    name = name.replace(/\./g, '');
+  }
+  return `${name}@${domain}`;
+};
+
+// Looks up the referrer for a signup. Refuses codes that point back at the
+// same person: the same canonical mailbox or the same signup address.
+export const resolveReferrer = async (rawCode, { email, ip }) => {
+  const referralCode = typeof rawCode === 'string' ? rawCode.trim().toUpperCase() : '';
+  const referrer = referralCode && await User.findOne({ referralCode });
+  if (!referrer) {
+    return { error: 'Invalid referral code' };
+  }
+  if (canonicalEmail(referrer.email) === canonicalEmail(email) || (ip && referrer.signupIp === ip)) {
+    return { error: 'You cannot use your own referral code' };
+  }
+  return { referrer };
+};
+
+// Pays out the referral bonus after the referred user's first paid
+// purchase. Claiming `referralRewardedAt` first makes this run once per
+// referred user; the referrer stops earning after MAX_REFERRAL_REWARDS.
+export const rewardReferral = async (userId) => {
+  const user = await User.findOneAndUpdate(
+    { _id: userId, referredBy: { $ne: null }, referralRewardedAt: null },
+    { $set: { referralRewardedAt: new Date() } },
+    { new: true }
+  );
+  if (!user) return null;
+
+  const referred = await grantCredits(user._id, {
+    type: 'bonus',
+    credits: REFERRED_BONUS_CREDITS,
+    description: 'Referral bonus for your first purchase',
+    metadata: { referralUserId: user.referredBy },
+  });
+  const rewarded = await User.countDocuments({ referredBy: user.referredBy, referralRewardedAt: { $ne: null } });
+  let referrer = null;
+  if (rewarded <= MAX_REFERRAL_REWARDS) {
+    referrer = await grantCredits(user.referredBy, {
+      type: 'bonus',
+      credits: REFERRER_BONUS_CREDITS,
+      description: 'Referral bonus for inviting a new customer',
+      metadata: { referralUserId: user._id },
+    });
+  }
+  logger.info('Referral bonus paid', { userId: user._id, referrerId: user.referredBy });
+  return { referred, referrer };
+};
+
+export const getReferralSummary = async (user) => {
+  const [referralCode, signups, rewarded] = await Promise.all([
+    ensureReferralCode(user),
+    User.countDocuments({ referredBy: user._id }),
+    User.countDocuments({ referredBy: user._id, referralRewardedAt: { $ne: null } }),
+  ]);
+  return {
+    referralCode,
+    signups,
+    rewarded,
+    referrerBonusCredits: REFERRER_BONUS_CREDITS,
+    referredBonusCredits: REFERRED_BONUS_CREDITS,
+    remainingRewards: Math.max(0, MAX_REFERRAL_REWARDS - rewarded),
+  };
+};
@@ -0,0 +1,54 @@
+import RateLimitCounter from '../models/RateLimitCounter.js';
+
+// A store counts hits per key in fixed windows:
+//   increment(key, windowMs, cost) -> { count, resetAt }
+// The Mongo store is shared by every server instance; the memory store is
+// only suitable for a single process.
+
+export const createMongoStore = () => ({
+  name: 'mongo',
+  async increment(key, windowMs, cost = 1) {
+    const now = Date.now();
+    const windowStart = new Date(now - (now % windowMs));
+    const resetAt = new Date(windowStart.getTime() + windowMs);
+    const update = () => RateLimitCounter.findOneAndUpdate(
+      { key, windowStart },
+      { $inc: { count: cost }, $setOnInsert: { expiresAt: resetAt } },
+      { upsert: true, new: true }
+    );
+    let counter;
+    try {
+      counter = await update();
+    } catch (error) {
+      // Two first hits in the same window can race on the upsert.
+      if (error.code !== 11000) throw error;
+      counter = await update();
+    }
+    return { count: counter.count, resetAt };
+  },
+});
+
+export const createMemoryStore = () => {
+  const windows = new Map();
+  return {
+    name: 'memory',
+    async increment(key, windowMs, cost = 1) {
+      const now = Date.now();
+      const windowStart = now - (now % windowMs);
+      let entry = windows.get(key);
+      if (!entry || entry.windowStart !== windowStart) {
+        entry = { windowStart, count: 0 };
+        windows.set(key, entry);
+        for (const [otherKey, other] of windows) {
+          if (other.windowStart + windowMs <= now) windows.delete(otherKey);
+        }
+      }
+      entry.count += cost;
+      return { count: entry.count, resetAt: new Date(windowStart + windowMs) };
+    },
+  };
+};
+
+export const rateLimitStore = process.env.RATE_LIMIT_STORE === 'memory'
+  ? createMemoryStore()
+  : createMongoStore();
@@ -0,0 +1,158 @@
+import { EMAIL_PATTERN } from './accounts.js';
+
+// Validates values against the subset of JSON Schema the route schemas use
+// (type, nullable, enum, default, string/number/array bounds, pattern,
+// format, properties, required, additionalProperties, items, oneOf). The same
+// schema objects are published in the OpenAPI document, so only keywords
+// that mean the same thing there belong here.
+
+const FORMATS = {
+  email: (value) => EMAIL_PATTERN.test(value),
+  'date-time': (value) => !Number.isNaN(Date.parse(value)),
+  uri: (value) => {
+    try {
+      return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch {
+      return false;
+    }
+  },
+};
+
+const FORMAT_MESSAGES = {
+  email: 'must be a valid email address',
+  'date-time': 'must be an ISO 8601 date',
+  uri: 'must be an http(s) URL',
+};
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (type, value) => {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+};
+
+// Query strings and path segments only ever arrive as strings.
+const coerce = (schema, value) => {
+  if (typeof value !== 'string') return value;
+  if ((schema.type === 'integer' || schema.type === 'number') && value.trim() !== '' && !Number.isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (schema.type === 'boolean' && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  if (schema.type === 'array') {
+    return value.split(',');
+  }
+  return value;
+};
+
+// Exactly one alternative must accept the value. When only one alternative
+// has the value's type, its own problems are reported.
+const checkOneOf = (alternatives, input, field, errors, options) => {
+  const results = alternatives.map((alternative) => {
+    const found = [];
+    return { alternative, value: check(alternative, input, field, found, options), errors: found };
+  });
+  const valid = results.filter(result => result.errors.length === 0);
+  if (valid.length === 1) return valid[0].value;
+  const typed = results.filter(result => matchesType(result.alternative.type, input));
+  if (valid.length === 0 && typed.length === 1) {
+    errors.push(...typed[0].errors);
+  } else {
+    errors.push({ field, message: `must be one of the forms: ${alternatives.map(alternative => alternative.type).join(', ')}` });
+  }
+  return input;
+};
+
+const check = (schema, input, field, errors, options) => {
+  let value = options.coerce ? coerce(schema, input) : input;
+  if (value === null && schema.nullable) return value;
+  if (schema.oneOf) {
+    return checkOneOf(schema.oneOf, value, field, errors, options);
+  }
+  if (schema.type && !matchesType(schema.type, value)) {
+    errors.push({ field, message: `must be ${schema.type === 'integer' ? 'an integer' : `of type ${schema.type}`}` });
+    return value;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ field, message: `must be one of: ${schema.enum.join(', ')}` });
+    return value;
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ field, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ field, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ field, message: schema['x-pattern-message'] || `must match ${schema.pattern}` });
+    }
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+      errors.push({ field, message: FORMAT_MESSAGES[schema.format] });
+    }
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ field, message: `must be at least ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ field, message: `must be at most ${schema.maximum}` });
+    }
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ field, message: `must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ field, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value = value.map((item, i) => check(schema.items, item, `${field}[${i}]`, errors, options));
+    }
+  }
+  if (schema.type === 'object' && value) {
+    value = checkObject(schema, value, field, errors, options);
+  }
+  return value;
+};
+
+const checkObject = (schema, input, field, errors, options) => {
+  const value = { ...input };
+  const prefix = field ? `${field}.` : '';
+  for (const name of schema.required || []) {
+    if (value[name] === undefined || value[name] === '') {
+      errors.push({ field: `${prefix}${name}`, message: 'is required' });
+    }
+  }
+  for (const [name, property] of Object.entries(schema.properties || {})) {
+    if (value[name] === undefined) {
+      if (property.default !== undefined) value[name] = property.default;
+      continue;
+    }
+    if (value[name] === '' && (schema.required || []).includes(name)) continue;
+    value[name] = check(property, value[name], `${prefix}${name}`, errors, options);
+  }
+  if (schema.additionalProperties === false) {
+    for (const name of Object.keys(value)) {
+      if (!schema.properties?.[name]) {
+        errors.push({ field: `${prefix}${name}`, message: 'is not allowed' });
+      }
+    }
+  }
+  return value;
+};
+
+// Resolves to { value, errors }: the input with defaults applied (and, with
+// `coerce`, strings converted to the declared types) and a list of
+// { field, message } problems, empty when the input is valid.
+export const validateSchema = (schema, input, { field = '', coerce: coerceStrings = false } = {}) => {
+  const errors = [];
+  const value = check(schema, input, field, errors, { coerce: coerceStrings });
+  return { value, errors };
+};
@@ -0,0 +1,91 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { v2 as cloudinary } from 'cloudinary';
+import { logger } from './logger.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Cloudinary configuration
+cloudinary.config({
+  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+  api_key: process.env.CLOUDINARY_API_KEY,
+  api_secret: process.env.CLOUDINARY_API_SECRET,
+});
+
+export const USE_CLOUDINARY = !!(process.env.CLOUDINARY_CLOUD_NAME && process.env.CLOUDINARY_API_KEY);
+export const CLOUDINARY_FOLDER = 'ai-generated-images';
+
+export const imagesDir = path.join(__dirname, '..', 'generated-images');
+if (!fs.existsSync(imagesDir)) {
+  fs.mkdirSync(imagesDir, { recursive: true });
+}
+
+export const storeImage = async (buffer, filename) => {
+  if (USE_CLOUDINARY) {
+    // Upload to Cloudinary
+    const uploadResult = await new Promise((resolve, reject) => {
+      const uploadStream = cloudinary.uploader.upload_stream(
+        {
+          folder: CLOUDINARY_FOLDER,
+          public_id: filename.replace(/\.[^.]+$/, ''),
+          resource_type: 'image',
+        },
+        (error, result) => {
+          if (error) reject(error);
+          else resolve(result);
+        }
+      );
+      uploadStream.end(buffer);
+    });
+    logger.debug('Uploaded image to Cloudinary', { filename });
+    return uploadResult.secure_url;
+  }
+  // Save locally (for development)
+  const filepath = path.join(imagesDir, filename);
+  fs.writeFileSync(filepath, buffer);
+  const baseUrl = process.env.BASE_URL || `http://localhost:${process.env.PORT || 3000}`;
+  return `${baseUrl}/generated-images/${filename}`;
+};
+
+// Throws unless new images can be stored right now.
+export const checkStorage = async () => {
+  if (USE_CLOUDINARY) {
+    await cloudinary.api.ping();
+    return;
+  }
+  await fs.promises.access(imagesDir, fs.constants.W_OK);
+};
+
+// Removes a stored image from wherever its URL says it lives. Missing files
+// are not an error, so a failed delete can simply be repeated.
+export const deleteImage = async ({ url, filename }) => {
+  if (!filename) return;
+  const name = path.basename(filename);
+  if (url?.includes('res.cloudinary.com')) {
+    if (!USE_CLOUDINARY) {
+      throw new Error(`Cannot delete ${name}: Cloudinary is not configured`);
+    }
+    await cloudinary.uploader.destroy(`${CLOUDINARY_FOLDER}/${name.replace(/\.[^.]+$/, '')}`, {
+      resource_type: 'image',
+      invalidate: true,
+    });
+    return;
+  }
+  await fs.promises.rm(path.join(imagesDir, name), { force: true });
+};
+
+// Reads back a stored image, preferring the local copy when there is one.
+export const loadImage = async ({ url, filename }) => {
+  if (filename) {
+    const filepath = path.join(imagesDir, path.basename(filename));
+    if (fs.existsSync(filepath)) {
+      return fs.promises.readFile(filepath);
+    }
+  }
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to load image (${response.status})`);
+  }
+  return Buffer.from(await response.arrayBuffer());
+};
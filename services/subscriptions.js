@@ -0,0 +1,216 @@
+import User from '../models/User.js';
+import Transaction from '../models/Transaction.js';
+import CreditHold from '../models/CreditHold.js';
+import Subscription from '../models/Subscription.js';
+import { getPlan } from '../config/plans.js';
+import { grantCredits } from './ledger.js';
+import { paymentProvider } from '../payments/index.js';
+import { logger } from './logger.js';
+
+const SCHEDULER_INTERVAL_MS = parseInt(process.env.SUBSCRIPTION_SCHEDULER_INTERVAL_MS) || 60000;
+const LOCK_MS = 5 * 60 * 1000;
+
+let schedulerTimer = null;
+
+const addMonth = (date) => {
+  const next = new Date(date);
+  next.setMonth(next.getMonth() + 1);
+  return next;
+};
+
+export const getCurrentSubscription = (userId) => {
+  return Subscription.findOne({ userId, status: { $in: ['active', 'past_due'] } }).sort({ createdAt: -1 });
+};
+
+// Plan credits live in the same balance as purchased ones and are spent
+// first. What is left of the allowance is therefore the period allowance
+// minus everything spent (or held) since the period started, and never
+// more than the balance itself.
+export const getAllowance = async (subscription, user) => {
+  if (!subscription || subscription.status !== 'active') {
+    return { total: 0, used: 0, remaining: 0 };
+  }
+  const match = { userId: user._id, organizationId: null, createdAt: { $gte: subscription.currentPeriodStart } };
+  const [[usage], [held]] = await Promise.all([
+    Transaction.aggregate([
+      { $match: { ...match, type: 'usage', status: 'completed' } },
+      { $group: { _id: null, total: { $sum: '$credits' } } },
+    ]),
+    CreditHold.aggregate([
+      { $match: { ...match, status: 'held' } },
+      { $group: { _id: null, total: { $sum: '$amount' } } },
+    ]),
+  ]);
+  const used = Math.min(-(usage?.total || 0) + (held?.total || 0), subscription.periodAllowance);
+  const remaining = Math.max(0, Math.min(subscription.periodAllowance - used, user.credits));
+  return { total: subscription.periodAllowance, used, remaining };
+};
+
+export const describeSubscription = async (subscription, user) => {
+  if (!subscription) return null;
+  const plan = getPlan(subscription.planId);
+  return {
+    id: subscription._id,
+    planId: subscription.planId,
+    planName: plan?.name,
+    status: subscription.status,
+    currentPeriodStart: subscription.currentPeriodStart,
+    currentPeriodEnd: subscription.currentPeriodEnd,
+    renewsAt: subscription.status === 'active' && !subscription.cancelAtPeriodEnd
+      ? subscription.currentPeriodEnd
+      : null,
+    cancelAtPeriodEnd: subscription.cancelAtPeriodEnd,
+    pendingPlanId: subscription.pendingPlanId,
+    allowance: await getAllowance(subscription, user),
+  };
+};
+
+// Expires the unused allowance of the current period except for up to
+// `keepCap` credits, and returns how many were kept.
+const closePeriod = async (subscription, keepCap) => {
+  const user = await User.findById(subscription.userId);
+  const { remaining } = await getAllowance(subscription, user);
+  const kept = Math.min(remaining, keepCap);
+  const expired = remaining - kept;
+  if (expired > 0) {
+    const plan = getPlan(subscription.planId);
+    await grantCredits(subscription.userId, {
+      type: 'expiration',
+      credits: -expired,
+      description: `Expired ${expired} unused ${plan?.name || subscription.planId} plan credits`,
+      metadata: { planId: subscription.planId, subscriptionId: subscription._id },
+    });
+  }
+  return kept;
+};
+
+const startPeriod = async (subscription, plan, rollover, start) => {
+  subscription.planId = plan.id;
+  subscription.status = 'active';
+  subscription.currentPeriodStart = start;
+  subscription.currentPeriodEnd = addMonth(start);
+  subscription.periodAllowance = plan.monthlyCredits + rollover;
+  subscription.pendingPlanId = undefined;
+  subscription.lockedUntil = undefined;
+  await subscription.save();
+  await grantCredits(subscription.userId, {
+    type: 'allowance',
+    credits: plan.monthlyCredits,
+    description: `${plan.name} plan monthly credits`,
+    metadata: { planId: plan.id, subscriptionId: subscription._id },
+  });
+};
+
+// Called once the payment for a new subscription or an upgrade is
+// confirmed. Upgrades take effect immediately and start a new period,
+// keeping the old plan's rollover allowance.
+export const activateSubscription = async (transaction, payment) => {
+  const plan = getPlan(transaction.metadata.planId);
+  if (!plan) return null;
+  const now = new Date();
+  let subscription = await getCurrentSubscription(transaction.userId);
+  let rollover = 0;
+  if (subscription?.status === 'active') {
+    rollover = await closePeriod(subscription, getPlan(subscription.planId)?.rolloverCap || 0);
+  } else if (subscription) {
+    await closePeriod(subscription, 0);
+  } else {
+    subscription = new Subscription({
+      userId: transaction.userId,
+      planId: plan.id,
+      currentPeriodStart: now,
+      currentPeriodEnd: addMonth(now),
+    });
+  }
+  subscription.cancelAtPeriodEnd = false;
+  subscription.paymentProvider = transaction.metadata.paymentProvider;
+  subscription.customerId = payment.customerId || subscription.customerId;
+  subscription.lastPaymentId = payment.paymentId;
+  await startPeriod(subscription, plan, rollover, now);
+  logger.info('Subscription started', { subscriptionId: subscription._id, planId: plan.id });
+  return subscription;
+};
+
+const renew = async (subscription) => {
+  const plan = getPlan(subscription.planId);
+  if (subscription.cancelAtPeriodEnd || !plan) {
+    await closePeriod(subscription, 0);
+    subscription.status = 'canceled';
+    subscription.canceledAt = new Date();
+    subscription.lockedUntil = undefined;
+    await subscription.save();
+    logger.info('Subscription ended', { subscriptionId: subscription._id });
+    return;
+  }
+
+  const nextPlan = getPlan(subscription.pendingPlanId) || plan;
+  let payment;
+  try {
+    if (!paymentProvider?.chargeRenewal) {
+      throw new Error('Payment provider cannot charge renewals');
+    }
+    payment = await paymentProvider.chargeRenewal({
+      customerId: subscription.customerId,
+      previousPaymentId: subscription.lastPaymentId,
+      amount: nextPlan.price,
+      currency: nextPlan.currency,
+      idempotencyKey: `renewal-${subscription._id}-${subscription.currentPeriodEnd.getTime()}`,
+      metadata: { subscriptionId: subscription._id.toString(), planId: nextPlan.id },
+    });
+  } catch (error) {
+    logger.warn('Subscription renewal failed', { subscriptionId: subscription._id, error });
+    await closePeriod(subscription, 0);
+    subscription.status = 'past_due';
+    subscription.lockedUntil = undefined;
+    await subscription.save();
+    return;
+  }
+
+  const rollover = await closePeriod(subscription, plan.rolloverCap);
+  await grantCredits(subscription.userId, {
+    type: 'purchase',
+    amount: nextPlan.price,
+    credits: 0,
+    description: `${nextPlan.name} plan renewal`,
+    metadata: {
+      planId: nextPlan.id,
+      subscriptionId: subscription._id,
+      paymentProvider: paymentProvider.name,
+      paymentId: payment.paymentId,
+    },
+  });
+  subscription.lastPaymentId = payment.paymentId;
+  await startPeriod(subscription, nextPlan, rollover, subscription.currentPeriodEnd);
+  logger.info('Subscription renewed', { subscriptionId: subscription._id, planId: nextPlan.id });
+};
+
+const claimDue = () => {
+  const now = new Date();
+  return Subscription.findOneAndUpdate(
+    {
+      status: 'active',
+      currentPeriodEnd: { $lte: now },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }],
+    },
+    { $set: { lockedUntil: new Date(now.getTime() + LOCK_MS) } },
+    { sort: { currentPeriodEnd: 1 }, new: true }
+  );
+};
+
+const runScheduler = async () => {
+  try {
+    let subscription;
+    while ((subscription = await claimDue())) {
+      await renew(subscription);
+    }
+  } catch (error) {
+    logger.error('Subscription scheduler failed', { error });
+  }
+};
+
+export const startSubscriptionScheduler = () => {
+  if (schedulerTimer) return;
+  schedulerTimer = setInterval(runScheduler, SCHEDULER_INTERVAL_MS);
+  runScheduler();
+  logger.info('Subscription scheduler started');
+};
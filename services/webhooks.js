@@ -0,0 +1,264 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import WebhookEndpoint from '../models/WebhookEndpoint.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import { signPayload } from '../payments/signature.js';
+import { logger } from './logger.js';
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const BASE_DELAY_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 30000;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+const POLL_INTERVAL_MS = parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS) || 5000;
+const CONCURRENCY = parseInt(process.env.WEBHOOK_CONCURRENCY) || 10;
+const ENDPOINT_CONCURRENCY = parseInt(process.env.WEBHOOK_ENDPOINT_CONCURRENCY) || 2;
+// Local development may deliver to localhost; production must not.
+const ALLOW_PRIVATE_URLS = process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+
+let pollTimer = null;
+let polling = false;
+let pollRequested = false;
+// Deliveries in flight, per endpoint ID.
+const inFlight = new Map();
+let inFlightTotal = 0;
+
+// Loopback, private, link-local (cloud metadata), shared, documentation,
+// multicast and other reserved ranges.
+const RESERVED_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4],
+]) {
+  RESERVED_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+]) {
+  RESERVED_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+}
+
+const isReservedAddress = (address) => {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return RESERVED_ADDRESSES.check(mapped[1], 'ipv4');
+  return RESERVED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+};
+
+// Webhooks are signed requests the server makes on a user's behalf, so they
+// may only reach public hosts. Checked when an endpoint is saved and again
+// before every delivery; the delivery itself re-checks the address it
+// connects to (see publicLookup). Resolves to an error message, or null when
+// the URL is allowed.
+export const checkWebhookUrl = async (url) => {
+  if (ALLOW_PRIVATE_URLS) return null;
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostname, { all: true, verbatim: true });
+  } catch {
+    return `Webhook host could not be resolved: ${hostname}`;
+  }
+  if (addresses.length === 0 || addresses.some(({ address }) => isReservedAddress(address))) {
+    return 'Webhook URL must resolve to a public address';
+  }
+  return null;
+};
+
+// Used as the socket's `lookup` for deliveries, so the address that gets
+// checked is the one connected to. Resolving once for checkWebhookUrl and
+// again for the request would let a rebinding DNS server answer differently.
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (!ALLOW_PRIVATE_URLS && addresses.some(({ address }) => isReservedAddress(address))) {
+      return callback(new Error('Webhook URL must resolve to a public address'));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// POSTs a delivery and resolves to the response status. Redirects are not
+// followed, since they could point anywhere, including private addresses.
+const post = (url, headers, body) => new Promise((resolve, reject) => {
+  const client = new URL(url).protocol === 'https:' ? https : http;
+  const request = client.request(url, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+    lookup: publicLookup,
+    timeout: TIMEOUT_MS,
+  }, (response) => {
+    response.resume();
+    resolve(response.statusCode);
+  });
+  request.on('timeout', () => request.destroy(new Error(`Endpoint did not respond within ${TIMEOUT_MS}ms`)));
+  request.on('error', reject);
+  request.end(body);
+});
+
+const nextDelay = (attemptCount) => BASE_DELAY_MS * Math.pow(2, attemptCount - 1);
+
+// Claims the next due delivery to an endpoint that is below its share of
+// concurrent deliveries.
+const claimNext = (busyEndpoints) => {
+  const now = new Date();
+  return WebhookDelivery.findOneAndUpdate(
+    {
+      endpointId: { $nin: busyEndpoints },
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'delivering', lockedUntil: { $lt: now } },
+      ],
+    },
+    { $set: { status: 'delivering', lockedUntil: new Date(now.getTime() + TIMEOUT_MS * 3) } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+};
+
+const attemptDelivery = async (delivery) => {
+  const endpoint = await WebhookEndpoint.findById(delivery.endpointId);
+  if (!endpoint || !endpoint.isActive) {
+    await WebhookDelivery.updateOne(
+      { _id: delivery._id },
+      {
+        $set: { status: 'failed' },
+        $unset: { lockedUntil: 1 },
+        $push: { attempts: { attemptedAt: new Date(), error: 'Endpoint disabled or deleted' } },
+      }
+    );
+    return;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startedAt = Date.now();
+  const attempt = { attemptedAt: new Date() };
+  try {
+    const unsafe = await checkWebhookUrl(endpoint.url);
+    if (unsafe) {
+      throw new Error(unsafe);
+    }
+    const statusCode = await post(endpoint.url, {
+      'Content-Type': 'application/json',
+      'User-Agent': 'ai-gen-api-webhooks/1.0',
+      'X-Webhook-Id': delivery.eventId,
+      'X-Webhook-Event': delivery.event,
+      // Same scheme as Stripe: HMAC-SHA256 over "<timestamp>.<raw body>".
+      'X-Webhook-Signature': signPayload(endpoint.secret, timestamp, body),
+    }, body);
+    attempt.statusCode = statusCode;
+    if (statusCode < 200 || statusCode >= 300) {
+      attempt.error = `Endpoint responded with ${statusCode}`;
+    }
+  } catch (error) {
+    attempt.error = error.message;
+  }
+  attempt.durationMs = Date.now() - startedAt;
+
+  const attemptCount = delivery.attempts.length + 1;
+  let update;
+  if (!attempt.error) {
+    update = { status: 'succeeded' };
+  } else if (attemptCount >= MAX_ATTEMPTS) {
+    update = { status: 'failed' };
+    logger.warn('Webhook delivery gave up', { deliveryId: delivery._id, attempts: attemptCount });
+  } else {
+    update = { status: 'pending', nextAttemptAt: new Date(Date.now() + nextDelay(attemptCount)) };
+  }
+  await WebhookDelivery.updateOne(
+    { _id: delivery._id },
+    { $set: update, $unset: { lockedUntil: 1 }, $push: { attempts: attempt } }
+  );
+};
+
+// Runs a delivery alongside the others; a slow endpoint only holds up its
+// own deliveries, up to ENDPOINT_CONCURRENCY of them.
+const dispatch = (delivery) => {
+  const endpointId = delivery.endpointId.toString();
+  inFlight.set(endpointId, (inFlight.get(endpointId) || 0) + 1);
+  inFlightTotal++;
+  attemptDelivery(delivery)
+    .catch(error => logger.error('Webhook delivery failed', { deliveryId: delivery._id, error }))
+    .finally(() => {
+      inFlightTotal--;
+      const remaining = inFlight.get(endpointId) - 1;
+      if (remaining > 0) {
+        inFlight.set(endpointId, remaining);
+      } else {
+        inFlight.delete(endpointId);
+      }
+      poll();
+    });
+};
+
+const busyEndpoints = () => {
+  return [...inFlight].filter(([, count]) => count >= ENDPOINT_CONCURRENCY).map(([endpointId]) => endpointId);
+};
+
+const poll = async () => {
+  if (polling) {
+    pollRequested = true;
+    return;
+  }
+  polling = true;
+  try {
+    while (inFlightTotal < CONCURRENCY) {
+      const delivery = await claimNext(busyEndpoints());
+      if (!delivery) break;
+      dispatch(delivery);
+    }
+  } catch (error) {
+    logger.error('Webhook dispatch failed', { error });
+  } finally {
+    polling = false;
+  }
+  if (pollRequested) {
+    pollRequested = false;
+    poll();
+  }
+};
+
+export const startWebhookDispatcher = () => {
+  if (pollTimer) return;
+  pollTimer = setInterval(poll, POLL_INTERVAL_MS);
+  logger.info('Webhook dispatcher started', { concurrency: CONCURRENCY, endpointConcurrency: ENDPOINT_CONCURRENCY });
+};
+
+const createDeliveries = async (endpoints, eventId, event, payload, extra = {}) => {
+  if (endpoints.length === 0) return [];
+  const deliveries = await WebhookDelivery.insertMany(endpoints.map(endpoint => ({
+    endpointId: endpoint._id,
+    userId: endpoint.userId,
+    eventId,
+    event,
+    payload,
+    ...extra,
+  })));
+  setImmediate(poll);
+  return deliveries;
+};
+
+// Queues a delivery to each of the user's active endpoints subscribed to
+// `event`. Never throws, so callers can fire and forget.
+export const emitWebhookEvent = async (userId, event, data) => {
+  try {
+    const endpoints = await WebhookEndpoint.find({ userId, isActive: true, events: event });
+    const eventId = 'evt_' + crypto.randomBytes(12).toString('hex');
+    const payload = { id: eventId, type: event, createdAt: new Date().toISOString(), data };
+    await createDeliveries(endpoints, eventId, event, payload);
+  } catch (error) {
+    logger.error('Failed to queue webhook', { event, error });
+  }
+};
+
+// Sends the original payload again as a new delivery; the original record
+// and its attempts are left untouched.
+export const redeliver = async (endpoint, delivery) => {
+  const [copy] = await createDeliveries([endpoint], delivery.eventId, delivery.event, delivery.payload, {
+    redeliveryOf: delivery._id,
+  });
+  return copy;
+};